@@ -0,0 +1,15 @@
+/**
+ * Node test environment with the Fetch API classes (Response, FormData, ...) that the
+ * functions use; Jest 27 does not pass Node's built-in ones through to tests.
+ */
+
+const NodeEnvironment = require('jest-environment-node');
+
+class ApiTestEnvironment extends NodeEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    Object.assign(this.global, { fetch, Response, Request, Headers, FormData, Blob, File });
+  }
+}
+
+module.exports = ApiTestEnvironment;
@@ -0,0 +1,13 @@
+/**
+ * Jest config for the serverless functions in api/, run with `npm run test:api`.
+ * `npm test` (react-scripts) only looks under src/ and runs in jsdom, while these run in
+ * Node. Tests live here rather than next to the functions because Vercel deploys every
+ * api/*.js file as a function.
+ */
+module.exports = {
+  rootDir: '../..',
+  roots: ['<rootDir>/api'],
+  testMatch: ['**/*.test.js'],
+  testEnvironment: '<rootDir>/api/__tests__/environment.js',
+  transform: {}
+};
@@ -0,0 +1,123 @@
+/**
+ * Tests for the lead stores
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { FileLeadStore, LeadStoreUnavailableError, MemoryLeadStore, SqliteLeadStore, createLeadStore, createReference } = require('../_lib/leadStore.js');
+
+const hasSqlite = Boolean(process.getBuiltinModule && process.getBuiltinModule('node:sqlite'));
+
+const photo = (text) => ({
+  filename: 'front.png',
+  contentType: 'image/png',
+  extension: '.png',
+  size: text.length,
+  data: Buffer.from(text)
+});
+
+const record = (reference, photos = [], receivedAt = '2026-10-19T00:00:00.000Z') => ({
+  reference,
+  lead: { name: 'Sam', make: 'Mazda' },
+  photos,
+  receivedAt
+});
+
+// Three leads saved out of order, listed newest first
+const expectNewestFirst = async (store) => {
+  await store.save(record('Q-261018-BBBBBB', [photo('png bytes')], '2026-10-18T09:00:00.000Z'));
+  await store.save(record('Q-261019-CCCCCC', [], '2026-10-19T08:00:00.000Z'));
+  await store.save(record('Q-261017-AAAAAA', [], '2026-10-17T09:00:00.000Z'));
+
+  const leads = await store.list();
+  expect(leads.map(lead => lead.reference)).toEqual(['Q-261019-CCCCCC', 'Q-261018-BBBBBB', 'Q-261017-AAAAAA']);
+  expect(leads[1].lead).toEqual({ name: 'Sam', make: 'Mazda' });
+  expect(leads[1].photos).toEqual([expect.objectContaining({ index: 0, filename: 'front.png', size: 9 })]);
+  expect(leads[1].photos[0].data).toBeUndefined();
+  expect((await store.list({ limit: 2 })).map(lead => lead.reference)).toEqual(['Q-261019-CCCCCC', 'Q-261018-BBBBBB']);
+};
+
+describe('lead stores', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lead-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+    delete process.env.VERCEL;
+  });
+
+  test('should create readable reference numbers', () => {
+    expect(createReference(new Date('2026-10-19T12:00:00Z'))).toMatch(/^Q-261019-[A-HJ-NP-Z2-9]{6}$/);
+  });
+
+  test('should keep leads and photos as files', async () => {
+    const store = new FileLeadStore({ dir });
+
+    await store.save(record('Q-261019-AAAAAA', [photo('png bytes')]));
+    const saved = await store.get('Q-261019-AAAAAA');
+
+    expect(saved.lead).toEqual({ name: 'Sam', make: 'Mazda' });
+    expect(saved.photos).toEqual([expect.objectContaining({ index: 0, filename: 'front.png', size: 9 })]);
+    expect(await fs.readFile(path.join(dir, saved.photos[0].file), 'utf8')).toBe('png bytes');
+    expect(await store.get('Q-261019-MISSED')).toBeNull();
+  });
+
+  test('should refuse a taken reference without touching the existing lead\'s photos', async () => {
+    const store = new FileLeadStore({ dir });
+    await store.save(record('Q-261019-AAAAAA', [photo('first')]));
+
+    await expect(store.save(record('Q-261019-AAAAAA', [photo('second')]))).rejects.toMatchObject({ code: 'EEXIST' });
+
+    const saved = await store.get('Q-261019-AAAAAA');
+    expect(await fs.readFile(path.join(dir, saved.photos[0].file), 'utf8')).toBe('first');
+  });
+
+  test('should list leads newest first', async () => {
+    await expectNewestFirst(new MemoryLeadStore());
+    await expectNewestFirst(new FileLeadStore({ dir }));
+    expect(await new FileLeadStore({ dir: path.join(dir, 'empty') }).list()).toEqual([]);
+  });
+
+  test('should order leads received on the same day by time when listing files', async () => {
+    const store = new FileLeadStore({ dir });
+    await store.save(record('Q-261019-ZZZZZZ', [], '2026-10-19T08:00:00.000Z'));
+    await store.save(record('Q-261019-AAAAAA', [], '2026-10-19T10:00:00.000Z'));
+    await store.save(record('Q-261018-AAAAAA', [], '2026-10-18T10:00:00.000Z'));
+
+    expect((await store.list({ limit: 1 })).map(lead => lead.reference)).toEqual(['Q-261019-AAAAAA']);
+  });
+
+  (hasSqlite ? test : test.skip)('should list leads newest first in SQLite', async () => {
+    await expectNewestFirst(new SqliteLeadStore({ file: path.join(dir, 'leads.sqlite') }));
+  });
+
+  (hasSqlite ? test : test.skip)('should keep leads and photos in SQLite', async () => {
+    const store = new SqliteLeadStore({ file: path.join(dir, 'leads.sqlite') });
+
+    await store.save(record('Q-261019-AAAAAA', [photo('png bytes')]));
+    const saved = await store.get('Q-261019-AAAAAA');
+
+    expect(saved).toEqual({
+      reference: 'Q-261019-AAAAAA',
+      receivedAt: '2026-10-19T00:00:00.000Z',
+      lead: { name: 'Sam', make: 'Mazda' },
+      photos: [{ index: 0, filename: 'front.png', contentType: 'image/png', size: 9 }]
+    });
+    await expect(store.save(record('Q-261019-AAAAAA'))).rejects.toThrow(/UNIQUE/);
+  });
+
+  test('should refuse every local store on Vercel, where only /tmp is writable', () => {
+    expect(createLeadStore({ type: 'filesystem', dir })).toBeInstanceOf(FileLeadStore);
+
+    process.env.VERCEL = '1';
+
+    ['filesystem', 'sqlite', 'memory'].forEach(type => {
+      expect(() => createLeadStore({ type, dir })).toThrow(LeadStoreUnavailableError);
+    });
+    expect(() => createLeadStore()).toThrow('Quote requests cannot be stored on Vercel');
+  });
+});
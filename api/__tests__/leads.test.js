@@ -0,0 +1,96 @@
+/**
+ * Tests for the /api/leads handler
+ */
+
+const http = require('http');
+const { createLeadsHandler } = require('../leads.js');
+const { MemoryLeadStore } = require('../_lib/leadStore.js');
+
+describe('/api/leads', () => {
+  let server;
+  let url;
+  let store;
+
+  const listen = (handler) => new Promise(resolve => {
+    server = http.createServer(handler).listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/api/leads`;
+      resolve();
+    });
+  });
+
+  const get = (token, query = '') => fetch(`${url}${query}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  beforeEach(async () => {
+    store = new MemoryLeadStore();
+    await store.save({ reference: 'Q-261018-AAAAAA', lead: { name: 'Sam' }, receivedAt: '2026-10-18T09:00:00.000Z' });
+    await store.save({ reference: 'Q-261019-BBBBBB', lead: { name: 'Alex' }, receivedAt: '2026-10-19T09:00:00.000Z' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await listen(createLeadsHandler({ store, adminToken: 'secret' }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should list the stored leads newest first for the admin token', async () => {
+    const response = await get('secret');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('cache-control')).toBe('no-store');
+    expect(await response.json()).toEqual({
+      leads: [
+        { reference: 'Q-261019-BBBBBB', receivedAt: '2026-10-19T09:00:00.000Z', lead: { name: 'Alex' }, photos: [] },
+        { reference: 'Q-261018-AAAAAA', receivedAt: '2026-10-18T09:00:00.000Z', lead: { name: 'Sam' }, photos: [] }
+      ]
+    });
+  });
+
+  test('should pass a valid limit to the store', async () => {
+    const list = jest.spyOn(store, 'list');
+
+    await get('secret', '?limit=1');
+    await get('secret', '?limit=100000');
+    await get('secret', '?limit=-3');
+
+    expect(list.mock.calls).toEqual([[{ limit: 1 }], [{ limit: 500 }], [{ limit: undefined }]]);
+  });
+
+  test('should refuse requests without the admin token', async () => {
+    const missing = await get();
+    const wrong = await get('secreT');
+
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+    expect(wrong.status).toBe(401);
+    expect(await wrong.json()).toEqual({ error: 'Not authorized' });
+  });
+
+  test('should reply 503 when no admin token is configured', async () => {
+    await new Promise(resolve => server.close(resolve));
+    await listen(createLeadsHandler({ store, adminToken: '' }));
+
+    const response = await get('');
+
+    expect(response.status).toBe(503);
+    expect(await response.json()).toEqual({ error: 'Lead list is not configured (set QUOTE_ADMIN_TOKEN)' });
+  });
+
+  test('should only accept GET', async () => {
+    const response = await fetch(url, { method: 'POST', headers: { Authorization: 'Bearer secret' } });
+
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('GET, OPTIONS');
+  });
+
+  test('should reply 500 when the store fails', async () => {
+    jest.spyOn(store, 'list').mockRejectedValue(new Error('EIO'));
+
+    const response = await get('secret');
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({ error: 'Could not load the quote requests' });
+  });
+});
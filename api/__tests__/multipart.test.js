@@ -0,0 +1,66 @@
+/**
+ * Tests for parseMultipart
+ */
+
+const { Readable } = require('stream');
+const { RequestError, parseMultipart } = require('../_lib/multipart.js');
+
+// A request stream with the body and content type a browser would send for formData
+const createRequest = async (formData, contentType) => {
+  const response = new Response(formData);
+  const req = Readable.from([Buffer.from(await response.arrayBuffer())]);
+  req.headers = { 'content-type': contentType || response.headers.get('content-type') };
+  return req;
+};
+
+describe('parseMultipart', () => {
+  test('should return text fields and uploaded files', async () => {
+    const formData = new FormData();
+    formData.append('name', 'Sam');
+    formData.append('photos', new Blob(['png bytes'], { type: 'image/png' }), 'front.png');
+
+    const { fields, files } = await parseMultipart(await createRequest(formData), { maxBytes: 10000 });
+
+    expect(fields).toEqual({ name: 'Sam' });
+    expect(files).toHaveLength(1);
+    expect(files[0]).toEqual(expect.objectContaining({
+      field: 'photos',
+      filename: 'front.png',
+      contentType: 'image/png',
+      size: 9
+    }));
+    expect(files[0].data.toString()).toBe('png bytes');
+  });
+
+  test('should reject a multipart body without a boundary', async () => {
+    const formData = new FormData();
+    formData.append('name', 'Sam');
+
+    const error = await parseMultipart(await createRequest(formData, 'multipart/form-data'), { maxBytes: 10000 })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(RequestError);
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('Malformed multipart body');
+  });
+
+  test('should reject an oversize body with 413 and keep reading it to the end', async () => {
+    const formData = new FormData();
+    formData.append('photos', new Blob([new Uint8Array(5000)], { type: 'image/png' }), 'large.png');
+    const req = await createRequest(formData);
+    const ended = new Promise(resolve => req.on('end', resolve));
+
+    const error = await parseMultipart(req, { maxBytes: 1000 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(RequestError);
+    expect(error.status).toBe(413);
+    await ended; // A destroyed request would never end
+  });
+
+  test('should reject other content types with 415', async () => {
+    const req = Readable.from([Buffer.from('{}')]);
+    req.headers = { 'content-type': 'application/json' };
+
+    await expect(parseMultipart(req, { maxBytes: 1000 })).rejects.toMatchObject({ status: 415 });
+  });
+});
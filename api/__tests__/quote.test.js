@@ -0,0 +1,136 @@
+/**
+ * Tests for the /api/quote handler
+ */
+
+const http = require('http');
+const { createQuoteHandler } = require('../quote.js');
+const { MemoryLeadStore } = require('../_lib/leadStore.js');
+
+const validFields = {
+  name: 'Sam',
+  phone: '+64 21 123 4567',
+  email: 'sam@example.com',
+  make: 'Mazda',
+  model: 'Demio',
+  year: '2009',
+  condition: 'Running'
+};
+
+const quoteForm = (fields = validFields, photos = []) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+  photos.forEach(photo => formData.append('photos', photo, photo.name));
+  return formData;
+};
+
+describe('/api/quote', () => {
+  let server;
+  let url;
+  let store;
+
+  const listen = (handler) => new Promise(resolve => {
+    server = http.createServer(handler).listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/api/quote`;
+      resolve();
+    });
+  });
+
+  const post = (body, headers) => fetch(url, { method: 'POST', body, headers });
+
+  beforeEach(async () => {
+    store = new MemoryLeadStore();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await listen(createQuoteHandler({ store }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should store a valid request with its photos and reply with a reference', async () => {
+    const photo = new File(['png bytes'], 'front.png', { type: 'image/png' });
+
+    const response = await post(quoteForm(validFields, [photo]));
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(body.reference).toMatch(/^Q-\d{6}-[A-Z0-9]{6}$/);
+
+    const saved = await store.get(body.reference);
+    expect(saved.lead).toEqual(expect.objectContaining({ name: 'Sam', phone: '021 123 4567', plate: '' }));
+    expect(saved.photos).toEqual([expect.objectContaining({ filename: 'front.png', contentType: 'image/png', size: 9 })]);
+    expect(console.log).toHaveBeenCalledWith(expect.not.stringContaining('Sam'));
+  });
+
+  test('should reply 400 with a message for each invalid field', async () => {
+    const photo = new File(['text'], 'notes.txt', { type: 'text/plain' });
+
+    const response = await post(quoteForm({ ...validFields, phone: '12', email: '' }, [photo]));
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: 'Please check the highlighted fields',
+      errors: {
+        phone: 'Please enter a New Zealand phone number, e.g. 021 123 4567 or 09 123 4567.',
+        email: 'Please enter your email address.',
+        photos: 'Please only upload image files.'
+      }
+    });
+    expect(store.records.size).toBe(0);
+  });
+
+  test('should only accept POST', async () => {
+    const response = await fetch(url);
+
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('POST, OPTIONS');
+    expect(await response.json()).toEqual({ error: 'Method not allowed' });
+  });
+
+  test('should reply 415 to bodies that are not multipart', async () => {
+    const response = await post(JSON.stringify(validFields), { 'Content-Type': 'application/json' });
+
+    expect(response.status).toBe(415);
+    expect(await response.json()).toEqual({ error: 'Expected multipart/form-data' });
+  });
+
+  test('should reply 413 to bodies over the photo limits', async () => {
+    // Five photos of 5MB plus 1MB for the fields is the most accepted
+    const photo = new File([new Uint8Array(27 * 1024 * 1024)], 'huge.png', { type: 'image/png' });
+
+    const response = await post(quoteForm(validFields, [photo]));
+
+    expect(response.status).toBe(413);
+    expect(response.headers.get('connection')).toBe('close');
+    expect(await response.json()).toEqual({ error: 'Request body too large' });
+  });
+
+  test('should retry under a new reference when the first one is taken', async () => {
+    const save = jest.spyOn(store, 'save')
+      .mockRejectedValueOnce(new Error('Lead Q-261019-AAAAAA already exists'));
+
+    const response = await post(quoteForm());
+
+    expect(response.status).toBe(201);
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(save.mock.calls[1][0].reference).not.toBe(save.mock.calls[0][0].reference);
+    expect(store.records.size).toBe(1);
+  });
+
+  test('should give up after repeated collisions and on other storage errors', async () => {
+    const save = jest.spyOn(store, 'save').mockRejectedValue(new Error('Lead already exists'));
+
+    expect((await post(quoteForm())).status).toBe(500);
+    expect(save).toHaveBeenCalledTimes(3);
+
+    save.mockReset();
+    save.mockRejectedValue(Object.assign(new Error('No space left on device'), { code: 'ENOSPC' }));
+    const response = await post(quoteForm());
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({ error: 'Could not save your quote request' });
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for the deployed functions on Vercel, where leads can't be stored
+ */
+
+const http = require('http');
+
+describe('functions on Vercel', () => {
+  let server;
+
+  // The functions as Vercel loads them: their default exports, imported with VERCEL set
+  const load = (file) => {
+    let handler;
+    jest.isolateModules(() => {
+      handler = require(file);
+    });
+    return handler;
+  };
+
+  const listen = (handler) => new Promise(resolve => {
+    server = http.createServer(handler).listen(0, '127.0.0.1', () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+
+  beforeEach(() => {
+    process.env.VERCEL = '1';
+    process.env.QUOTE_ADMIN_TOKEN = 'secret';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    delete process.env.VERCEL;
+    delete process.env.QUOTE_ADMIN_TOKEN;
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should load /api/quote and refuse quotes with a JSON 503', async () => {
+    const url = await listen(load('../quote.js'));
+    const body = new FormData();
+    body.append('name', 'Sam');
+
+    const response = await fetch(`${url}/api/quote`, { method: 'POST', body });
+
+    expect(response.status).toBe(503);
+    expect(response.headers.get('content-type')).toBe('application/json');
+    expect((await response.json()).error).toMatch(/^Quote requests cannot be stored on Vercel/);
+  });
+
+  test('should load /api/leads and reply with a JSON 503', async () => {
+    const url = await listen(load('../leads.js'));
+
+    const response = await fetch(`${url}/api/leads`, { headers: { Authorization: 'Bearer secret' } });
+
+    expect(response.status).toBe(503);
+    expect((await response.json()).error).toMatch(/^Quote requests cannot be stored on Vercel/);
+  });
+});
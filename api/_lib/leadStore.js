@@ -0,0 +1,286 @@
+/**
+ * Lead Store
+ * Where /api/quote keeps leads and their photos. Stores share one interface:
+ *
+ *   await store.save({ reference, lead, photos, receivedAt }) -> { reference, receivedAt }
+ *     photos: [{ filename, contentType, extension, size, data }]
+ *   await store.get(reference)                                -> { ...record, photos: [metadata] } | null
+ *   await store.list({ limit })                               -> [{ ...record, photos: [metadata] }], newest first
+ *
+ * 'filesystem' (default) writes JSON and photo files under a directory, 'sqlite' keeps
+ * everything in one database file (needs Node 22.5+ for node:sqlite), and 'memory' is
+ * for tests and throwaway local runs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, so it reads well over the phone
+
+/**
+ * A reference number like Q-261019-7KXM2A: the date received and six random characters
+ */
+function createReference(date = new Date()) {
+  const day = date.toISOString().slice(2, 10).replace(/-/g, '');
+  const suffix = Array.from(crypto.randomBytes(6), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+  return `Q-${day}-${suffix}`;
+}
+
+const DEFAULT_LIST_LIMIT = 100;
+
+const newestFirst = (a, b) => b.receivedAt.localeCompare(a.receivedAt);
+
+// The YYMMDD a reference was created on (Q-261019-7KXM2A -> 261019)
+const referenceDay = reference => reference.slice(2, 8);
+
+const photoMetadata = (photo, index) => ({
+  index,
+  filename: photo.filename,
+  contentType: photo.contentType,
+  size: photo.size
+});
+
+class MemoryLeadStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async save({ reference, lead, photos = [], receivedAt }) {
+    if (this.records.has(reference)) {
+      throw new Error(`Lead ${reference} already exists`);
+    }
+    this.records.set(reference, { reference, receivedAt, lead, photos });
+    return { reference, receivedAt };
+  }
+
+  async get(reference) {
+    const record = this.records.get(reference);
+    return record ? { ...record, photos: record.photos.map(photoMetadata) } : null;
+  }
+
+  async list({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    return [...this.records.values()]
+      .sort(newestFirst)
+      .slice(0, limit)
+      .map(record => ({ ...record, photos: record.photos.map(photoMetadata) }));
+  }
+}
+
+/**
+ * <dir>/leads/<reference>.json and <dir>/photos/<reference>/<n>.<ext>
+ */
+class FileLeadStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  leadPath(reference) {
+    return path.join(this.dir, 'leads', `${reference}.json`);
+  }
+
+  async save({ reference, lead, photos = [], receivedAt }) {
+    const photoDir = path.join(this.dir, 'photos', reference);
+    const files = photos.map((photo, index) => `${index + 1}${photo.extension || ''}`);
+    const record = {
+      reference,
+      receivedAt,
+      lead,
+      photos: photos.map((photo, index) => ({ ...photoMetadata(photo, index), file: path.join('photos', reference, files[index]) }))
+    };
+
+    // Claim the reference first: 'wx' refuses to overwrite, so a collision fails before
+    // anything of the existing lead (its record or its photos) is touched
+    await fs.mkdir(path.join(this.dir, 'leads'), { recursive: true });
+    await fs.writeFile(this.leadPath(reference), JSON.stringify(record, null, 2), { flag: 'wx' });
+
+    try {
+      if (photos.length > 0) {
+        await fs.mkdir(photoDir, { recursive: true });
+      }
+      for (const [index, photo] of photos.entries()) {
+        await fs.writeFile(path.join(photoDir, files[index]), photo.data);
+      }
+    } catch (error) {
+      // Leave no lead pointing at missing photos
+      await fs.rm(photoDir, { recursive: true, force: true });
+      await fs.rm(this.leadPath(reference), { force: true });
+      throw error;
+    }
+    return { reference, receivedAt };
+  }
+
+  async get(reference) {
+    try {
+      return JSON.parse(await fs.readFile(this.leadPath(reference), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(this.dir, 'leads'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    // Only read the days that can make the list: everything from the day of the limit-th newest reference
+    const references = files
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .sort((a, b) => referenceDay(b).localeCompare(referenceDay(a)));
+    const oldestDay = references.length > limit ? referenceDay(references[limit - 1]) : '';
+    const records = await Promise.all(
+      references.filter(reference => referenceDay(reference) >= oldestDay).map(reference => this.get(reference))
+    );
+
+    return records.filter(Boolean).sort(newestFirst).slice(0, limit);
+  }
+}
+
+class SqliteLeadStore {
+  constructor({ file }) {
+    // getBuiltinModule returns undefined where node:sqlite doesn't exist (and works in
+    // tools such as Jest that resolve require() themselves)
+    const sqlite = process.getBuiltinModule && process.getBuiltinModule('node:sqlite');
+    if (!sqlite) {
+      throw new Error(`QUOTE_STORE=sqlite needs Node 22.5 or later (running ${process.version})`);
+    }
+
+    this.file = file;
+    this.db = null;
+    this.DatabaseSync = sqlite.DatabaseSync;
+  }
+
+  async open() {
+    if (!this.db) {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      this.db = new this.DatabaseSync(this.file);
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS leads (
+          reference TEXT PRIMARY KEY,
+          received_at TEXT NOT NULL,
+          lead TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS lead_photos (
+          reference TEXT NOT NULL REFERENCES leads(reference),
+          position INTEGER NOT NULL,
+          filename TEXT,
+          content_type TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          data BLOB NOT NULL,
+          PRIMARY KEY (reference, position)
+        );
+      `);
+    }
+    return this.db;
+  }
+
+  async save({ reference, lead, photos = [], receivedAt }) {
+    const db = await this.open();
+    const insertPhoto = db.prepare(
+      'INSERT INTO lead_photos (reference, position, filename, content_type, size, data) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+
+    db.exec('BEGIN');
+    try {
+      db.prepare('INSERT INTO leads (reference, received_at, lead) VALUES (?, ?, ?)')
+        .run(reference, receivedAt, JSON.stringify(lead));
+      photos.forEach((photo, index) => {
+        insertPhoto.run(reference, index, photo.filename || null, photo.contentType, photo.size, photo.data);
+      });
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+    return { reference, receivedAt };
+  }
+
+  async get(reference) {
+    const db = await this.open();
+    const row = db.prepare('SELECT reference, received_at, lead FROM leads WHERE reference = ?').get(reference);
+    if (!row) {
+      return null;
+    }
+
+    const photos = db.prepare(
+      'SELECT position, filename, content_type, size FROM lead_photos WHERE reference = ? ORDER BY position'
+    ).all(reference);
+
+    return {
+      reference: row.reference,
+      receivedAt: row.received_at,
+      lead: JSON.parse(row.lead),
+      photos: photos.map(photo => ({
+        index: photo.position,
+        filename: photo.filename,
+        contentType: photo.content_type,
+        size: photo.size
+      }))
+    };
+  }
+
+  async list({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    const db = await this.open();
+    const rows = db.prepare('SELECT reference FROM leads ORDER BY received_at DESC LIMIT ?').all(limit);
+    return Promise.all(rows.map(row => this.get(row.reference)));
+  }
+}
+
+/**
+ * Thrown when leads can't be kept where the function runs; the handlers reply 503 with its message
+ */
+class LeadStoreUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LeadStoreUnavailableError';
+  }
+}
+
+/**
+ * The store named by QUOTE_STORE ('filesystem', 'sqlite' or 'memory'), under QUOTE_STORE_DIR
+ * (default .data/quotes). None of them last on Vercel, whose functions can only write to /tmp
+ * (wiped, and separate for each instance), so there it throws a LeadStoreUnavailableError.
+ */
+function createLeadStore(options = {}) {
+  const type = options.type || process.env.QUOTE_STORE || 'filesystem';
+  const dir = options.dir || process.env.QUOTE_STORE_DIR || '.data/quotes';
+
+  if (process.env.VERCEL) {
+    throw new LeadStoreUnavailableError(
+      'Quote requests cannot be stored on Vercel: its functions can only write to /tmp, which is wiped and ' +
+      'separate for each instance. Serve the quote API from a server with lasting disk (npm run quote:api) ' +
+      'and point REACT_APP_QUOTE_API_URL and REACT_APP_QUOTE_LEADS_URL at it, or add a database store to ' +
+      'api/_lib/leadStore.js.'
+    );
+  }
+
+  switch (type) {
+    case 'filesystem':
+      return new FileLeadStore({ dir });
+    case 'sqlite':
+      return new SqliteLeadStore({ file: path.join(dir, 'leads.sqlite') });
+    case 'memory':
+      return new MemoryLeadStore();
+    default:
+      throw new Error(`Unknown QUOTE_STORE "${type}" (expected filesystem, sqlite or memory)`);
+  }
+}
+
+module.exports = {
+  FileLeadStore,
+  LeadStoreUnavailableError,
+  MemoryLeadStore,
+  SqliteLeadStore,
+  createLeadStore,
+  createReference
+};
@@ -0,0 +1,81 @@
+/**
+ * Multipart Parsing
+ * Reads a multipart/form-data request with the Fetch API's FormData parser
+ * (built into Node 18+), so no upload library is needed.
+ */
+
+class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * The raw request body, rejecting bodies over maxBytes. The rest of an oversize body is
+ * read and discarded rather than the socket destroyed, so the client still gets the 413.
+ */
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        if (chunks) {
+          chunks = null;
+          reject(new RequestError('Request body too large', 413));
+        }
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks) {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Text fields as { name: value } and uploaded files as
+ * [{ field, filename, contentType, size, data }]
+ */
+async function parseMultipart(req, { maxBytes }) {
+  const contentType = req.headers['content-type'] || '';
+  if (!contentType.startsWith('multipart/form-data')) {
+    throw new RequestError('Expected multipart/form-data', 415);
+  }
+
+  const body = await readRawBody(req, maxBytes);
+  let formData;
+  try {
+    formData = await new Response(body, { headers: { 'content-type': contentType } }).formData();
+  } catch (error) {
+    throw new RequestError('Malformed multipart body');
+  }
+
+  const fields = {};
+  const files = [];
+  for (const [field, value] of formData.entries()) {
+    if (typeof value === 'string') {
+      fields[field] = value;
+    } else {
+      files.push({
+        field,
+        filename: value.name,
+        contentType: value.type,
+        size: value.size,
+        data: Buffer.from(await value.arrayBuffer())
+      });
+    }
+  }
+
+  return { fields, files };
+}
+
+module.exports = { RequestError, parseMultipart };
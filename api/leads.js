@@ -0,0 +1,83 @@
+/**
+ * GET /api/leads
+ * The stored quote requests for the Dashboard, newest first. Leads hold customers'
+ * contact details, so the list needs `Authorization: Bearer <QUOTE_ADMIN_TOKEN>`.
+ *
+ *   200 { leads: [{ reference, receivedAt, lead, photos: [metadata] }] }   (?limit=, default 100)
+ *   401 / 405 / 500 / 503 (no QUOTE_ADMIN_TOKEN set, or leads can't be stored here) { error }
+ *
+ * Deployed as a Vercel serverless function; `npm run quote:api` serves it locally.
+ */
+
+const crypto = require('crypto');
+const { LeadStoreUnavailableError, createLeadStore } = require('./_lib/leadStore.js');
+
+const MAX_LIMIT = 500;
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Access-Control-Allow-Origin', process.env.QUOTE_API_ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization');
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Compare hashes so the check takes the same time however much of the token matches
+const tokenMatches = (given, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(given).digest(),
+  crypto.createHash('sha256').update(expected).digest()
+);
+
+/**
+ * The /api/leads handler, reading the same store as /api/quote (created on the first request, as there)
+ */
+function createLeadsHandler(options = {}) {
+  let store = options.store || null;
+  const adminToken = options.adminToken === undefined ? process.env.QUOTE_ADMIN_TOKEN : options.adminToken;
+
+  return async function handleLeads(req, res) {
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET, OPTIONS');
+      send(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    if (!adminToken) {
+      send(res, 503, { error: 'Lead list is not configured (set QUOTE_ADMIN_TOKEN)' });
+      return;
+    }
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !tokenMatches(token, adminToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      send(res, 401, { error: 'Not authorized' });
+      return;
+    }
+
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const requested = parseInt(searchParams.get('limit'), 10);
+    const limit = requested > 0 ? Math.min(requested, MAX_LIMIT) : undefined;
+
+    try {
+      store = store || createLeadStore();
+      send(res, 200, { leads: await store.list({ limit }) });
+    } catch (error) {
+      if (error instanceof LeadStoreUnavailableError) {
+        send(res, 503, { error: error.message });
+        return;
+      }
+      console.error('Failed to list quote requests:', error);
+      send(res, 500, { error: 'Could not load the quote requests' });
+    }
+  };
+}
+
+const handler = createLeadsHandler();
+
+module.exports = handler;
+module.exports.createLeadsHandler = createLeadsHandler;
@@ -0,0 +1,121 @@
+/**
+ * POST /api/quote
+ * Receives a quote request from the website (multipart/form-data: the lead fields
+ * plus up to five `photos`), validates it, stores it and replies with a reference
+ * number for the customer.
+ *
+ *   201 { reference, receivedAt }
+ *   400 { error, errors: { field: message } }
+ *   405 / 413 / 415 / 500 { error }
+ *   503 { error } where leads can't be stored (on Vercel, see createLeadStore)
+ *
+ * Deployed as a Vercel serverless function; `npm run quote:api` serves it locally.
+ */
+
+const { RequestError, parseMultipart } = require('./_lib/multipart.js');
+const { LeadStoreUnavailableError, createLeadStore, createReference } = require('./_lib/leadStore.js');
+
+const SAVE_ATTEMPTS = 3;
+
+// The field and photo rules the quote forms use (an ES module shared with the browser)
+let schema = null;
+const loadSchema = () => {
+  schema = schema || import('../src/services/QuoteSchema.mjs');
+  return schema;
+};
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', process.env.QUOTE_API_ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Save under a fresh reference, retrying the rare collision with an existing one
+ */
+async function saveLead(store, lead, photos) {
+  const receivedAt = new Date().toISOString();
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await store.save({ reference: createReference(), lead, photos, receivedAt });
+    } catch (error) {
+      if (attempt >= SAVE_ATTEMPTS || !/exists|UNIQUE/i.test(`${error.code} ${error.message}`)) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * The /api/quote handler. The store is created on the first request, so that where leads
+ * can't be kept the function still loads and refuses quotes with a JSON 503.
+ */
+function createQuoteHandler(options = {}) {
+  let store = options.store || null;
+
+  return async function handleQuote(req, res) {
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST, OPTIONS');
+      send(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      store = store || createLeadStore();
+      const { PHOTO_RULES, validatePhotos, validateQuoteFields } = await loadSchema();
+
+      // Room for full-size photos plus the text fields. Vercel itself caps bodies at 4.5MB,
+      // which is why the browser shrinks large photos before uploading.
+      const maxBytes = PHOTO_RULES.maxCount * PHOTO_RULES.maxSize + 1024 * 1024;
+      const { fields, files } = await parseMultipart(req, { maxBytes });
+
+      const photos = files
+        .filter(file => file.field === 'photos')
+        .map(file => ({ ...file, type: file.contentType, extension: PHOTO_RULES.types[file.contentType] }));
+      const { values: lead, errors } = validateQuoteFields(fields);
+      const photoError = validatePhotos(photos);
+      if (photoError) {
+        errors.photos = photoError;
+      }
+
+      if (Object.keys(errors).length > 0) {
+        send(res, 400, { error: 'Please check the highlighted fields', errors });
+        return;
+      }
+
+      const { reference, receivedAt } = await saveLead(store, lead, photos);
+      console.log(`Quote ${reference} received (${photos.length} photo(s))`);
+      send(res, 201, { reference, receivedAt });
+    } catch (error) {
+      if (error instanceof LeadStoreUnavailableError) {
+        console.error(error.message);
+        // The body is left unread
+        res.setHeader('Connection', 'close');
+        send(res, 503, { error: error.message });
+        return;
+      }
+      if (error instanceof RequestError) {
+        if (error.status === 413) {
+          // Don't keep the connection for another request while the rest of the body drains
+          res.setHeader('Connection', 'close');
+        }
+        send(res, error.status, { error: error.message });
+        return;
+      }
+      console.error('Failed to store quote request:', error);
+      send(res, 500, { error: 'Could not save your quote request' });
+    }
+  };
+}
+
+const handler = createQuoteHandler();
+
+module.exports = handler;
+module.exports.createQuoteHandler = createQuoteHandler;
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Knowledge Index Builder
+ * Splits the markdown documents in knowledge/ into passages (one per heading, long sections
+ * split at paragraphs), embeds them with Ollama's /api/embeddings and writes the index the
+ * chatbot searches. Passages whose text has not changed keep their previous embedding.
+ *
+ * Usage: npm run knowledge:index [-- --docs knowledge --out public/knowledge-index.json --force]
+ *   REACT_APP_OLLAMA_URL            Ollama server (default http://localhost:11434)
+ *   REACT_APP_RAG_EMBEDDING_MODEL   Embedding model (default nomic-embed-text)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_PASSAGE_CHARS = 1200;
+
+function parseArgs(argv) {
+  const args = { docs: 'knowledge', out: path.join('public', 'knowledge-index.json'), force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--docs') args.docs = argv[++i];
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--force') args.force = true;
+  }
+  return args;
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Paragraph groups of at most MAX_PASSAGE_CHARS (a longer single paragraph stays whole)
+ */
+function splitParagraphs(text) {
+  const chunks = [];
+  let current = '';
+
+  text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+    if (current && current.length + paragraph.length + 2 > MAX_PASSAGE_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  });
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Passages ({ id, source, title, text }) of one markdown document
+ */
+function chunkMarkdown(markdown, source) {
+  const passages = [];
+  const headings = [];
+  let lines = [];
+  let inFence = false;
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    lines = [];
+    if (!text) {
+      return;
+    }
+
+    const title = headings.filter(Boolean).join(' › ') || path.basename(source, '.md');
+    const chunks = splitParagraphs(text);
+    chunks.forEach((chunk, index) => {
+      passages.push({
+        id: `${source}#${slugify(title)}${chunks.length > 1 ? `-${index + 1}` : ''}`,
+        source,
+        title,
+        text: chunk
+      });
+    });
+  };
+
+  markdown.split(/\r?\n/).forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const heading = !inFence && line.match(/^(#{1,3})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      headings.length = level - 1;
+      headings[level - 1] = heading[2];
+      return;
+    }
+
+    lines.push(line);
+  });
+  flush();
+
+  return passages;
+}
+
+function listDocuments(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listDocuments(fullPath);
+    }
+    return entry.name.endsWith('.md') && entry.name.toLowerCase() !== 'readme.md' ? [fullPath] : [];
+  });
+}
+
+async function embed(ollamaUrl, model, text) {
+  const response = await fetch(`${ollamaUrl.replace(/\/+$/, '')}/api/embeddings`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model, prompt: text })
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`Embedding request failed with status ${response.status} ${detail}`.trim());
+  }
+
+  const data = await response.json();
+  if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+    throw new Error(`No embedding returned, is "${model}" an embedding model?`);
+  }
+  return data.embedding.map(value => Math.round(value * 1e6) / 1e6);
+}
+
+function loadPreviousIndex(file, model) {
+  try {
+    const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return index.model === model ? index : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function buildIndex() {
+  const args = parseArgs(process.argv.slice(2));
+  const ollamaUrl = process.env.REACT_APP_OLLAMA_URL || 'http://localhost:11434';
+  const model = process.env.REACT_APP_RAG_EMBEDDING_MODEL || 'nomic-embed-text';
+
+  console.log('📚 Building knowledge index...');
+  console.log(`Documents: ${args.docs}`);
+  console.log(`Ollama: ${ollamaUrl} (${model})`);
+
+  if (!fs.existsSync(args.docs)) {
+    throw new Error(`Documents folder not found: ${args.docs}`);
+  }
+
+  const documents = listDocuments(args.docs);
+  const passages = documents.flatMap(file => (
+    chunkMarkdown(fs.readFileSync(file, 'utf8'), path.relative(args.docs, file).split(path.sep).join('/'))
+  ));
+
+  const previous = args.force ? null : loadPreviousIndex(args.out, model);
+  const previousEmbeddings = new Map((previous ? previous.passages : []).map(passage => [passage.hash, passage.embedding]));
+  let embedded = 0;
+
+  const indexed = [];
+  for (const passage of passages) {
+    const input = `${passage.title}\n\n${passage.text}`;
+    const hash = crypto.createHash('sha256').update(input).digest('hex').slice(0, 16);
+    let embedding = previousEmbeddings.get(hash);
+
+    if (!embedding) {
+      embedding = await embed(ollamaUrl, model, input);
+      embedded++;
+      process.stdout.write('.');
+    }
+
+    indexed.push({ ...passage, hash, embedding });
+  }
+  if (embedded > 0) {
+    process.stdout.write('\n');
+  }
+
+  const index = {
+    version: 1,
+    model,
+    createdAt: new Date().toISOString(),
+    dimensions: indexed.length > 0 ? indexed[0].embedding.length : 0,
+    passages: indexed
+  };
+
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, JSON.stringify(index));
+
+  console.log(`✅ Indexed ${indexed.length} passages from ${documents.length} documents ` +
+    `(${embedded} embedded, ${indexed.length - embedded} unchanged) into ${args.out}`);
+}
+
+if (require.main === module) {
+  buildIndex().catch(error => {
+    console.error(`❌ ${error.message}`);
+    if (/fetch failed|ECONNREFUSED/.test(error.message)) {
+      console.error('   Is Ollama running? Pull the model first with: ollama pull nomic-embed-text');
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = { chunkMarkdown, splitParagraphs };
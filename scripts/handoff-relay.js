@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Local Handoff Relay
+ * In-memory stand-in for the message relay used by the chatbot's "Talk to a person"
+ * handoff and the Dashboard inbox. Data is lost when the process stops.
+ *
+ * Usage: npm run handoff:relay   (HANDOFF_RELAY_PORT, default 4010)
+ *
+ *   POST /handoffs                    { lead, transcript }      -> handoff
+ *   GET  /handoffs                                              -> { handoffs }
+ *   GET  /handoffs/:id                                          -> handoff with messages
+ *   POST /handoffs/:id/messages       { from, text, author? }   -> message
+ *   GET  /handoffs/:id/messages?after=<messageId>               -> { status, messages }
+ *   POST /handoffs/:id/close                                    -> handoff
+ */
+
+const http = require('http');
+
+const port = parseInt(process.env.HANDOFF_RELAY_PORT, 10) || 4010;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const handoffs = new Map();
+let nextHandoffId = 1;
+let nextMessageId = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+      if (data.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(new Error('Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function summarize(handoff) {
+  const { messages, transcript, ...summary } = handoff;
+  const lastMessage = messages[messages.length - 1];
+  return {
+    ...summary,
+    messageCount: messages.length,
+    lastMessageAt: lastMessage ? lastMessage.createdAt : handoff.createdAt,
+    awaitingReply: lastMessage ? lastMessage.from === 'customer' : handoff.status === 'waiting'
+  };
+}
+
+function addMessage(handoff, { from, text, author }) {
+  const message = {
+    id: `m${nextMessageId++}`,
+    from,
+    author: author || (from === 'agent' ? 'Our team' : handoff.lead.name || 'Customer'),
+    text,
+    createdAt: new Date().toISOString()
+  };
+  handoff.messages.push(message);
+
+  if (from === 'agent' && handoff.status === 'waiting') {
+    handoff.status = 'connected';
+  }
+  return message;
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (req.method === 'OPTIONS') {
+    return send(res, 204);
+  }
+
+  if (parts[0] !== 'handoffs') {
+    return send(res, 404, { error: 'Not found' });
+  }
+
+  // /handoffs
+  if (parts.length === 1) {
+    if (req.method === 'GET') {
+      const list = [...handoffs.values()].reverse().map(summarize);
+      return send(res, 200, { handoffs: list });
+    }
+
+    if (req.method === 'POST') {
+      const { lead = {}, transcript = [] } = await readBody(req);
+      const handoff = {
+        id: `h${nextHandoffId++}`,
+        status: 'waiting',
+        lead,
+        transcript,
+        messages: [],
+        createdAt: new Date().toISOString()
+      };
+      handoffs.set(handoff.id, handoff);
+      console.log(`🙋 Handoff ${handoff.id} requested by ${lead.name || 'a customer'}`);
+      return send(res, 201, summarize(handoff));
+    }
+  }
+
+  const handoff = handoffs.get(parts[1]);
+  if (!handoff) {
+    return send(res, 404, { error: 'Handoff not found' });
+  }
+
+  // /handoffs/:id
+  if (parts.length === 2 && req.method === 'GET') {
+    return send(res, 200, handoff);
+  }
+
+  // /handoffs/:id/messages
+  if (parts[2] === 'messages') {
+    if (req.method === 'GET') {
+      const after = url.searchParams.get('after');
+      const afterIndex = after ? handoff.messages.findIndex(message => message.id === after) : -1;
+      return send(res, 200, { status: handoff.status, messages: handoff.messages.slice(afterIndex + 1) });
+    }
+
+    if (req.method === 'POST') {
+      const { from, text, author } = await readBody(req);
+      if (!['customer', 'agent'].includes(from) || typeof text !== 'string' || !text.trim()) {
+        return send(res, 400, { error: 'Expected { from: "customer" | "agent", text }' });
+      }
+      if (handoff.status === 'closed') {
+        return send(res, 409, { error: 'Handoff is closed' });
+      }
+      return send(res, 201, addMessage(handoff, { from, text: text.trim(), author }));
+    }
+  }
+
+  // /handoffs/:id/close
+  if (parts[2] === 'close' && req.method === 'POST') {
+    handoff.status = 'closed';
+    return send(res, 200, summarize(handoff));
+  }
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(error => send(res, 400, { error: error.message }));
+});
+
+server.listen(port, () => {
+  console.log(`🔁 Handoff relay listening on http://localhost:${port}`);
+  console.log(`   Set REACT_APP_HANDOFF_RELAY_URL=http://localhost:${port} to enable "Talk to a person"`);
+});
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Local Quote API
+ * Serves the /api/quote and /api/leads serverless functions with plain Node, so quote
+ * forms can be submitted and the Dashboard can list them during `npm start` without the Vercel CLI.
+ *
+ * Usage: npm run quote:api   (QUOTE_API_PORT, default 4020)
+ *
+ *   POST /api/quote   multipart/form-data (lead fields + photos)   -> { reference, receivedAt }
+ *   GET  /api/leads   Authorization: Bearer <QUOTE_ADMIN_TOKEN>     -> { leads }
+ *
+ * Leads are stored per QUOTE_STORE / QUOTE_STORE_DIR (default: files under .data/quotes).
+ */
+
+const http = require('http');
+const { createQuoteHandler } = require('../api/quote.js');
+const { createLeadsHandler } = require('../api/leads.js');
+const { createLeadStore } = require('../api/_lib/leadStore.js');
+
+const port = parseInt(process.env.QUOTE_API_PORT, 10) || 4020;
+
+// One store for both, so the list shows what was posted even with QUOTE_STORE=memory
+const store = createLeadStore();
+const handleQuote = createQuoteHandler({ store });
+const handleLeads = createLeadsHandler({ store });
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${port}`);
+
+  if (pathname === '/api/quote') {
+    handleQuote(req, res);
+    return;
+  }
+  if (pathname === '/api/leads') {
+    handleLeads(req, res);
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Not found' }));
+});
+
+server.listen(port, () => {
+  console.log(`📨 Quote API listening on http://localhost:${port}/api/quote`);
+  console.log(`   Set REACT_APP_QUOTE_API_URL=http://localhost:${port}/api/quote to submit quotes from npm start`);
+  console.log(`   and REACT_APP_QUOTE_LEADS_URL=http://localhost:${port}/api/leads to list them on the Dashboard`);
+});
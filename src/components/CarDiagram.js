@@ -0,0 +1,88 @@
+import React from 'react';
+import { DAMAGE_AREAS } from '../services/QuoteSchema.mjs';
+import './CarDiagram.css';
+
+// Clickable regions of a car seen from above, front at the top (viewBox 0 0 160 300)
+const REGIONS = {
+  Front: { x: 30, y: 10, width: 100, height: 30 },
+  Bonnet: { x: 30, y: 40, width: 100, height: 60 },
+  Roof: { x: 30, y: 100, width: 100, height: 90 },
+  Boot: { x: 30, y: 190, width: 100, height: 60 },
+  Rear: { x: 30, y: 250, width: 100, height: 30 },
+  'Left side': { x: 5, y: 40, width: 25, height: 210 },
+  'Right side': { x: 130, y: 40, width: 25, height: 210 }
+};
+
+const WHEELS = [[0, 55], [150, 55], [0, 205], [150, 205]];
+
+const parseAreas = (value) => String(value || '').split(',').map(area => area.trim()).filter(Boolean);
+
+/**
+ * Damaged areas picked on a car diagram. The value is a comma-separated list of
+ * DAMAGE_AREAS (e.g. "Front, Left side"), the way the quote schema stores it; each
+ * region is a checkbox for keyboard and screen reader users.
+ */
+const CarDiagram = ({ id, value = '', onChange, invalid = false, describedBy }) => {
+  const selected = parseAreas(value);
+
+  const toggle = (area) => {
+    const next = selected.includes(area)
+      ? selected.filter(item => item !== area)
+      : [...selected, area];
+    onChange(DAMAGE_AREAS.filter(option => next.includes(option)).join(', '));
+  };
+
+  const handleKeyDown = (e, area) => {
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      toggle(area);
+    }
+  };
+
+  return (
+    <div className={`car-diagram${invalid ? ' invalid' : ''}`} id={id}>
+      <svg
+        viewBox="0 0 160 300"
+        role="group"
+        aria-label="Car seen from above, front at the top"
+        aria-describedby={describedBy}
+      >
+        {WHEELS.map(([x, y]) => (
+          <rect key={`${x}-${y}`} className="car-diagram-wheel" x={x} y={y} width="10" height="30" rx="3" aria-hidden="true" />
+        ))}
+        {DAMAGE_AREAS.map(area => {
+          const region = REGIONS[area];
+          const isSelected = selected.includes(area);
+          const vertical = region.width < region.height / 2;
+          return (
+            <g
+              key={area}
+              className={`car-diagram-area${isSelected ? ' selected' : ''}`}
+              role="checkbox"
+              aria-checked={isSelected}
+              aria-label={area}
+              tabIndex={0}
+              onClick={() => toggle(area)}
+              onKeyDown={(e) => handleKeyDown(e, area)}
+            >
+              <rect {...region} rx="6" />
+              <text
+                x={region.x + region.width / 2}
+                y={region.y + region.height / 2}
+                transform={vertical ? `rotate(-90 ${region.x + region.width / 2} ${region.y + region.height / 2})` : undefined}
+                aria-hidden="true"
+              >
+                {area}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <p className="car-diagram-summary">
+        {selected.length > 0 ? `Damaged: ${selected.join(', ')}` : 'No damaged areas selected'}
+      </p>
+    </div>
+  );
+};
+
+export default CarDiagram;
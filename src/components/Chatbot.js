@@ -2,11 +2,38 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 import './Chatbot.css';
 import OllamaService, { OllamaConnectionError } from '../services/OllamaService.js';
 import ConversationManager from '../services/ConversationManager.js';
+import { createStorageAdapter } from '../services/storage/index.js';
+import QuoteFlow from '../services/QuoteFlow.js';
+import { submitQuote } from '../services/QuoteService.js';
+import { validatePhotos, downscaleImage, toBase64 } from '../services/PhotoService.js';
+import FeedbackStore, { RATING_UP, RATING_DOWN } from '../services/FeedbackStore.js';
+import HandoffService, { HANDOFF_STEPS } from '../services/HandoffService.js';
+import GuardrailLog from '../services/GuardrailLog.js';
 import ConnectionMonitor from './ConnectionMonitor.js';
 import ConnectionQualityIndicator from './ConnectionQualityIndicator.js';
 import TimeoutProgressIndicator from './TimeoutProgressIndicator.js';
+import SellNowModal from './SellNowModal.js';
+import MarkdownMessage from './MarkdownMessage.js';
+import { selectCitations } from '../services/KnowledgeBase.js';
+import { createChatToolRegistry } from '../services/ChatTools.js';
 import chatbotConfig from '../config/ChatbotConfig.js';
 
+const WELCOME_MESSAGE = "Hello! I'm your car buying assistant. I can help you with selling your damaged car in New Zealand. How can I assist you today?";
+
+const PHOTO_ONLY_MESSAGE = 'Here are some photos of my car.';
+
+// Photos kept with a sent message, for resending it. Only the small previews are stored,
+// so a regenerated or edited turn sends its photos to the model at preview size.
+const getMessagePhotos = (message) => (message.images || []).map(preview => ({
+  preview,
+  image: toBase64(preview)
+}));
+
+// Quote form values from the lead draft, once the car itself is known
+const getQuotePrefill = (leadDraft) => (
+  leadDraft && leadDraft.hasVehicleDetails() ? leadDraft.getFormData() : null
+);
+
 const Chatbot = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [inputValue, setInputValue] = useState('');
@@ -15,6 +42,19 @@ const Chatbot = () => {
   const [streamingMessageId, setStreamingMessageId] = useState(null);
   const [showConnectionDetails, setShowConnectionDetails] = useState(false);
   const [serviceStatus, setServiceStatus] = useState({ mode: 'normal', message: '', canUseAI: true });
+  const [quotePrefill, setQuotePrefill] = useState(null);
+  const [isQuoteOpen, setIsQuoteOpen] = useState(false);
+  // Current step of the in-chat quote flow (null when not running)
+  const [quoteStep, setQuoteStep] = useState(null);
+  const [quoteSubmitted, setQuoteSubmitted] = useState(false);
+  // Photos attached to the next message: { preview: small data URL, image: base64 for the model }
+  const [pendingPhotos, setPendingPhotos] = useState([]);
+  // User message being edited; sending replaces it on a new branch
+  const [editingMessage, setEditingMessage] = useState(null);
+  // Optional comment box shown after rating an answer: { messageId, comment }
+  const [feedbackPrompt, setFeedbackPrompt] = useState(null);
+  // Human handoff while a person on the team replies instead of the model
+  const [handoff, setHandoff] = useState(null);
   
   // Network reliability state
   const [timeoutProgress, setTimeoutProgress] = useState({
@@ -31,23 +71,206 @@ const Chatbot = () => {
   // Service refs
   const ollamaService = useRef(null);
   const conversationManager = useRef(null);
+  // Cancellable handle of the in-flight chat request
+  const activeRequest = useRef(null);
+  const quoteFlow = useRef(null);
+  // What the step-by-step flow collects details for: 'quote' or 'handoff'
+  const flowPurpose = useRef('quote');
+  const photoInputRef = useRef(null);
+  const feedbackStore = useRef(null);
+  const handoffService = useRef(null);
+  const toolRegistry = useRef(null);
+  const guardrailLog = useRef(null);
   
   // Messages state - will be initialized after services are ready
   const [messages, setMessages] = useState([]);
 
+  // Closing only hides the window, the conversation is kept until a new chat is started
   const toggleChatbot = () => {
     setIsOpen(!isOpen);
-    // Reset conversation when closing chatbot for privacy
-    if (isOpen) {
-      conversationManager.current.clearHistory();
-      const welcomeMessage = conversationManager.current.addMessage(
-        "Hello! I'm your car buying assistant. I can help you with selling your damaged car in New Zealand. How can I assist you today?",
+  };
+
+  const startNewChat = () => {
+    if (activeRequest.current && activeRequest.current.cancel) {
+      activeRequest.current.cancel('New chat started');
+    }
+    
+    if (handoff) {
+      handoffService.current.closeHandoff(handoff.id)
+        .catch(error => console.warn('Failed to close handoff:', error));
+      setHandoff(null);
+    }
+    
+    conversationManager.current.startNewConversation();
+    const welcomeMessage = conversationManager.current.addMessage(WELCOME_MESSAGE, true);
+    setMessages([welcomeMessage]);
+    setQuotePrefill(null);
+    quoteFlow.current = null;
+    setQuoteStep(null);
+    setQuoteSubmitted(false);
+    setEditingMessage(null);
+    setFeedbackPrompt(null);
+  };
+
+  // Scripted messages (quote questions, handoff notices) are not model answers,
+  // so they can't be regenerated, edited or rated
+  const appendMessage = (text, isBot) => {
+    const message = conversationManager.current.addMessage(text, isBot, { scripted: true });
+    setMessages(prev => [...prev, message]);
+    return message;
+  };
+
+  // Run a step-by-step flow, starting with the customer's choice as their message
+  const beginFlow = (flow, purpose, choice) => {
+    quoteFlow.current = flow;
+    flowPurpose.current = purpose;
+
+    appendMessage(choice, false);
+    const firstStep = flow.start();
+    if (firstStep) {
+      appendMessage(firstStep.question, true);
+      setQuoteStep(firstStep);
+    } else {
+      finishFlow();
+    }
+  };
+
+  const finishFlow = () => (
+    flowPurpose.current === 'handoff' ? completeHandoffRequest() : completeQuoteFlow()
+  );
+
+  // Guided "Get a quote" flow: questions and answers are shown in the chat but never sent to the model
+  const startQuoteFlow = () => {
+    beginFlow(new QuoteFlow({
+      initialData: conversationManager.current.getLeadDraft().getFormData(),
+      // Longer typed answers are read by the model, e.g. "a 2015 Mazda 3 that won't start"
+      interpret: ({ question, answer, fields }) =>
+        ollamaService.current.extractLeadFacts(
+          [{ text: question, isBot: true }, { text: answer, isBot: false }],
+          fields,
+          { sessionId: conversationManager.current.sessionId }
+        )
+    }), 'quote', 'Get a quote');
+  };
+
+  // "Talk to a person": ask for contact details not known yet, then hand the chat to the team
+  const startHandoffRequest = () => {
+    beginFlow(new QuoteFlow({
+      steps: HANDOFF_STEPS,
+      initialData: conversationManager.current.getLeadDraft().getFormData()
+    }), 'handoff', 'Talk to a person');
+  };
+
+  const answerQuoteStep = async (text, fromChip = false) => {
+    appendMessage(text, false);
+    setIsLoading(true);
+
+    try {
+      const result = await quoteFlow.current.answer(text, { fromChip });
+
+      if (!result.accepted) {
+        appendMessage(`${result.error} ${result.step.question}`, true);
+      } else if (result.done) {
+        finishFlow();
+      } else {
+        appendMessage(result.step.question, true);
+        setQuoteStep(result.step);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const completeQuoteFlow = async () => {
+    const lead = quoteFlow.current.getPayload();
+    quoteFlow.current = null;
+    setQuoteStep(null);
+    setIsLoading(true);
+
+    try {
+      const { reference } = await submitQuote(lead);
+      appendMessage(
+        `Thanks ${lead.name}! Your details for the ${lead.year} ${lead.make} ${lead.model} have been sent to our team. ` +
+        `Your reference number is ${reference}. We will be in touch shortly with your quote.`,
+        true
+      );
+      setQuoteSubmitted(true);
+    } catch (error) {
+      console.error('Quote submission error:', error);
+      const { quoteSubmitFailed } = chatbotConfig.getChatConfig().fallbackMessages;
+      appendMessage(ollamaService.current.fallbackResponder.render(quoteSubmitFailed), true);
+      // Offer the answers as a prefilled quote form so nothing has to be typed again
+      setQuotePrefill(lead);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelQuoteFlow = () => {
+    quoteFlow.current.cancel();
+    quoteFlow.current = null;
+    setQuoteStep(null);
+    appendMessage(
+      flowPurpose.current === 'handoff'
+        ? 'No problem, I\'m still here to help. What would you like to know?'
+        : 'No problem. Ask me anything else, or start a quote again whenever you like.',
+      true
+    );
+  };
+
+  // Create the handoff on the relay with the lead and the full transcript
+  const completeHandoffRequest = async () => {
+    const lead = quoteFlow.current.getPayload();
+    quoteFlow.current = null;
+    setQuoteStep(null);
+    setIsLoading(true);
+
+    try {
+      const created = await handoffService.current.requestHandoff({
+        lead,
+        transcript: conversationManager.current.getTranscript()
+      });
+      setHandoff(conversationManager.current.startHandoff({
+        id: created.id,
+        status: created.status,
+        contact: { name: lead.name, phone: lead.phone }
+      }));
+      appendMessage(
+        `Thanks ${lead.name}! I've passed our conversation to the team and someone will reply here shortly. ` +
+        `If you have to go, we'll call you on ${lead.phone}.`,
         true
       );
-      setMessages([welcomeMessage]);
+    } catch (error) {
+      console.error('Handoff request error:', error);
+      const { handoffUnavailable } = chatbotConfig.getChatConfig().fallbackMessages;
+      appendMessage(ollamaService.current.fallbackResponder.render(handoffUnavailable), true);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const sendHandoffMessage = async (text) => {
+    const message = conversationManager.current.addMessage(text, false, { handoff: true });
+    setMessages(prev => [...prev, message]);
+
+    try {
+      await handoffService.current.sendMessage(handoff.id, text);
+    } catch (error) {
+      console.error('Handoff message error:', error);
+      const undelivered = conversationManager.current.updateMessage(message.id, { status: 'undelivered' });
+      setMessages(prev => prev.map(msg => (msg.id === message.id ? undelivered : msg)));
     }
   };
 
+  // The customer goes back to the assistant; the team keeps the lead and transcript
+  const endHandoff = () => {
+    handoffService.current.closeHandoff(handoff.id)
+      .catch(error => console.warn('Failed to close handoff:', error));
+    conversationManager.current.endHandoff();
+    setHandoff(null);
+    appendMessage('You\'re chatting with our assistant again. Our team still has your details.', true);
+  };
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
@@ -82,18 +305,119 @@ const Chatbot = () => {
     if (!ollamaService.current) {
       ollamaService.current = new OllamaService();
     }
+    if (!toolRegistry.current && chatbotConfig.getChatConfig().tools.enabled) {
+      toolRegistry.current = createChatToolRegistry();
+    }
     if (!conversationManager.current) {
-      conversationManager.current = new ConversationManager(chatbotConfig.getChatConfig().maxHistoryLength);
+      const {
+        maxHistoryLength, systemPrompt, summarization, leadExtraction, persistence, feedback, handoff: handoffConfig,
+        guardrails
+      } = chatbotConfig.getChatConfig();
+      const { parameters } = chatbotConfig.getOllamaConfig();
+      const manager = new ConversationManager(maxHistoryLength, {
+        // Trim history to what fits in the model's context next to the reply; without a
+        // configured context size, allow a prompt as long as the reply
+        contextSize: parameters.context_size || parameters.max_tokens * 2,
+        reservedTokens: parameters.max_tokens,
+        systemPrompt,
+        ...(summarization && {
+          summarizer: ({ previousSummary, messages }) =>
+            ollamaService.current.summarizeConversation(previousSummary, messages, {
+              sessionId: manager.sessionId
+            })
+        }),
+        ...(leadExtraction && {
+          leadExtractor: ({ messages, fields }) =>
+            ollamaService.current.extractLeadFacts(messages, fields, {
+              sessionId: manager.sessionId
+            })
+        }),
+        ...(persistence.enabled && {
+          storage: createStorageAdapter(persistence.storage),
+          retentionMs: persistence.retentionHours * 60 * 60 * 1000
+        })
+      });
+      conversationManager.current = manager;
+
+      // Ratings outlive the conversation so the Dashboard can list them
+      if (feedback.enabled) {
+        feedbackStore.current = new FeedbackStore({
+          storage: createStorageAdapter(persistence.storage),
+          maxEntries: feedback.maxEntries
+        });
+      }
+
+      if (handoffConfig.relayUrl) {
+        handoffService.current = new HandoffService(handoffConfig);
+      }
+
+      // Refused messages and flagged replies, reviewed on the Dashboard
+      if (guardrails.enabled) {
+        guardrailLog.current = new GuardrailLog({
+          storage: createStorageAdapter(persistence.storage),
+          maxEntries: guardrails.maxLogEntries
+        });
+      }
       
-      // Add welcome message
-      const welcomeMessage = conversationManager.current.addMessage(
-        "Hello! I'm your car buying assistant. I can help you with selling your damaged car in New Zealand. How can I assist you today?",
-        true
-      );
-      setMessages([welcomeMessage]);
+      // Pick up the conversation from before a reload, otherwise greet the customer
+      manager.restore().then(restored => {
+        if (restored) {
+          setMessages([...manager.messages]);
+          setQuotePrefill(getQuotePrefill(manager.getLeadDraft()));
+          // Resume waiting for the team after a reload
+          if (manager.isHandoffActive() && handoffService.current) {
+            setHandoff(manager.getHandoff());
+          }
+        } else {
+          setMessages([manager.addMessage(WELCOME_MESSAGE, true)]);
+        }
+      });
     }
+    
+    // Write pending changes before the page goes away
+    const flushConversation = () => conversationManager.current.flush();
+    window.addEventListener('pagehide', flushConversation);
+    
+    return () => {
+      window.removeEventListener('pagehide', flushConversation);
+      flushConversation();
+    };
   }, []);
 
+  // Show the team's replies while a handoff is open
+  const handoffId = handoff && handoff.status !== 'closed' ? handoff.id : null;
+  useEffect(() => {
+    if (!handoffId || !handoffService.current) {
+      return undefined;
+    }
+
+    const manager = conversationManager.current;
+    const { lastMessageId } = manager.getHandoff();
+
+    return handoffService.current.watch(handoffId, { afterId: lastMessageId, from: 'agent' }, ({ messages: replies, status }) => {
+      const added = replies.map(reply =>
+        manager.addMessage(reply.text, true, { agent: true, author: reply.author })
+      );
+      // Remember the last reply shown so a reload doesn't show it twice
+      const lastReply = replies[replies.length - 1];
+      manager.updateHandoff({ status, ...(lastReply && { lastMessageId: lastReply.id }) });
+
+      if (status === 'closed') {
+        added.push(manager.addMessage(
+          'Our team has finished this conversation. I\'m back to help with anything else.',
+          true,
+          { scripted: true }
+        ));
+        manager.endHandoff();
+      }
+
+      setHandoff(manager.getHandoff());
+      if (added.length > 0) {
+        setMessages(prev => [...prev, ...added]);
+      }
+    });
+  }, [handoffId]);
+
   // Update network reliability status periodically
   useEffect(() => {
     const updateNetworkStatus = () => {
@@ -124,27 +448,160 @@ const Chatbot = () => {
     };
   }, []);
 
+  const stopGenerating = () => {
+    if (activeRequest.current && activeRequest.current.cancel) {
+      activeRequest.current.cancel('Request cancelled by user');
+    }
+  };
+
+  const handlePhotoSelect = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = ''; // Let the same photo be picked again after removing it
+    
+    const photoError = validatePhotos(files, pendingPhotos.length);
+    if (photoError) {
+      alert(photoError);
+      return;
+    }
+    
+    try {
+      const processed = await Promise.all(files.map(async file => ({
+        // The small copy stays with the message for display, the larger one goes to the model
+        preview: await downscaleImage(file, { maxDimension: 160, quality: 0.7 }),
+        image: toBase64(await downscaleImage(file, { maxDimension: 1024 }))
+      })));
+      setPendingPhotos(prev => [...prev, ...processed]);
+    } catch (error) {
+      console.error('Photo processing error:', error);
+      alert('Sorry, one of those photos could not be read. Please try a different image.');
+    }
+  };
+
+  const removePendingPhoto = (index) => {
+    setPendingPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Show the active branch after it changed in the conversation manager
+  const showActiveBranch = () => {
+    setMessages([...conversationManager.current.messages]);
+  };
+
+  const startEditing = (message) => {
+    setEditingMessage(message);
+    setInputValue(message.text === PHOTO_ONLY_MESSAGE ? '' : message.text);
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setInputValue('');
+  };
+
+  // Ask again for a new reply to the question before it; the old reply stays as an alternative
+  const regenerateReply = (botMessage) => {
+    const question = conversationManager.current.branchFrom(botMessage.id);
+    showActiveBranch();
+    return sendChatMessage(question.text, getMessagePhotos(question), question);
+  };
+
+  const selectBranch = (messageId) => {
+    conversationManager.current.switchBranch(messageId);
+    showActiveBranch();
+    setEditingMessage(null);
+  };
+
+  const saveRating = (messageId, rating, comment = '') => {
+    const exchange = conversationManager.current.rateMessage(messageId, rating, comment);
+    const ratedMessage = conversationManager.current.findMessage(messageId);
+    setMessages(prev => prev.map(msg => (msg.id === messageId ? ratedMessage : msg)));
+
+    if (exchange) {
+      feedbackStore.current.record({
+        ...exchange,
+        model: exchange.model || chatbotConfig.getOllamaConfig().model
+      }).catch(error => console.warn('Failed to save feedback:', error));
+    }
+  };
+
+  // Rating the same way twice clears the rating
+  const rateAnswer = (message, rating) => {
+    const newRating = message.feedback && message.feedback.rating === rating ? null : rating;
+    saveRating(message.id, newRating);
+    setFeedbackPrompt(newRating === null ? null : { messageId: message.id, comment: '' });
+  };
+
+  const submitFeedbackComment = (e, message) => {
+    e.preventDefault();
+    if (feedbackPrompt.comment.trim()) {
+      saveRating(message.id, message.feedback.rating, feedbackPrompt.comment);
+    }
+    setFeedbackPrompt(null);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!inputValue.trim() || isLoading) return;
+    if ((!inputValue.trim() && pendingPhotos.length === 0) || isLoading) return;
+
+    if (quoteStep) {
+      if (!inputValue.trim()) return;
+      answerQuoteStep(inputValue.trim());
+      setInputValue('');
+      return;
+    }
+
+    // During a handoff messages go to the team, not the model
+    if (handoff) {
+      if (!inputValue.trim()) return;
+      sendHandoffMessage(inputValue.trim());
+      setInputValue('');
+      return;
+    }
 
-    const userMessageText = inputValue.trim();
+    const userMessageText = inputValue.trim() || PHOTO_ONLY_MESSAGE;
+    let photos = pendingPhotos;
     setInputValue('');
+    setPendingPhotos([]);
+
+    if (editingMessage) {
+      // The original question and its replies stay available as an alternative branch
+      photos = [...getMessagePhotos(editingMessage), ...photos];
+      conversationManager.current.branchFrom(editingMessage.id);
+      showActiveBranch();
+      setEditingMessage(null);
+    }
+
+    return sendChatMessage(userMessageText, photos);
+  };
+
+  // Send a question and stream the reply. With `question`, a message already in the
+  // conversation is answered again instead of a new one being added.
+  const sendChatMessage = async (userMessageText, photos = [], question = null) => {
     setIsLoading(true);
 
+    let botMessage = null;
+    let partialText = '';
+    const toolCalls = [];
+
     try {
+      // Get conversation context before the new turn, the service appends it as the user message
+      const conversationHistory = question
+        ? conversationManager.current.getContextForOllama(userMessageText, question.id)
+        : conversationManager.current.getContextForOllama(userMessageText);
+
       // Add user message to conversation
-      const userMessage = conversationManager.current.addMessage(userMessageText, false);
-      setMessages(prev => [...prev, userMessage]);
+      if (!question) {
+        const userMessage = conversationManager.current.addMessage(
+          userMessageText,
+          false,
+          photos.length > 0 ? { images: photos.map(photo => photo.preview) } : {}
+        );
+        setMessages(prev => [...prev, userMessage]);
+      }
 
       // Create placeholder bot message for streaming
-      const botMessage = conversationManager.current.addMessage('', true);
+      botMessage = conversationManager.current.addMessage('', true);
       setMessages(prev => [...prev, botMessage]);
       setStreamingMessageId(botMessage.id);
 
-      // Get conversation context
-      const conversationHistory = conversationManager.current.getContextForOllama();
-
       // Set up timeout progress tracking
       const requestId = `chat_${Date.now()}`;
       setTimeoutProgress({
@@ -156,10 +613,12 @@ const Chatbot = () => {
       });
 
       // Send message with streaming and fallback support
-      await ollamaService.current.sendMessageStreamWithFallback(
+      const request = ollamaService.current.sendMessageStreamWithFallback(
         userMessageText,
         conversationHistory,
         (_, fullResponse) => {
+          partialText = fullResponse;
+
           // Update the bot message with streaming response
           const updatedMessage = conversationManager.current.updateMessage(botMessage.id, {
             text: fullResponse
@@ -173,6 +632,47 @@ const Chatbot = () => {
         },
         {
           priority: 'normal',
+          ...(photos.length > 0 && { images: photos.map(photo => photo.image) }),
+          // Keep the conversation on the same Ollama endpoint until it fails
+          sessionId: conversationManager.current.sessionId,
+          // Ground the reply in the business documents and keep the sources it was given
+          useKnowledge: true,
+          onCitations: (citations) => {
+            conversationManager.current.updateMessage(botMessage.id, { citations });
+          },
+          // Let the model estimate quotes, check pickups and send leads, keeping each call for auditing
+          ...(toolRegistry.current && {
+            tools: toolRegistry.current,
+            onToolCall: (toolCall) => {
+              toolCalls.push(toolCall);
+              conversationManager.current.updateMessage(botMessage.id, { toolCalls: [...toolCalls] });
+              if (toolCall.name === 'createLead' && !toolCall.error) {
+                setQuoteSubmitted(true);
+              }
+            }
+          }),
+          // Refuse off-topic or injected instructions and flag replies that promise a price
+          useGuardrails: true,
+          onViolation: (violation) => {
+            if (guardrailLog.current) {
+              guardrailLog.current.record(violation)
+                .catch(error => console.warn('Failed to log guardrail violation:', error));
+            }
+            const flaggedMessage = conversationManager.current.updateMessage(botMessage.id, { guardrail: violation.type });
+            if (flaggedMessage) {
+              setMessages(prev => prev.map(msg => (msg.id === botMessage.id ? flaggedMessage : msg)));
+            }
+          },
+          // A canned answer means the assistant couldn't help, so offer a person instead
+          onFallback: () => {
+            conversationManager.current.updateMessage(botMessage.id, { fallback: true });
+          },
+          onDone: (generationStats) => {
+            // Keep Ollama's eval counts and timings with the message they describe
+            conversationManager.current.updateMessage(botMessage.id, { generationStats });
+            // Feed the real prompt size back into the token estimate
+            conversationManager.current.recordPromptTokens(generationStats.promptEvalCount);
+          },
           onTimeout: (type, timeout) => {
             if (type === 'warning') {
               setTimeoutProgress(prev => ({
@@ -191,8 +691,34 @@ const Chatbot = () => {
           }
         }
       );
+      activeRequest.current = request;
+      await request;
+
+      // Fold turns that left the history into the running summary in the background
+      conversationManager.current.summarizeIfNeeded();
+
+      // Pick up any car or contact details from this turn for the quote form
+      conversationManager.current.extractLeadDetails()
+        .then(leadDraft => setQuotePrefill(getQuotePrefill(leadDraft)));
 
     } catch (error) {
+      if (error instanceof OllamaConnectionError && error.type === 'cancelled') {
+        // Keep whatever was generated so far and mark the message as stopped
+        const stoppedMessage = botMessage && conversationManager.current.updateMessage(botMessage.id, {
+          text: partialText || 'Response stopped.',
+          status: 'stopped',
+          // Nothing was generated, so there is no answer to keep in the model's context
+          ...(!partialText && { notice: true })
+        });
+
+        if (stoppedMessage) {
+          setMessages(prev => prev.map(msg => 
+            msg.id === botMessage.id ? stoppedMessage : msg
+          ));
+        }
+        return;
+      }
+
       console.error('Chat error:', error);
       
       let errorMessage = chatbotConfig.getChatConfig().fallbackMessages.unknownError;
@@ -251,22 +777,22 @@ const Chatbot = () => {
       }
 
       // Update the bot message with error
-      if (streamingMessageId) {
-        const updatedMessage = conversationManager.current.updateMessage(streamingMessageId, {
-          text: errorMessage
-        });
-        
-        if (updatedMessage) {
-          setMessages(prev => prev.map(msg => 
-            msg.id === streamingMessageId ? updatedMessage : msg
-          ));
-        }
+      const updatedMessage = botMessage && conversationManager.current.updateMessage(botMessage.id, {
+        text: errorMessage,
+        notice: true
+      });
+
+      if (updatedMessage) {
+        setMessages(prev => prev.map(msg => 
+          msg.id === botMessage.id ? updatedMessage : msg
+        ));
       } else {
         // Add new error message if no streaming message exists
-        const errorMsg = conversationManager.current.addMessage(errorMessage, true);
+        const errorMsg = conversationManager.current.addMessage(errorMessage, true, { notice: true });
         setMessages(prev => [...prev, errorMsg]);
       }
     } finally {
+      activeRequest.current = null;
       setIsLoading(false);
       setStreamingMessageId(null);
       
@@ -347,6 +873,14 @@ const Chatbot = () => {
                   ℹ️
                 </button>
               )}
+              <button 
+                className="new-chat-btn"
+                onClick={startNewChat}
+                disabled={isLoading}
+                title="Start a new chat"
+              >
+                New chat
+              </button>
               <button className="close-btn" onClick={toggleChatbot}>×</button>
             </div>
           </div>
@@ -361,14 +895,205 @@ const Chatbot = () => {
             </div>
           )}
           <div className="chatbot-messages">
-            {messages.map((message) => (
-              <div 
-                key={message.id} 
-                className={`message ${message.isBot ? 'bot-message' : 'user-message'}`}
-              >
-                {message.text}
+            {messages.map((message, index) => {
+              const branch = conversationManager.current.getBranchInfo(message.id);
+              const previousMessage = messages[index - 1];
+              // Regenerate and edit only apply to the conversation with the model
+              const canChange = !isLoading && !quoteStep && !handoff && !message.scripted &&
+                !message.agent && !message.handoff;
+              const canRegenerate = canChange && message.isBot && index === messages.length - 1 &&
+                Boolean(previousMessage) && !previousMessage.isBot && !previousMessage.scripted;
+              const canEdit = canChange && !message.isBot;
+              const canRate = Boolean(feedbackStore.current) && message.isBot && !message.scripted && !message.agent &&
+                message.id !== streamingMessageId && Boolean(previousMessage) && !previousMessage.isBot;
+              const rating = message.feedback ? message.feedback.rating : null;
+
+              return (
+                <div 
+                  key={message.id} 
+                  className={`message ${message.isBot ? 'bot-message' : 'user-message'}${message.id === streamingMessageId ? ' streaming' : ''}${editingMessage && editingMessage.id === message.id ? ' editing' : ''}`}
+                >
+                  {message.images && message.images.length > 0 && (
+                    <div className="message-images">
+                      {message.images.map((src, imageIndex) => (
+                        <img key={imageIndex} src={src} alt={`Attachment ${imageIndex + 1}`} />
+                      ))}
+                    </div>
+                  )}
+                  {message.agent && (
+                    <span className="message-author">{message.author || 'Our team'}</span>
+                  )}
+                  {message.isBot ? <MarkdownMessage text={message.text} /> : message.text}
+                  {message.citations && message.citations.length > 0 && !message.fallback &&
+                    message.id !== streamingMessageId && (
+                    <ul className="message-sources" aria-label="Sources">
+                      {selectCitations(message.citations, message.text).map(citation => (
+                        <li key={citation.number}>[{citation.number}] {citation.title}</li>
+                      ))}
+                    </ul>
+                  )}
+                  {message.toolCalls && message.toolCalls.length > 0 && (
+                    <details className="message-tools">
+                      <summary>Tools used ({message.toolCalls.length})</summary>
+                      <ul>
+                        {message.toolCalls.map((toolCall, toolIndex) => (
+                          <li key={toolIndex} className={toolCall.error ? 'failed' : ''}>
+                            <code>{toolCall.name}({JSON.stringify(toolCall.arguments)})</code>
+                            {' → '}
+                            <code>{toolCall.error ? `Error: ${toolCall.error}` : JSON.stringify(toolCall.result)}</code>
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                  {message.guardrail === 'price_commitment' && message.id !== streamingMessageId && (
+                    <span className="message-status flagged">
+                      {chatbotConfig.getChatConfig().fallbackMessages.priceCommitmentNotice}
+                    </span>
+                  )}
+                  {message.status === 'stopped' && (
+                    <span className="message-status stopped">⏹ Stopped</span>
+                  )}
+                  {message.status === 'undelivered' && (
+                    <span className="message-status undelivered">Not delivered to our team</span>
+                  )}
+                  {(branch.count > 1 || canRegenerate || canEdit || canRate) && (
+                    <div className="message-actions">
+                      {canRate && (
+                        <span className="message-rating">
+                          <button
+                            type="button"
+                            className={rating === RATING_UP ? 'active' : ''}
+                            onClick={() => rateAnswer(message, RATING_UP)}
+                            aria-label="Good answer"
+                            aria-pressed={rating === RATING_UP}
+                          >
+                            👍
+                          </button>
+                          <button
+                            type="button"
+                            className={rating === RATING_DOWN ? 'active' : ''}
+                            onClick={() => rateAnswer(message, RATING_DOWN)}
+                            aria-label="Bad answer"
+                            aria-pressed={rating === RATING_DOWN}
+                          >
+                            👎
+                          </button>
+                        </span>
+                      )}
+                      {branch.count > 1 && (
+                        <span className="branch-switcher">
+                          <button
+                            type="button"
+                            onClick={() => selectBranch(branch.siblings[branch.index - 1].id)}
+                            disabled={isLoading || branch.index === 0}
+                            aria-label="Previous version"
+                          >
+                            ‹
+                          </button>
+                          <span>{branch.index + 1}/{branch.count}</span>
+                          <button
+                            type="button"
+                            onClick={() => selectBranch(branch.siblings[branch.index + 1].id)}
+                            disabled={isLoading || branch.index === branch.count - 1}
+                            aria-label="Next version"
+                          >
+                            ›
+                          </button>
+                        </span>
+                      )}
+                      {canRegenerate && (
+                        <button type="button" className="message-action-btn" onClick={() => regenerateReply(message)}>
+                          Regenerate
+                        </button>
+                      )}
+                      {canEdit && (
+                        <button type="button" className="message-action-btn" onClick={() => startEditing(message)}>
+                          Edit
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  {feedbackPrompt && feedbackPrompt.messageId === message.id && (
+                    <form className="feedback-comment" onSubmit={(e) => submitFeedbackComment(e, message)}>
+                      <input
+                        type="text"
+                        value={feedbackPrompt.comment}
+                        onChange={(e) => setFeedbackPrompt({ ...feedbackPrompt, comment: e.target.value })}
+                        placeholder={rating === RATING_DOWN ? 'What was wrong? (optional)' : 'Anything to add? (optional)'}
+                        aria-label="Feedback comment"
+                      />
+                      <button type="submit">{feedbackPrompt.comment.trim() ? 'Save' : 'Skip'}</button>
+                    </form>
+                  )}
+                </div>
+              );
+            })}
+            
+            {/* Offer the details gathered so far as a prefilled quote */}
+            {quotePrefill && !isLoading && !quoteStep && !quoteSubmitted && (
+              <div className="quote-prefill">
+                <span className="quote-prefill-summary">
+                  {[quotePrefill.year, quotePrefill.make, quotePrefill.model].filter(Boolean).join(' ')}
+                </span>
+                <button
+                  type="button"
+                  className="quote-prefill-btn"
+                  onClick={() => setIsQuoteOpen(true)}
+                >
+                  Use these details for my quote
+                </button>
               </div>
-            ))}
+            )}
+            
+            {/* Quick replies: the current step's options, or ways to get a quote or a person */}
+            {!isLoading && (quoteStep || handoff || !quoteSubmitted || handoffService.current) && (
+              <div className="quick-replies">
+                {quoteStep ? (
+                  <>
+                    {quoteStep.chips.map(chip => (
+                      <button
+                        key={chip}
+                        type="button"
+                        className="quick-reply"
+                        onClick={() => answerQuoteStep(chip, true)}
+                      >
+                        {chip}
+                      </button>
+                    ))}
+                    <button type="button" className="quick-reply secondary" onClick={cancelQuoteFlow}>
+                      {flowPurpose.current === 'handoff' ? 'Cancel' : 'Cancel quote'}
+                    </button>
+                  </>
+                ) : handoff ? (
+                  <>
+                    <span className="handoff-status">
+                      {handoff.status === 'connected' ? 'Chatting with our team' : 'Waiting for a team member…'}
+                    </span>
+                    <button type="button" className="quick-reply secondary" onClick={endHandoff}>
+                      Back to the assistant
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    {!quoteSubmitted && (
+                      <button type="button" className="quick-reply" onClick={startQuoteFlow}>
+                        Get a quote
+                      </button>
+                    )}
+                    {handoffService.current && (
+                      <button
+                        type="button"
+                        className={`quick-reply${messages.length > 0 && messages[messages.length - 1].fallback ? '' : ' secondary'}`}
+                        onClick={startHandoffRequest}
+                      >
+                        Talk to a person
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
             
             {/* Enhanced Loading States for Remote Connections */}
             {isLoading && (
@@ -394,19 +1119,7 @@ const Chatbot = () => {
                     progress={timeoutProgress.progress}
                     elapsedTime={timeoutProgress.elapsedTime}
                     showTimeoutWarning={timeoutProgress.showWarning}
-                    onCancel={() => {
-                      // Cancel the current request
-                      ollamaService.current.clearRequestQueue('Request cancelled by user');
-                      setTimeoutProgress({
-                        isActive: false,
-                        progress: 0,
-                        elapsedTime: 0,
-                        showWarning: false,
-                        requestId: null
-                      });
-                      setIsLoading(false);
-                      setStreamingMessageId(null);
-                    }}
+                    onCancel={stopGenerating}
                     message={ollamaService.current.isRemoteConnection() 
                       ? "Waiting for remote AI service response..." 
                       : "Processing your request..."}
@@ -430,20 +1143,79 @@ const Chatbot = () => {
             
             <div ref={messagesEndRef} />
           </div>
+          {pendingPhotos.length > 0 && (
+            <div className="chatbot-attachments">
+              {pendingPhotos.map((photo, index) => (
+                <div key={index} className="attachment-thumbnail">
+                  <img src={photo.preview} alt={`Attachment ${index + 1} to send`} />
+                  <button
+                    type="button"
+                    className="remove-attachment-btn"
+                    onClick={() => removePendingPhoto(index)}
+                    aria-label={`Remove photo ${index + 1}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          {editingMessage && (
+            <div className="chatbot-editing">
+              <span>Editing your message. Sending it starts a new version of the conversation.</span>
+              <button type="button" onClick={cancelEditing}>
+                Cancel
+              </button>
+            </div>
+          )}
           <form className="chatbot-input" onSubmit={handleSubmit}>
+            {!quoteStep && !handoff && (
+              <>
+                <input
+                  ref={photoInputRef}
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  hidden
+                  onChange={handlePhotoSelect}
+                />
+                <button
+                  type="button"
+                  className="attach-btn"
+                  onClick={() => photoInputRef.current.click()}
+                  disabled={isLoading}
+                  title="Attach photos of your car"
+                  aria-label="Attach photos"
+                >
+                  📷
+                </button>
+              </>
+            )}
             <input
               type="text"
               value={inputValue}
               onChange={(e) => setInputValue(e.target.value)}
-              placeholder="Type your message..."
+              placeholder={quoteStep ? quoteStep.placeholder : (handoff ? "Message our team..." : "Type your message...")}
               disabled={isLoading}
             />
-            <button type="submit" disabled={isLoading || !inputValue.trim()}>
-              Send
-            </button>
+            {/* Only a model reply can be stopped; quote and handoff submissions just finish */}
+            {streamingMessageId ? (
+              <button type="button" className="stop-btn" onClick={stopGenerating}>
+                Stop
+              </button>
+            ) : (
+              <button type="submit" disabled={isLoading || (!inputValue.trim() && pendingPhotos.length === 0)}>
+                Send
+              </button>
+            )}
           </form>
         </div>
       )}
+      <SellNowModal
+        isOpen={isQuoteOpen}
+        onClose={() => setIsQuoteOpen(false)}
+        initialData={quotePrefill}
+      />
       <button className="chatbot-button" onClick={toggleChatbot}>
         {isOpen ? '×' : '💬'}
       </button>
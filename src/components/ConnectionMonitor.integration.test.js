@@ -46,7 +46,14 @@ jest.mock('../services/ConversationManager.js', () => {
       timestamp: new Date()
     })),
     clearHistory: jest.fn(),
+    restore: jest.fn(() => Promise.resolve(false)),
+    flush: jest.fn(),
+    startNewConversation: jest.fn(() => Promise.resolve()),
     getContextForOllama: jest.fn(() => []),
+    recordPromptTokens: jest.fn(),
+    summarizeIfNeeded: jest.fn(() => Promise.resolve(null)),
+    extractLeadDetails: jest.fn(() => Promise.resolve(null)),
+    getBranchInfo: jest.fn(() => ({ index: 0, count: 1, siblings: [] })),
     updateMessage: jest.fn()
   }));
 });
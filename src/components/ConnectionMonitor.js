@@ -160,6 +160,11 @@ const ConnectionMonitor = ({
   };
 
   const statusInfo = getStatusInfo();
+  const servingEndpoint = connectionStatus.endpoint ? getEndpointLabel(connectionStatus.endpoint) : null;
+  const endpointStatus = ollamaService && typeof ollamaService.getEndpointStatus === 'function'
+    ? ollamaService.getEndpointStatus()
+    : null;
+  const hasFailover = endpointStatus && endpointStatus.endpoints.length > 1;
   const canReconnect = !isReconnecting && 
                       (connectionStatus.status === 'disconnected' || connectionStatus.status === 'error');
 
@@ -167,7 +172,10 @@ const ConnectionMonitor = ({
   if (compact) {
     return (
       <div className={`connection-monitor compact ${statusInfo.className}`}>
-        <span className="status-indicator" title={statusInfo.description}>
+        <span 
+          className="status-indicator" 
+          title={servingEndpoint ? `${statusInfo.description} (${servingEndpoint})` : statusInfo.description}
+        >
           {statusInfo.icon}
         </span>
         <span className="status-text">{statusInfo.text}</span>
@@ -219,6 +227,24 @@ const ConnectionMonitor = ({
           </div>
         )}
         
+        {servingEndpoint && (
+          <div className="status-detail">
+            <span className="detail-label">Serving endpoint:</span>
+            <span className="detail-value serving-endpoint" title={connectionStatus.endpoint}>
+              {servingEndpoint}
+            </span>
+          </div>
+        )}
+        
+        {hasFailover && (
+          <div className="status-detail">
+            <span className="detail-label">Healthy endpoints:</span>
+            <span className="detail-value">
+              {endpointStatus.endpoints.filter(endpoint => endpoint.healthy).length} of {endpointStatus.endpoints.length}
+            </span>
+          </div>
+        )}
+        
         {connectionStatus.currentModel && (
           <div className="status-detail">
             <span className="detail-label">Model:</span>
@@ -269,6 +295,15 @@ const ConnectionMonitor = ({
   );
 };
 
+// Show just the host of an endpoint URL
+const getEndpointLabel = (endpointUrl) => {
+  try {
+    return new URL(endpointUrl).host;
+  } catch (error) {
+    return endpointUrl;
+  }
+};
+
 // Helper functions for connection quality assessment
 const getQualityClass = (responseTime) => {
   if (responseTime < 1000) return 'excellent';
@@ -128,6 +128,37 @@ describe('ConnectionMonitor', () => {
       expect(screen.getByText('Excellent')).toBeInTheDocument();
     });
 
+    it('shows which endpoint is serving and how many are healthy', () => {
+      mockOllamaService.getConnectionStatus.mockReturnValue({
+        status: 'connected',
+        lastChecked: new Date(),
+        availableModels: ['mistral-nz-cars'],
+        currentModel: 'mistral-nz-cars',
+        endpoint: 'https://backup.example.com',
+        error: null,
+        responseTime: 800
+      });
+      mockOllamaService.getEndpointStatus = jest.fn(() => ({
+        activeEndpoint: 'https://backup.example.com',
+        endpoints: [
+          { url: 'https://pc.ngrok.io', healthy: false },
+          { url: 'https://backup.example.com', healthy: true }
+        ]
+      }));
+
+      render(
+        <ConnectionMonitor 
+          ollamaService={mockOllamaService}
+          onStatusChange={mockOnStatusChange}
+          compact={false}
+        />
+      );
+
+      expect(screen.getByText('Serving endpoint:')).toBeInTheDocument();
+      expect(screen.getByText('backup.example.com')).toBeInTheDocument();
+      expect(screen.getByText('1 of 2')).toBeInTheDocument();
+    });
+
     it('shows error details when connection fails', () => {
       mockOllamaService.getConnectionStatus.mockReturnValue({
         status: 'error',
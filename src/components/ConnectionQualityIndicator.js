@@ -88,6 +88,21 @@ const ConnectionQualityIndicator = ({
     return `${rate.toFixed(1)}%`;
   };
 
+  const getCircuitLabel = (state) => {
+    const labels = {
+      closed: 'Closed',
+      open: 'Open (paused)',
+      'half-open': 'Half-open (probing)'
+    };
+    return labels[state] || state;
+  };
+
+  const circuits = Object.entries(statistics.circuitBreakers || {});
+  const openCircuits = circuits.filter(([, circuit]) => circuit.state === 'open');
+  const nextProbeAt = openCircuits.length > 0
+    ? Math.min(...openCircuits.map(([, circuit]) => circuit.nextAttemptAt))
+    : null;
+
   return (
     <div className={`connection-quality-indicator ${className}`}>
       <div 
@@ -113,6 +128,15 @@ const ConnectionQualityIndicator = ({
           </span>
         )}
 
+        {openCircuits.length > 0 && (
+          <span 
+            className="circuit-indicator open" 
+            title={`AI service paused after repeated failures, retrying at ${new Date(nextProbeAt).toLocaleTimeString()}`}
+          >
+            ⛔ Paused
+          </span>
+        )}
+
         {showDetails && (
           <span className="expand-icon">
             {isExpanded ? '▼' : '▶'}
@@ -163,6 +187,20 @@ const ConnectionQualityIndicator = ({
             </div>
           )}
 
+          {circuits.length > 0 && (
+            <div className="detail-section">
+              <h4>Circuit Breaker</h4>
+              {circuits.map(([endpoint, circuit]) => (
+                <div className="detail-item" key={endpoint}>
+                  <span className="detail-label" title={endpoint}>{endpoint}:</span>
+                  <span className={`detail-value circuit-state ${circuit.state}`}>
+                    {getCircuitLabel(circuit.state)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
           <div className="detail-section">
             <h4>Statistics</h4>
             <div className="detail-item">
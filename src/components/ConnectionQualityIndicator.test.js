@@ -125,6 +125,30 @@ describe('ConnectionQualityIndicator', () => {
     });
   });
 
+  test('shows circuit breaker state per endpoint', async () => {
+    mockNetworkManager.getStatistics.mockReturnValue({
+      totalRequests: 10,
+      successfulRequests: 7,
+      failedRequests: 3,
+      timeoutRequests: 0,
+      successRate: 70,
+      circuitBreakers: {
+        'https://pc.ngrok.io': { state: 'open', failures: 3, nextAttemptAt: Date.now() + 30000 },
+        'https://backup.example.com': { state: 'closed', failures: 0, nextAttemptAt: null }
+      }
+    });
+
+    render(<ConnectionQualityIndicator networkManager={mockNetworkManager} showDetails={true} />);
+
+    expect(screen.getByText('⛔ Paused')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('1.5s'));
+
+    expect(await screen.findByText('Circuit Breaker')).toBeInTheDocument();
+    expect(screen.getByText('Open (paused)')).toBeInTheDocument();
+    expect(screen.getByText('Closed')).toBeInTheDocument();
+  });
+
   test('calls onQualityChange when quality updates', async () => {
     const onQualityChange = jest.fn();
     
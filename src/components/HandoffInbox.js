@@ -0,0 +1,182 @@
+/**
+ * Handoff Inbox Component
+ * Dashboard view of customers who asked the chatbot for a person: their lead details,
+ * the chat transcript up to the handoff, and a reply box that sends messages back to
+ * the customer's chat window through the handoff relay.
+ */
+
+import React, { useState, useEffect } from 'react';
+import './HandoffInbox.css';
+
+const STATUS_LABELS = {
+  waiting: 'Waiting',
+  connected: 'Connected',
+  closed: 'Closed'
+};
+
+const FROM_LABELS = {
+  customer: 'Customer',
+  assistant: 'Assistant',
+  agent: 'Our team',
+  tool: 'Tool'
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const HandoffInbox = ({ handoffService }) => {
+  const [handoffs, setHandoffs] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [reply, setReply] = useState('');
+  const [error, setError] = useState(null);
+
+  // Keep the list of handoffs fresh
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHandoffs = () => handoffService.listHandoffs()
+      .then(({ handoffs: list }) => {
+        if (!cancelled) {
+          setHandoffs(list);
+          setError(null);
+        }
+      })
+      .catch(loadError => !cancelled && setError(loadError.message));
+
+    loadHandoffs();
+    const timer = setInterval(loadHandoffs, handoffService.pollInterval);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [handoffService]);
+
+  // Follow the open conversation for new customer messages
+  useEffect(() => {
+    if (!selectedId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const loadSelected = () => handoffService.getHandoff(selectedId)
+      .then(handoff => !cancelled && setSelected(handoff))
+      .catch(loadError => !cancelled && setError(loadError.message));
+
+    loadSelected();
+    const timer = setInterval(loadSelected, handoffService.pollInterval);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [handoffService, selectedId]);
+
+  const sendReply = async (e) => {
+    e.preventDefault();
+    const text = reply.trim();
+    if (!text) return;
+
+    try {
+      await handoffService.sendMessage(selectedId, text, 'agent');
+      setReply('');
+      setSelected(await handoffService.getHandoff(selectedId));
+    } catch (sendError) {
+      setError(sendError.message);
+    }
+  };
+
+  const closeSelected = async () => {
+    try {
+      await handoffService.closeHandoff(selectedId);
+      setSelected(await handoffService.getHandoff(selectedId));
+    } catch (closeError) {
+      setError(closeError.message);
+    }
+  };
+
+  const lead = selected ? selected.lead : null;
+
+  return (
+    <div className="handoff-inbox">
+      {error && <p className="handoff-error">{error}</p>}
+      <div className="handoff-layout">
+        <ul className="handoff-list">
+          {handoffs.length === 0 && (
+            <li className="handoff-empty">No customers have asked for a person yet.</li>
+          )}
+          {handoffs.map(handoff => (
+            <li key={handoff.id}>
+              <button
+                type="button"
+                className={`handoff-item${handoff.id === selectedId ? ' selected' : ''}`}
+                onClick={() => setSelectedId(handoff.id)}
+              >
+                <span className="handoff-name">{handoff.lead.name || 'Customer'}</span>
+                <span className="handoff-car">
+                  {[handoff.lead.year, handoff.lead.make, handoff.lead.model].filter(Boolean).join(' ')}
+                </span>
+                <span className={`handoff-badge ${handoff.status}`}>
+                  {handoff.awaitingReply && handoff.status !== 'closed' ? 'Needs reply' : STATUS_LABELS[handoff.status]}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {selected ? (
+          <div className="handoff-thread">
+            <div className="handoff-lead">
+              <strong>{lead.name}</strong>
+              <span>{lead.phone}</span>
+              {lead.email && <span>{lead.email}</span>}
+              <span>{[lead.year, lead.make, lead.model, lead.condition].filter(Boolean).join(' · ')}</span>
+              {lead.location && <span>{lead.location}</span>}
+            </div>
+
+            <details className="handoff-transcript">
+              <summary>Chat before the handoff ({selected.transcript.length} messages)</summary>
+              {selected.transcript.map((entry, index) => (
+                <p key={index}>
+                  <strong>{FROM_LABELS[entry.from] || entry.from}:</strong> {entry.text}
+                </p>
+              ))}
+            </details>
+
+            <div className="handoff-messages">
+              {selected.messages.map(message => (
+                <div key={message.id} className={`handoff-message ${message.from}`}>
+                  <span className="handoff-message-meta">{message.author} · {formatTime(message.createdAt)}</span>
+                  {message.text}
+                </div>
+              ))}
+            </div>
+
+            {selected.status === 'closed' ? (
+              <p className="handoff-closed">This conversation is closed.</p>
+            ) : (
+              <form className="handoff-reply" onSubmit={sendReply}>
+                <input
+                  type="text"
+                  value={reply}
+                  onChange={(e) => setReply(e.target.value)}
+                  placeholder={`Reply to ${lead.name || 'the customer'}...`}
+                  aria-label="Reply to customer"
+                />
+                <button type="submit" disabled={!reply.trim()}>Send reply</button>
+                <button type="button" className="handoff-close-btn" onClick={closeSelected}>
+                  Close
+                </button>
+              </form>
+            )}
+          </div>
+        ) : (
+          <p className="handoff-placeholder">Select a conversation to reply.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HandoffInbox;
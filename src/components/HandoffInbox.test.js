@@ -0,0 +1,50 @@
+/**
+ * HandoffInbox Component Tests
+ * Tests for replying to customers from the Dashboard
+ */
+
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import HandoffInbox from './HandoffInbox';
+
+const handoff = {
+  id: 'h1',
+  status: 'waiting',
+  lead: { name: 'Sam', phone: '021 123 4567', make: 'Toyota', model: 'Corolla' },
+  transcript: [{ from: 'customer', text: 'Can I talk to someone?', timestamp: '2024-01-01T00:00:00.000Z' }],
+  messages: [{ id: 'm1', from: 'customer', author: 'Sam', text: 'Hello?', createdAt: '2024-01-01T00:01:00.000Z' }],
+  awaitingReply: true
+};
+
+const createService = (overrides = {}) => ({
+  pollInterval: 60000,
+  listHandoffs: jest.fn().mockResolvedValue({ handoffs: [handoff] }),
+  getHandoff: jest.fn().mockResolvedValue(handoff),
+  sendMessage: jest.fn().mockResolvedValue({ id: 'm2' }),
+  closeHandoff: jest.fn().mockResolvedValue({ ...handoff, status: 'closed' }),
+  ...overrides
+});
+
+describe('HandoffInbox', () => {
+  test('should show a handoff and send a reply as the team', async () => {
+    const service = createService();
+    render(<HandoffInbox handoffService={service} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: /Sam/ }));
+    expect(await screen.findByText('Hello?')).toBeInTheDocument();
+    expect(screen.getByText('Can I talk to someone?')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Reply to customer'), { target: { value: ' On our way ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send reply' }));
+
+    await waitFor(() => expect(service.sendMessage).toHaveBeenCalledWith('h1', 'On our way', 'agent'));
+  });
+
+  test('should say when the relay is not reachable', async () => {
+    const service = createService({
+      listHandoffs: jest.fn().mockRejectedValue(new Error('Handoff relay is not reachable at http://localhost:4010'))
+    });
+    render(<HandoffInbox handoffService={service} />);
+
+    expect(await screen.findByText(/not reachable/)).toBeInTheDocument();
+  });
+});
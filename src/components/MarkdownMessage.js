@@ -0,0 +1,77 @@
+/**
+ * Markdown Message Component
+ * Renders an assistant reply from MarkdownParser tokens as React elements. Nothing
+ * is injected as HTML, and links open in a new tab without access to this page.
+ */
+
+import React, { memo, useMemo } from 'react';
+import { parseMarkdown } from '../services/MarkdownParser.js';
+
+const renderInline = (tokens) => tokens.map((token, index) => {
+  switch (token.type) {
+    case 'strong':
+      return <strong key={index}>{renderInline(token.children)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(token.children)}</em>;
+    case 'code':
+      return <code key={index}>{token.text}</code>;
+    case 'link':
+      return (
+        <a key={index} href={token.href} target="_blank" rel="noopener noreferrer nofollow">
+          {renderInline(token.children)}
+        </a>
+      );
+    case 'break':
+      return <br key={index} />;
+    default:
+      return <React.Fragment key={index}>{token.text}</React.Fragment>;
+  }
+});
+
+const renderBlock = (block) => {
+  switch (block.type) {
+    case 'heading': {
+      // Keep headings small inside a chat bubble
+      const Heading = `h${Math.min(6, block.level + 3)}`;
+      return <Heading>{renderInline(block.children)}</Heading>;
+    }
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List start={block.ordered && block.start !== 1 ? block.start : undefined}>
+          {block.items.map((item, index) => <li key={index}>{renderInline(item)}</li>)}
+        </List>
+      );
+    }
+    case 'quote':
+      return <blockquote>{renderInline(block.children)}</blockquote>;
+    case 'code':
+      return (
+        <pre>
+          <code className={block.language ? `language-${block.language}` : undefined}>{block.text}</code>
+        </pre>
+      );
+    case 'rule':
+      return <hr />;
+    default:
+      return <p>{renderInline(block.children)}</p>;
+  }
+};
+
+// While a reply streams in only its last block changes, so unchanged blocks skip re-rendering
+const MarkdownBlock = memo(
+  ({ block }) => renderBlock(block),
+  (previous, next) => previous.block.source === next.block.source
+);
+
+const MarkdownMessage = ({ text, className = '' }) => {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+  return (
+    <div className={`markdown-message ${className}`.trim()}>
+      {blocks.map((block, index) => <MarkdownBlock key={index} block={block} />)}
+    </div>
+  );
+};
+
+export default MarkdownMessage;
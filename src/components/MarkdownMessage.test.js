@@ -0,0 +1,29 @@
+/**
+ * MarkdownMessage Component Tests
+ * Tests for rendering assistant replies safely
+ */
+
+import { render, screen } from '@testing-library/react';
+import MarkdownMessage from './MarkdownMessage';
+
+describe('MarkdownMessage', () => {
+  test('should render lists, emphasis and links', () => {
+    render(<MarkdownMessage text={'We offer:\n- **Free** towing\n- Cash on the spot\n\nSee [our FAQ](https://example.com/faq)'} />);
+
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.getByText('Free').tagName).toBe('STRONG');
+
+    const link = screen.getByRole('link', { name: 'our FAQ' });
+    expect(link).toHaveAttribute('href', 'https://example.com/faq');
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(link).toHaveAttribute('rel', 'noopener noreferrer nofollow');
+  });
+
+  test('should show raw HTML from the model as text', () => {
+    render(<MarkdownMessage text={'<img src=x onerror="alert(1)"> <b>bold</b> [x](javascript:alert(1))'} />);
+
+    expect(screen.queryByRole('img')).not.toBeInTheDocument();
+    expect(screen.queryByRole('link')).not.toBeInTheDocument();
+    expect(screen.getByText(/<img src=x onerror="alert\(1\)"> <b>bold<\/b>/)).toBeInTheDocument();
+  });
+});
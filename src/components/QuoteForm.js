@@ -0,0 +1,515 @@
+import React, { useState, useEffect, useId, useMemo, useRef } from 'react';
+import { QUOTE_FIELDS, getQuoteField, getYearRange, checkQuoteField, validateQuoteFields } from '../services/QuoteSchema.mjs';
+import { validatePhotos } from '../services/PhotoService.js';
+import { submitQuote } from '../services/QuoteService.js';
+import CarDiagram from './CarDiagram.js';
+import './QuoteForm.css';
+
+// Fields shown side by side
+const ROWS = [
+  ['name'], ['phone'], ['email'], ['make', 'model'], ['year', 'condition'], ['plate', 'vin'], ['location'],
+  ['odometer'], ['damageAreas'], ['drivable', 'keys'], ['airbagsDeployed'], ['floodDamage', 'fireDamage'], ['wof', 'rego']
+];
+const ALL_FIELDS = QUOTE_FIELDS.map(field => field.name);
+
+// Wizard steps in order; steps with rows hold those fields, 'photos' and 'review' are special
+const WIZARD_STEPS = [
+  { id: 'vehicle', title: 'Vehicle', rows: [['make', 'model'], ['year', 'odometer'], ['plate', 'vin'], ['location']] },
+  {
+    id: 'condition',
+    title: 'Condition & damage',
+    rows: [['condition'], ['damageAreas'], ['drivable', 'keys'], ['airbagsDeployed'], ['floodDamage', 'fireDamage'], ['wof', 'rego']]
+  },
+  { id: 'photos', title: 'Photos' },
+  { id: 'contact', title: 'Contact', rows: [['name'], ['phone'], ['email']] },
+  { id: 'review', title: 'Review' }
+];
+
+const DRAFT_SAVE_DELAY = 500; // ms after the last change
+
+const emptyValues = (fields) => Object.fromEntries(fields.map(name => [name, '']));
+
+const visibleRows = (rows, fields) => rows
+  .map(row => row.filter(name => fields.includes(name)))
+  .filter(row => row.length > 0);
+
+/**
+ * The quote request form used on the Home page and in SellNowModal. Fields, rules and
+ * messages come from QuoteSchema, which /api/quote checks too; errors are shown inline.
+ *
+ * fields: names of the schema fields to show (all by default)
+ * layout: 'single' shows everything on one page, 'wizard' goes through WIZARD_STEPS
+ *   with a progress indicator, checking each step before moving on
+ * draftStore: a QuoteDraftStore to autosave to and resume from (no autosave without one)
+ * initialData: prefills empty fields (e.g. details gathered by the chatbot)
+ * onSubmitted: called with { lead, photos, reference } once the request is sent
+ */
+const QuoteForm = ({ fields = ALL_FIELDS, layout = 'single', draftStore = null, initialData = null, onSubmitted = null }) => {
+  const id = useId();
+  const [values, setValues] = useState(() => emptyValues(fields));
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [photos, setPhotos] = useState([]);
+  const [photoPreviews, setPhotoPreviews] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [reference, setReference] = useState(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [draftLoaded, setDraftLoaded] = useState(!draftStore);
+  const [draftRestored, setDraftRestored] = useState(false);
+  const stepHeadingRef = useRef(null);
+  const focusStep = useRef(false);
+
+  const isWizard = layout === 'wizard';
+
+  // Steps without any of the shown fields are skipped
+  const steps = useMemo(() => WIZARD_STEPS
+    .map(step => (step.rows ? { ...step, rows: visibleRows(step.rows, fields) } : step))
+    .filter(step => !step.rows || step.rows.length > 0), [fields]);
+  const step = steps[stepIndex];
+
+  useEffect(() => {
+    if (initialData) {
+      setValues(prev => {
+        const prefilled = { ...prev };
+        Object.keys(prev).forEach(name => {
+          if (!prev[name] && initialData[name]) {
+            prefilled[name] = String(initialData[name]);
+          }
+        });
+        return prefilled;
+      });
+    }
+  }, [initialData]);
+
+  // Resume an unfinished request where the customer left it
+  useEffect(() => {
+    if (!draftStore) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    draftStore.load()
+      .then(draft => {
+        if (cancelled || !draft) {
+          return;
+        }
+        setValues(prev => ({
+          ...prev,
+          ...Object.fromEntries(fields.filter(name => draft.values[name]).map(name => [name, String(draft.values[name])]))
+        }));
+        setPhotos(draft.photos);
+        setPhotoPreviews(draft.photos.map(photo => URL.createObjectURL(photo)));
+        setStepIndex(Math.max(0, steps.findIndex(candidate => candidate.id === draft.step)));
+        setDraftRestored(true);
+      })
+      .catch(error => console.warn('Failed to restore quote draft:', error))
+      .finally(() => {
+        if (!cancelled) {
+          setDraftLoaded(true);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [draftStore, fields, steps]);
+
+  // Autosave once the saved draft (if any) has been restored, so it is not overwritten
+  useEffect(() => {
+    if (!draftStore || !draftLoaded) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      draftStore.save({ values, step: isWizard ? steps[stepIndex].id : null, photos })
+        .catch(error => console.warn('Failed to save quote draft:', error));
+    }, DRAFT_SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [draftStore, draftLoaded, values, photos, stepIndex, steps, isWizard]);
+
+  // Move focus to the new step's heading so screen readers announce it
+  useEffect(() => {
+    if (focusStep.current && stepHeadingRef.current) {
+      focusStep.current = false;
+      stepHeadingRef.current.focus();
+    }
+  }, [stepIndex]);
+
+  const goToStep = (index) => {
+    focusStep.current = true;
+    setFormError(null);
+    setStepIndex(index);
+  };
+
+  const setFieldError = (name, error) => {
+    setErrors(prev => {
+      const next = { ...prev };
+      if (error) {
+        next[name] = error;
+      } else {
+        delete next[name];
+      }
+      return next;
+    });
+  };
+
+  // Show errors and, in the wizard, go back to the first step that has one
+  const showErrors = (fieldErrors, message) => {
+    setErrors(fieldErrors);
+    if (isWizard) {
+      const errorStep = steps.findIndex(candidate => candidate.rows && candidate.rows.flat().some(name => fieldErrors[name]));
+      if (errorStep >= 0 && errorStep !== stepIndex) {
+        goToStep(errorStep);
+      }
+    }
+    setFormError(message);
+  };
+
+  const setFieldValue = (name, value) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setFieldError(name, null);
+    }
+  };
+
+  const handleChange = (e) => setFieldValue(e.target.name, e.target.value);
+
+  // Check a field once the customer has filled it in and moved on, showing valid
+  // values the way they are stored (e.g. +64 21 1234567 becomes 021 123 4567)
+  const handleBlur = (e) => {
+    const { name, value: entered } = e.target;
+    if (entered.trim()) {
+      const { value, error } = checkQuoteField(name, entered);
+      setFieldError(name, error);
+      if (!error && value !== entered) {
+        setValues(prev => ({ ...prev, [name]: value }));
+      }
+    }
+  };
+
+  const handlePhotoChange = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+
+    // Max 5 photos, 5MB each, images only
+    const photoError = validatePhotos(files, photos.length);
+    setFieldError('photos', photoError);
+    if (photoError) {
+      return;
+    }
+
+    // Create previews
+    const newPreviews = files.map(file => URL.createObjectURL(file));
+    setPhotoPreviews(prev => [...prev, ...newPreviews]);
+    setPhotos(prevPhotos => [...prevPhotos, ...files]);
+  };
+
+  const removePhoto = (index) => {
+    // Clean up the preview URL
+    URL.revokeObjectURL(photoPreviews[index]);
+
+    setPhotoPreviews(prev => prev.filter((_, i) => i !== index));
+    setPhotos(prevPhotos => prevPhotos.filter((_, i) => i !== index));
+    setFieldError('photos', null);
+  };
+
+  const resetForm = () => {
+    photoPreviews.forEach(preview => URL.revokeObjectURL(preview));
+    setValues(emptyValues(fields));
+    setPhotos([]);
+    setPhotoPreviews([]);
+    setErrors({});
+    setFormError(null);
+    setStepIndex(0);
+  };
+
+  const startOver = () => {
+    resetForm();
+    setDraftRestored(false);
+    draftStore.clear().catch(error => console.warn('Failed to clear quote draft:', error));
+  };
+
+  // Wizard: check the current step's fields and move on
+  const handleNext = () => {
+    const stepFields = step.rows ? step.rows.flat() : [];
+    const { values: normalized, errors: fieldErrors } = validateQuoteFields(values, stepFields);
+    if (Object.keys(fieldErrors).length > 0) {
+      setErrors(prev => ({ ...prev, ...fieldErrors }));
+      setFormError('Please check the highlighted fields.');
+      return;
+    }
+
+    setValues(prev => ({ ...prev, ...Object.fromEntries(stepFields.map(name => [name, normalized[name]])) }));
+    goToStep(stepIndex + 1);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isWizard && step.id !== 'review') {
+      handleNext();
+      return;
+    }
+
+    const { values: normalized, errors: fieldErrors } = validateQuoteFields(values, fields);
+    if (Object.keys(fieldErrors).length > 0) {
+      showErrors(fieldErrors, 'Please check the highlighted fields.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setFormError(null);
+
+    try {
+      const result = await submitQuote(normalized, photos);
+
+      resetForm();
+      setDraftRestored(false);
+      setReference(result.reference);
+      if (draftStore) {
+        draftStore.clear().catch(error => console.warn('Failed to clear quote draft:', error));
+      }
+
+      if (onSubmitted) {
+        onSubmitted(result);
+      }
+    } catch (error) {
+      // Keep what the customer entered so they can fix it and try again
+      showErrors(error.errors || {}, error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderField = (name) => {
+    const field = getQuoteField(name);
+    const error = errors[name];
+    const inputProps = {
+      id: `${id}-${name}`,
+      name,
+      value: values[name],
+      onChange: handleChange,
+      onBlur: handleBlur,
+      required: field.required,
+      'aria-invalid': error ? true : undefined,
+      'aria-describedby': error ? `${id}-${name}-error` : undefined
+    };
+
+    let control;
+    if (field.type === 'areas') {
+      control = (
+        <CarDiagram
+          id={inputProps.id}
+          value={values[name]}
+          onChange={(value) => setFieldValue(name, value)}
+          invalid={Boolean(error)}
+          describedBy={inputProps['aria-describedby']}
+        />
+      );
+    } else if (field.type === 'select') {
+      control = (
+        <select {...inputProps} aria-label={field.label ? undefined : field.placeholder}>
+          <option value="">{field.placeholder}</option>
+          {field.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    } else {
+      control = (
+        <input
+          {...inputProps}
+          type={field.type}
+          inputMode={field.inputMode}
+          placeholder={field.placeholder}
+          autoComplete={field.autoComplete}
+          maxLength={field.maxLength}
+          {...(field.validator === 'year' ? getYearRange() : {})}
+        />
+      );
+    }
+
+    return (
+      <div className="form-group" key={name}>
+        {field.label && (
+          field.type === 'areas'
+            ? <p className="form-label">{field.label}</p>
+            : <label htmlFor={inputProps.id} className="form-label">{field.label}</label>
+        )}
+        {control}
+        {error && <span id={`${id}-${name}-error`} className="field-error">{error}</span>}
+      </div>
+    );
+  };
+
+  const renderRows = (rows) => rows.map(row => (
+    row.length > 1 ? (
+      <div className="form-row" key={row.join('-')}>{row.map(renderField)}</div>
+    ) : renderField(row[0])
+  ));
+
+  const renderPhotos = () => (
+    <div className="form-group">
+      <label htmlFor={`${id}-photos`} className="file-upload-label">
+        Upload Photos of Your Car (Optional)
+        <span className="file-upload-note"> - Help us assess your car's condition (max 5 photos, 5MB each)</span>
+      </label>
+      <input
+        type="file"
+        id={`${id}-photos`}
+        name="photos"
+        accept="image/*"
+        onChange={handlePhotoChange}
+        aria-describedby={errors.photos ? `${id}-photos-error` : undefined}
+        multiple
+      />
+      {errors.photos && <span id={`${id}-photos-error`} className="field-error">{errors.photos}</span>}
+      <div className="photo-preview">
+        {photos.length > 0 ? (
+          <>
+            <p>{photos.length} photo(s) selected</p>
+            <div className="photo-thumbnails">
+              {photoPreviews.map((preview, index) => (
+                <div key={index} className="photo-thumbnail">
+                  <img src={preview} alt={`Preview ${index}`} className="thumbnail-image" />
+                  <button
+                    type="button"
+                    className="remove-photo-btn"
+                    onClick={() => removePhoto(index)}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+          </>
+        ) : (
+          <p className="no-photos">No photos selected. Upload images to help us assess your car.</p>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderSubmitButton = () => (
+    <button type="submit" className="submit-btn" disabled={isSubmitting}>
+      {isSubmitting ? (
+        <>
+          <span className="loading-spinner"></span>
+          Sending...
+        </>
+      ) : (
+        'Get My Quote'
+      )}
+    </button>
+  );
+
+  // Everything entered so far, grouped by step, each with a way back to change it
+  const renderReview = () => (
+    <div className="quote-wizard-review">
+      {steps.filter(candidate => candidate.id !== 'review').map(candidate => (
+        <section key={candidate.id} className="quote-wizard-review-section">
+          <div className="quote-wizard-review-header">
+            <h4>{candidate.title}</h4>
+            <button
+              type="button"
+              className="quote-wizard-edit"
+              onClick={() => goToStep(steps.indexOf(candidate))}
+              aria-label={`Edit ${candidate.title}`}
+            >
+              Edit
+            </button>
+          </div>
+          {candidate.rows ? (
+            <dl>
+              {candidate.rows.flat().map(name => (
+                <div key={name} className="quote-wizard-review-item">
+                  <dt>{getQuoteField(name).shortLabel || getQuoteField(name).placeholder}</dt>
+                  <dd>{values[name] || 'Not provided'}</dd>
+                </div>
+              ))}
+            </dl>
+          ) : (
+            <p>{photos.length > 0 ? `${photos.length} photo(s) added` : 'No photos added'}</p>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+
+  const renderDraftNotice = () => draftRestored && (
+    <div className="quote-draft-notice" role="status">
+      We saved your unfinished quote request, so you can carry on where you left off.
+      <button type="button" className="quote-wizard-edit" onClick={startOver}>Start over</button>
+    </div>
+  );
+
+  if (reference) {
+    return (
+      <div className="car-form quote-form-success" role="status">
+        <h3>Thank you!</h3>
+        <p>
+          Your quote request has been sent. Your reference number is <strong>{reference}</strong>.
+          We will contact you shortly.
+        </p>
+        <button type="button" className="submit-btn" onClick={() => setReference(null)}>
+          Send another request
+        </button>
+      </div>
+    );
+  }
+
+  if (isWizard) {
+    return (
+      <form onSubmit={handleSubmit} className="car-form quote-wizard" noValidate>
+        <ol className="quote-wizard-progress">
+          {steps.map((candidate, index) => (
+            <li
+              key={candidate.id}
+              className={index === stepIndex ? 'current' : index < stepIndex ? 'done' : undefined}
+              aria-current={index === stepIndex ? 'step' : undefined}
+            >
+              <span className="quote-wizard-step-number">{index + 1}</span>
+              <span className="quote-wizard-step-title">{candidate.title}</span>
+            </li>
+          ))}
+        </ol>
+
+        <h3 className="quote-wizard-heading" ref={stepHeadingRef} tabIndex={-1}>
+          Step {stepIndex + 1} of {steps.length}: {step.title}
+        </h3>
+
+        {renderDraftNotice()}
+        {formError && <div className="form-error" role="alert">{formError}</div>}
+
+        {step.rows && renderRows(step.rows)}
+        {step.id === 'photos' && renderPhotos()}
+        {step.id === 'review' && renderReview()}
+
+        <div className="quote-wizard-nav">
+          {stepIndex > 0 && (
+            <button type="button" className="quote-wizard-back" onClick={() => goToStep(stepIndex - 1)}>
+              Back
+            </button>
+          )}
+          {step.id === 'review' ? renderSubmitButton() : (
+            <button type="submit" className="submit-btn">Next</button>
+          )}
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="car-form" noValidate>
+      {renderDraftNotice()}
+      {formError && <div className="form-error" role="alert">{formError}</div>}
+
+      {renderRows(visibleRows(ROWS, fields))}
+      {renderPhotos()}
+      {renderSubmitButton()}
+    </form>
+  );
+};
+
+export default QuoteForm;
@@ -0,0 +1,153 @@
+/**
+ * QuoteForm Component Tests
+ * Tests for inline validation, the wizard layout and submitting through QuoteService
+ */
+
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import QuoteForm from './QuoteForm';
+import { submitQuote, QuoteSubmissionError } from '../services/QuoteService.js';
+
+jest.mock('../services/QuoteService.js', () => {
+  const actual = jest.requireActual('../services/QuoteService.js');
+  return { ...actual, submitQuote: jest.fn() };
+});
+
+const fill = (placeholder, value) => {
+  fireEvent.change(screen.getByPlaceholderText(placeholder), { target: { value } });
+};
+
+const fillValidQuote = () => {
+  fill('Your Name', 'Sam');
+  fill('Phone Number', '021 123 4567');
+  fill('Email Address', 'sam@example.com');
+  fill('Car Make', 'Mazda');
+  fill('Car Model', 'Demio');
+  fill('Year', '2009');
+  fireEvent.change(screen.getByRole('combobox', { name: 'Select Condition' }), { target: { value: 'Running' } });
+};
+
+describe('QuoteForm', () => {
+  test('should show the schema\'s messages next to invalid fields instead of submitting', () => {
+    render(<QuoteForm />);
+
+    fill('Phone Number', '12');
+    fireEvent.click(screen.getByRole('button', { name: 'Get My Quote' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Please check the highlighted fields.');
+    expect(screen.getByText('Please enter your name.')).toBeInTheDocument();
+    expect(screen.getByText('Please enter a New Zealand phone number, e.g. 021 123 4567 or 09 123 4567.')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('Phone Number')).toHaveAttribute('aria-invalid', 'true');
+    expect(submitQuote).not.toHaveBeenCalled();
+  });
+
+  test('should submit only the fields shown and confirm with the reference number', async () => {
+    submitQuote.mockResolvedValue({ lead: {}, photos: [], reference: 'Q-250301-ABC234' });
+    const onSubmitted = jest.fn();
+    render(<QuoteForm fields={['name', 'phone', 'email', 'make', 'model', 'year', 'condition']} onSubmitted={onSubmitted} />);
+
+    expect(screen.queryByPlaceholderText('Location (suburb or town)')).toBeNull();
+    fillValidQuote();
+    fireEvent.click(screen.getByRole('button', { name: 'Get My Quote' }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Q-250301-ABC234');
+    expect(submitQuote).toHaveBeenCalledWith(expect.objectContaining({ name: 'Sam', condition: 'Running' }), []);
+    expect(onSubmitted).toHaveBeenCalledWith(expect.objectContaining({ reference: 'Q-250301-ABC234' }));
+  });
+
+  test('should keep the entered details and show server errors on their fields', async () => {
+    submitQuote.mockRejectedValue(new QuoteSubmissionError(
+      'Please check the highlighted fields',
+      { email: 'Please enter a valid email address, e.g. you@example.com.' },
+      400
+    ));
+    render(<QuoteForm />);
+
+    fillValidQuote();
+    fireEvent.click(screen.getByRole('button', { name: 'Get My Quote' }));
+
+    await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Please check the highlighted fields'));
+    expect(screen.getByText('Please enter a valid email address, e.g. you@example.com.')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('Your Name')).toHaveValue('Sam');
+  });
+
+  test('should send the damage areas picked on the diagram and the damage answers', async () => {
+    submitQuote.mockResolvedValue({ lead: {}, photos: [], reference: 'Q-250301-ABC234' });
+    render(<QuoteForm />);
+
+    fillValidQuote();
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Left side' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Front' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Roof' }));
+    fireEvent.keyDown(screen.getByRole('checkbox', { name: 'Roof' }), { key: ' ' });
+    expect(screen.getByRole('checkbox', { name: 'Front' })).toHaveAttribute('aria-checked', 'true');
+    expect(screen.getByText('Damaged: Front, Left side')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Have any airbags gone off?'), { target: { value: 'Yes' } });
+    fireEvent.change(screen.getByLabelText('Can it be driven or towed?'), { target: { value: 'Towable' } });
+    fill('Odometer (km, optional)', '98 500');
+    fireEvent.click(screen.getByRole('button', { name: 'Get My Quote' }));
+
+    await screen.findByRole('status');
+    expect(submitQuote).toHaveBeenCalledWith(expect.objectContaining({
+      damageAreas: 'Front, Left side',
+      airbagsDeployed: 'Yes',
+      drivable: 'Towable',
+      odometer: '98500',
+      floodDamage: ''
+    }), []);
+  });
+
+  test('should check each wizard step before moving on', () => {
+    render(<QuoteForm layout="wizard" />);
+
+    expect(screen.getByRole('heading', { name: 'Step 1 of 5: Vehicle' })).toBeInTheDocument();
+    expect(screen.queryByPlaceholderText('Your Name')).toBeNull();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.getByText('Please enter the make of your car.')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: /^Step 1 of 5/ })).toBeInTheDocument();
+
+    fill('Car Make', 'Mazda');
+    fill('Car Model', 'Demio');
+    fill('Year', '2009');
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+    expect(screen.getByRole('heading', { name: 'Step 2 of 5: Condition & damage' })).toHaveFocus();
+    expect(screen.getByRole('listitem', { current: 'step' })).toHaveTextContent('Condition & damage');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Back' }));
+    expect(screen.getByPlaceholderText('Car Make')).toHaveValue('Mazda');
+  });
+
+  test('should resume a saved draft at its step and send the customer back to missing details', async () => {
+    const saved = [];
+    const draftStore = {
+      load: () => Promise.resolve({ values: { make: 'Mazda', name: 'Sam' }, step: 'contact', photos: [] }),
+      save: (draft) => {
+        saved.push(draft);
+        return Promise.resolve();
+      },
+      clear: () => Promise.resolve()
+    };
+    render(<QuoteForm layout="wizard" draftStore={draftStore} />);
+
+    expect(await screen.findByRole('heading', { name: 'Step 4 of 5: Contact' })).toBeInTheDocument();
+    expect(screen.getByText(/unfinished quote request/)).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('Your Name')).toHaveValue('Sam');
+
+    fill('Phone Number', '021 123 4567');
+    fill('Email Address', 'sam@example.com');
+    await waitFor(() => expect(saved[saved.length - 1]).toEqual(expect.objectContaining({
+      step: 'contact',
+      values: expect.objectContaining({ make: 'Mazda', email: 'sam@example.com' })
+    })));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.getByText('Mazda')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Get My Quote' }));
+
+    expect(screen.getByRole('heading', { name: 'Step 1 of 5: Vehicle' })).toBeInTheDocument();
+    expect(screen.getByText('Please enter the model of your car.')).toBeInTheDocument();
+    expect(submitQuote).not.toHaveBeenCalled();
+  });
+});
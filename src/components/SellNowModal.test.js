@@ -0,0 +1,31 @@
+/**
+ * SellNowModal Component Tests
+ * Tests for prefilling the quote form from chat details
+ */
+
+import { render, screen } from '@testing-library/react';
+import SellNowModal from './SellNowModal';
+
+describe('SellNowModal', () => {
+  test('should prefill the form with details from the chat', () => {
+    render(
+      <SellNowModal
+        isOpen={true}
+        onClose={() => {}}
+        initialData={{ make: 'Mazda', model: '3', year: '2015', condition: 'Running', name: '' }}
+      />
+    );
+
+    expect(screen.getByPlaceholderText('Car Make')).toHaveValue('Mazda');
+    expect(screen.getByPlaceholderText('Car Model')).toHaveValue('3');
+    expect(screen.getByPlaceholderText('Year')).toHaveValue(2015);
+    expect(screen.getByRole('combobox', { name: 'Select Condition' })).toHaveValue('Running');
+    expect(screen.getByPlaceholderText('Your Name')).toHaveValue('');
+  });
+
+  test('should render nothing while closed', () => {
+    const { container } = render(<SellNowModal isOpen={false} onClose={() => {}} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -54,28 +54,81 @@ class ChatbotConfig {
    * Build configuration object from environment variables with fallbacks
    */
   buildConfiguration() {
+    const baseUrl = this.getOllamaUrl();
+    
     return {
       ollama: {
-        baseUrl: this.getOllamaUrl(),
+        baseUrl,
+        endpoints: this.getOllamaEndpoints(baseUrl),
         model: this.getOllamaModel(),
         timeout: this.getTimeout(),
         retryAttempts: this.getRetryAttempts(),
         corsMode: this.getCorsMode(),
+        apiMode: this.getApiMode(),
+        provider: this.getProvider(),
+        apiKey: process.env.REACT_APP_LLM_API_KEY || null,
         parameters: {
           temperature: this.getFloatEnv('REACT_APP_OLLAMA_TEMPERATURE', 0.7),
           max_tokens: this.getIntEnv('REACT_APP_OLLAMA_MAX_TOKENS', 2048),
+          // Only when set: otherwise the model's own context length (Modelfile) applies
+          context_size: this.getIntEnv('REACT_APP_OLLAMA_CONTEXT_SIZE', null),
           top_p: this.getFloatEnv('REACT_APP_OLLAMA_TOP_P', 0.9)
         }
       },
       chat: {
         maxHistoryLength: this.getIntEnv('REACT_APP_CHAT_MAX_HISTORY', 10),
         systemPrompt: this.getSystemPrompt(),
+        // Summarize turns that drop out of the history so early details are not forgotten
+        summarization: this.getBooleanEnv('REACT_APP_CHAT_SUMMARIZATION', true),
+        // Collect car and contact details from the chat to prefill the quote form
+        leadExtraction: this.getBooleanEnv('REACT_APP_CHAT_LEAD_EXTRACTION', true),
+        persistence: {
+          enabled: this.getBooleanEnv('REACT_APP_CHAT_PERSISTENCE', true),
+          storage: this.getChatStorage(),
+          retentionHours: this.getIntEnv('REACT_APP_CHAT_RETENTION_HOURS', 24)
+        },
+        // Thumbs up/down on answers, kept in the persistence storage for the Dashboard
+        feedback: {
+          enabled: this.getBooleanEnv('REACT_APP_CHAT_FEEDBACK', true),
+          maxEntries: this.getIntEnv('REACT_APP_CHAT_FEEDBACK_MAX_ENTRIES', 500)
+        },
+        // Hand the conversation to a person through a message relay (disabled without a relay URL)
+        handoff: {
+          relayUrl: process.env.REACT_APP_HANDOFF_RELAY_URL || '',
+          pollInterval: this.getIntEnv('REACT_APP_HANDOFF_POLL_INTERVAL', 5000)
+        },
+        // Canned answers while the AI service is unreachable (see src/config/fallbackKnowledge.json)
+        fallback: {
+          mode: process.env.REACT_APP_FALLBACK_MODE || 'hybrid',
+          knowledgeUrl: process.env.REACT_APP_FALLBACK_KNOWLEDGE_URL || ''
+        },
+        // Passages from the knowledge/ documents added to the prompt (npm run knowledge:index)
+        rag: {
+          enabled: this.getBooleanEnv('REACT_APP_RAG_ENABLED', false),
+          indexUrl: process.env.REACT_APP_RAG_INDEX_URL || '/knowledge-index.json',
+          topK: this.getIntEnv('REACT_APP_RAG_TOP_K', 3),
+          minScore: this.getFloatEnv('REACT_APP_RAG_MIN_SCORE', 0.5)
+        },
+        // Client-side tools the model can call (see src/services/ChatTools.js)
+        tools: {
+          enabled: this.getBooleanEnv('REACT_APP_CHAT_TOOLS', true),
+          maxRounds: this.getIntEnv('REACT_APP_CHAT_TOOL_MAX_ROUNDS', 3)
+        },
+        // Input/output policy for customer messages (see src/config/guardrails.json)
+        guardrails: {
+          enabled: this.getBooleanEnv('REACT_APP_GUARDRAILS', true),
+          maxInputLength: this.getIntEnv('REACT_APP_GUARDRAIL_MAX_INPUT_LENGTH', 1000),
+          topicCheck: this.getBooleanEnv('REACT_APP_GUARDRAIL_TOPIC_CHECK', true),
+          maxLogEntries: this.getIntEnv('REACT_APP_GUARDRAIL_LOG_MAX_ENTRIES', 500)
+        },
         fallbackMessages: {
           // Connection-related errors
           connectionError: "I'm having trouble connecting to our AI service. Please try again in a moment.",
           timeout: "The AI service is taking longer than expected. Please try again.",
           modelNotFound: "The AI model is temporarily unavailable. Please try again later.",
           serviceOffline: "Our AI assistant is currently offline. Please try again later.",
+          handoffUnavailable: "Sorry, I couldn't reach our team just now. Please try again in a moment, or call us on {{phone|the phone number on our website}}.",
+          quoteSubmitFailed: "Sorry, I couldn't send your details just now. You can try again with the quote form below, or call us on {{phone|the phone number on our website}}.",
           
           // Remote connection specific errors
           corsError: "There's a CORS configuration issue preventing connection to the remote AI service. Please contact support.",
@@ -95,6 +148,12 @@ class ChatbotConfig {
           // Model-specific errors
           modelLoadingFailed: "The AI model failed to load. Please try again or contact support.",
           modelNotSupported: "The requested AI model is not supported by this service.",
+          visionNotSupported: "The current AI model can't look at photos. Please describe the damage in words, or add your photos to a quote request instead.",
+          
+          // Guardrails
+          policyRefusal: "Sorry, I can only help with selling your car: quotes, pickup, paperwork and payment. What would you like to know about those?",
+          inputTooLong: "That message is a bit long for me. Please keep it under {{maxInputLength}} characters, or call us on {{phone|the phone number on our website}}.",
+          priceCommitmentNotice: "Prices in the chat are indicative only. Our team confirms every offer after reviewing your car.",
           
           // Graceful degradation messages
           fallbackMode: "I'm currently running in limited mode due to AI service issues. I can still help with basic questions about our car buying service.",
@@ -128,6 +187,8 @@ class ChatbotConfig {
         verySlowConnectionThreshold: this.getIntEnv('REACT_APP_VERY_SLOW_CONNECTION_THRESHOLD', 10000),
         queueProcessingInterval: this.getIntEnv('REACT_APP_QUEUE_PROCESSING_INTERVAL', 1000),
         timeoutGracePeriod: this.getIntEnv('REACT_APP_TIMEOUT_GRACE_PERIOD', 2000),
+        circuitFailureThreshold: this.getIntEnv('REACT_APP_CIRCUIT_FAILURE_THRESHOLD', 3),
+        circuitResetTimeout: this.getIntEnv('REACT_APP_CIRCUIT_RESET_TIMEOUT', 30000),
         showConnectionQuality: this.getBooleanEnv('REACT_APP_SHOW_CONNECTION_QUALITY', true),
         showTimeoutProgress: this.getBooleanEnv('REACT_APP_SHOW_TIMEOUT_PROGRESS', true)
       }
@@ -144,6 +205,12 @@ class ChatbotConfig {
       return envUrl;
     }
     
+    // With an endpoint list the first entry acts as the primary URL
+    const endpoints = this.parseEndpointList();
+    if (endpoints.length > 0) {
+      return endpoints[0].url;
+    }
+    
     // Default URLs based on environment
     if (this.isProduction) {
       // In production, we expect the URL to be explicitly set
@@ -155,6 +222,49 @@ class ChatbotConfig {
     }
   }
 
+  /**
+   * Get the Ollama endpoints to balance and fail over between.
+   * REACT_APP_OLLAMA_ENDPOINTS is a comma-separated list of `url|priority|weight`
+   * entries (priority and weight optional, lower priority is preferred), e.g.
+   * `https://pc.ngrok.io|1|3,https://backup.example.com|2`
+   */
+  getOllamaEndpoints(baseUrl) {
+    const endpoints = this.parseEndpointList();
+    
+    if (endpoints.length === 0) {
+      return baseUrl ? [{ url: baseUrl, priority: 1, weight: 1 }] : [];
+    }
+    
+    // Keep an explicitly configured REACT_APP_OLLAMA_URL in the pool
+    if (baseUrl && !endpoints.some(endpoint => endpoint.url === baseUrl)) {
+      endpoints.unshift({ url: baseUrl, priority: 1, weight: 1 });
+    }
+    
+    return endpoints;
+  }
+
+  /**
+   * Parse REACT_APP_OLLAMA_ENDPOINTS into endpoint objects
+   */
+  parseEndpointList() {
+    const value = process.env.REACT_APP_OLLAMA_ENDPOINTS;
+    if (!value || value.trim() === '') {
+      return [];
+    }
+    
+    return value.split(',')
+      .map(entry => entry.trim())
+      .filter(entry => entry !== '')
+      .map(entry => {
+        const [url, priority, weight] = entry.split('|').map(part => part.trim());
+        return {
+          url,
+          priority: priority ? parseInt(priority, 10) : 1,
+          weight: weight ? parseFloat(weight) : 1
+        };
+      });
+  }
+
   /**
    * Get Ollama model name with fallback
    */
@@ -195,6 +305,59 @@ class ChatbotConfig {
     return this.isProduction ? 'cors' : 'no-cors';
   }
 
+  /**
+   * Get Ollama API mode: 'chat' uses /api/chat with role-tagged messages,
+   * 'generate' is the legacy /api/generate flattened-prompt mode
+   */
+  getApiMode() {
+    const envApiMode = process.env.REACT_APP_OLLAMA_API_MODE;
+    
+    if (envApiMode) {
+      if (!['chat', 'generate'].includes(envApiMode)) {
+        this.validationErrors.push('REACT_APP_OLLAMA_API_MODE must be one of: chat, generate');
+        return 'chat';
+      }
+      return envApiMode;
+    }
+    
+    return 'chat';
+  }
+
+  /**
+   * Get LLM provider: 'ollama' for a native Ollama server,
+   * 'openai' for OpenAI-compatible servers (vLLM, LM Studio, llama.cpp)
+   */
+  getProvider() {
+    const envProvider = process.env.REACT_APP_LLM_PROVIDER;
+    
+    if (envProvider) {
+      if (!['ollama', 'openai'].includes(envProvider)) {
+        this.validationErrors.push('REACT_APP_LLM_PROVIDER must be one of: ollama, openai');
+        return 'ollama';
+      }
+      return envProvider;
+    }
+    
+    return 'ollama';
+  }
+
+  /**
+   * Get where conversations are persisted: localStorage, indexedDB or memory (lost on reload)
+   */
+  getChatStorage() {
+    const envStorage = process.env.REACT_APP_CHAT_STORAGE;
+    
+    if (envStorage) {
+      if (!['localStorage', 'indexedDB', 'memory'].includes(envStorage)) {
+        this.validationErrors.push('REACT_APP_CHAT_STORAGE must be one of: localStorage, indexedDB, memory');
+        return 'localStorage';
+      }
+      return envStorage;
+    }
+    
+    return 'localStorage';
+  }
+
   /**
    * Get system prompt with fallback
    */
@@ -278,11 +441,37 @@ class ChatbotConfig {
       }
     }
 
+    // Validate failover endpoints
+    (ollama.endpoints || []).forEach(endpoint => {
+      try {
+        new URL(endpoint.url);
+      } catch (error) {
+        this.validationErrors.push(`Invalid Ollama endpoint URL format: ${endpoint.url}`);
+      }
+      
+      if (!Number.isInteger(endpoint.priority) || endpoint.priority < 0) {
+        this.validationErrors.push(`Endpoint priority must be a non-negative integer: ${endpoint.url}`);
+      }
+      
+      if (Number.isNaN(endpoint.weight) || endpoint.weight <= 0) {
+        this.validationErrors.push(`Endpoint weight must be greater than 0: ${endpoint.url}`);
+      }
+    });
+
     // Validate model name
     if (!ollama.model || ollama.model.trim() === '') {
       this.validationErrors.push('Ollama model name is required');
     }
 
+    // Validate API mode
+    if (!['chat', 'generate'].includes(ollama.apiMode)) {
+      this.validationErrors.push('Ollama API mode must be one of: chat, generate');
+    }
+
+    if (!['ollama', 'openai'].includes(ollama.provider)) {
+      this.validationErrors.push('LLM provider must be one of: ollama, openai');
+    }
+
     // Validate timeout
     if (ollama.timeout < 1000) {
       this.validationErrors.push('Timeout must be at least 1000ms');
@@ -303,6 +492,11 @@ class ChatbotConfig {
       this.validationErrors.push('Max tokens must be between 1 and 8192');
     }
 
+    // Validate context size (must leave room for the prompt after the reply's max_tokens)
+    if (ollama.parameters.context_size !== null && ollama.parameters.context_size <= ollama.parameters.max_tokens) {
+      this.validationErrors.push('Context size must be greater than max tokens');
+    }
+
     // Validate top_p
     if (ollama.parameters.top_p < 0 || ollama.parameters.top_p > 1) {
       this.validationErrors.push('Top_p must be between 0 and 1');
@@ -313,6 +507,53 @@ class ChatbotConfig {
       this.validationErrors.push('Max history length must be between 1 and 50');
     }
 
+    // Validate conversation retention (0 keeps conversations until a new chat is started)
+    if (chat.persistence.retentionHours < 0) {
+      this.validationErrors.push('Chat retention hours must be non-negative');
+    }
+
+    // Validate stored feedback limit
+    if (chat.feedback.maxEntries < 1) {
+      this.validationErrors.push('Chat feedback max entries must be at least 1');
+    }
+
+    // Validate the handoff relay
+    if (chat.handoff.relayUrl) {
+      try {
+        new URL(chat.handoff.relayUrl);
+      } catch (error) {
+        this.validationErrors.push(`Invalid handoff relay URL format: ${chat.handoff.relayUrl}`);
+      }
+    }
+
+    if (chat.handoff.pollInterval < 1000) {
+      this.validationErrors.push('Handoff poll interval must be at least 1000ms');
+    }
+
+    // Validate the fallback responder mode
+    if (!['intents', 'faq', 'hybrid'].includes(chat.fallback.mode)) {
+      this.validationErrors.push(`Invalid fallback mode: ${chat.fallback.mode}. Must be 'intents', 'faq' or 'hybrid'`);
+    }
+
+    // Validate knowledge retrieval
+    if (chat.rag.topK < 1) {
+      this.validationErrors.push('Knowledge retrieval top-k must be at least 1');
+    }
+
+    if (chat.rag.minScore < -1 || chat.rag.minScore > 1) {
+      this.validationErrors.push('Knowledge retrieval min score must be between -1 and 1');
+    }
+
+    // Validate tool calling
+    if (chat.tools.maxRounds < 1) {
+      this.validationErrors.push('Tool calling max rounds must be at least 1');
+    }
+
+    // Validate guardrails
+    if (chat.guardrails.maxInputLength < 1) {
+      this.validationErrors.push('Guardrail max input length must be at least 1');
+    }
+
     // Validate UI delays
     if (ui.typingIndicatorDelay < 0) {
       this.validationErrors.push('Typing indicator delay must be non-negative');
@@ -355,6 +596,15 @@ class ChatbotConfig {
       this.validationErrors.push('Proxy timeout must be at least 1000ms');
     }
 
+    // Validate circuit breaker settings
+    if (network.circuitFailureThreshold < 1) {
+      this.validationErrors.push('Circuit failure threshold must be at least 1');
+    }
+
+    if (network.circuitResetTimeout < 1000) {
+      this.validationErrors.push('Circuit reset timeout must be at least 1000ms');
+    }
+
     // Validate CORS max age
     if (network.corsMaxAge < 0) {
       this.validationErrors.push('CORS max age must be non-negative');
@@ -443,9 +693,12 @@ class ChatbotConfig {
     return {
       environment: this.isProduction ? 'production' : 'development',
       ollamaUrl: this.config.ollama.baseUrl,
+      endpoints: (this.config.ollama.endpoints || []).map(endpoint => endpoint.url),
       model: this.config.ollama.model,
       timeout: this.config.ollama.timeout,
       corsMode: this.config.ollama.corsMode,
+      apiMode: this.config.ollama.apiMode,
+      provider: this.config.ollama.provider,
       useProxy: this.config.network.useProxy,
       corsProxy: this.config.network.corsProxy,
       corsOrigins: this.config.network.corsOrigins,
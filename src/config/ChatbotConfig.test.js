@@ -125,6 +125,368 @@ describe('ChatbotConfig', () => {
         config = new ChatbotConfig();
       }).toThrow(ConfigurationError);
     });
+
+    test('should validate API mode values', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_OLLAMA_API_MODE: 'completions'
+      });
+
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+
+    test('should default to chat API mode and allow legacy generate mode', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development'
+      });
+      expect(new ChatbotConfig().getOllamaConfig().apiMode).toBe('chat');
+
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_OLLAMA_API_MODE: 'generate'
+      });
+      expect(new ChatbotConfig().getOllamaConfig().apiMode).toBe('generate');
+    });
+
+    test('should validate LLM provider values', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_LLM_PROVIDER: 'anthropic'
+      });
+
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+
+    test('should load OpenAI-compatible provider settings', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_LLM_PROVIDER: 'openai',
+        REACT_APP_LLM_API_KEY: 'sk-local'
+      });
+
+      config = new ChatbotConfig();
+
+      expect(config.getOllamaConfig().provider).toBe('openai');
+      expect(config.getOllamaConfig().apiKey).toBe('sk-local');
+      expect(config.getConfigSummary().provider).toBe('openai');
+    });
+  });
+
+  describe('Failover Endpoints', () => {
+    test('should default to a single endpoint from the Ollama URL', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development'
+      });
+
+      config = new ChatbotConfig();
+
+      expect(config.getOllamaConfig().endpoints).toEqual([
+        { url: 'http://localhost:11434', priority: 1, weight: 1 }
+      ]);
+    });
+
+    test('should parse an endpoint list with priority and weight', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'production',
+        REACT_APP_OLLAMA_ENDPOINTS: 'https://pc.ngrok.io|1|3, https://backup.example.com|2'
+      });
+
+      config = new ChatbotConfig();
+
+      expect(config.getOllamaConfig().baseUrl).toBe('https://pc.ngrok.io');
+      expect(config.getOllamaConfig().endpoints).toEqual([
+        { url: 'https://pc.ngrok.io', priority: 1, weight: 3 },
+        { url: 'https://backup.example.com', priority: 2, weight: 1 }
+      ]);
+    });
+
+    test('should validate endpoint entries', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_OLLAMA_ENDPOINTS: 'https://pc.ngrok.io|1|0,not-a-url'
+      });
+
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('Circuit Breaker Settings', () => {
+    test('should load circuit breaker settings with defaults', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_CIRCUIT_RESET_TIMEOUT: '60000'
+      });
+
+      config = new ChatbotConfig();
+
+      expect(config.getNetworkConfig().circuitFailureThreshold).toBe(3);
+      expect(config.getNetworkConfig().circuitResetTimeout).toBe(60000);
+    });
+
+    test('should validate the circuit failure threshold', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_CIRCUIT_FAILURE_THRESHOLD: '0'
+      });
+
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('Conversation Persistence', () => {
+    test('should persist to localStorage for 24 hours by default', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development'
+      });
+
+      config = new ChatbotConfig();
+
+      expect(config.getChatConfig().persistence).toEqual({
+        enabled: true,
+        storage: 'localStorage',
+        retentionHours: 24
+      });
+    });
+
+    test('should validate the storage type', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_CHAT_STORAGE: 'cookies'
+      });
+
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('Answer Feedback', () => {
+    test('should keep up to 500 ratings by default', () => {
+      config = new ChatbotConfig();
+
+      expect(config.getChatConfig().feedback).toEqual({ enabled: true, maxEntries: 500 });
+    });
+
+    test('should validate the feedback limit', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_CHAT_FEEDBACK_MAX_ENTRIES: '0'
+      });
+
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('Human Handoff', () => {
+    test('should be disabled without a relay URL', () => {
+      config = new ChatbotConfig();
+
+      expect(config.getChatConfig().handoff).toEqual({ relayUrl: '', pollInterval: 5000 });
+    });
+
+    test('should validate the relay URL', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_HANDOFF_RELAY_URL: 'not a url'
+      });
+
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('Fallback Responder', () => {
+    test('should use the built-in knowledge base in hybrid mode by default', () => {
+      config = new ChatbotConfig();
+
+      expect(config.getChatConfig().fallback).toEqual({ mode: 'hybrid', knowledgeUrl: '' });
+    });
+
+    test('should reject an unknown mode', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_FALLBACK_MODE: 'keywords'
+      });
+
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('Knowledge Retrieval', () => {
+    test('should be disabled by default', () => {
+      config = new ChatbotConfig();
+
+      expect(config.getChatConfig().rag).toEqual({
+        enabled: false,
+        indexUrl: '/knowledge-index.json',
+        topK: 3,
+        minScore: 0.5
+      });
+    });
+
+    test('should read the retrieval settings and validate them', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_RAG_ENABLED: 'true',
+        REACT_APP_RAG_TOP_K: '5',
+        REACT_APP_RAG_MIN_SCORE: '0.35'
+      });
+      config = new ChatbotConfig();
+      expect(config.getChatConfig().rag).toEqual(expect.objectContaining({ enabled: true, topK: 5, minScore: 0.35 }));
+
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_RAG_TOP_K: '0'
+      });
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('Tool Calling', () => {
+    test('should be enabled with three rounds by default and validate the rounds', () => {
+      config = new ChatbotConfig();
+      expect(config.getChatConfig().tools).toEqual({ enabled: true, maxRounds: 3 });
+
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_CHAT_TOOLS: 'false',
+        REACT_APP_CHAT_TOOL_MAX_ROUNDS: '2'
+      });
+      config = new ChatbotConfig();
+      expect(config.getChatConfig().tools).toEqual({ enabled: false, maxRounds: 2 });
+
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_CHAT_TOOL_MAX_ROUNDS: '0'
+      });
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('Guardrails', () => {
+    test('should be enabled by default and validate the input length', () => {
+      config = new ChatbotConfig();
+      expect(config.getChatConfig().guardrails).toEqual({
+        enabled: true,
+        maxInputLength: 1000,
+        topicCheck: true,
+        maxLogEntries: 500
+      });
+
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_GUARDRAIL_TOPIC_CHECK: 'false',
+        REACT_APP_GUARDRAIL_MAX_INPUT_LENGTH: '500'
+      });
+      config = new ChatbotConfig();
+      expect(config.getChatConfig().guardrails).toEqual(expect.objectContaining({ maxInputLength: 500, topicCheck: false }));
+
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_GUARDRAIL_MAX_INPUT_LENGTH: '0'
+      });
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('Conversation Summarization', () => {
+    test('should be enabled by default and configurable', () => {
+      config = new ChatbotConfig();
+      expect(config.getChatConfig().summarization).toBe(true);
+
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_CHAT_SUMMARIZATION: 'false'
+      });
+
+      config = new ChatbotConfig();
+      expect(config.getChatConfig().summarization).toBe(false);
+    });
+  });
+
+  describe('Lead Extraction', () => {
+    test('should be enabled by default and configurable', () => {
+      config = new ChatbotConfig();
+      expect(config.getChatConfig().leadExtraction).toBe(true);
+
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_CHAT_LEAD_EXTRACTION: 'false'
+      });
+
+      config = new ChatbotConfig();
+      expect(config.getChatConfig().leadExtraction).toBe(false);
+    });
+  });
+
+  describe('Context Size', () => {
+    test('should leave the context size to the model unless it is set', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_OLLAMA_MAX_TOKENS: '6000'
+      });
+
+      config = new ChatbotConfig();
+
+      expect(config.getOllamaConfig().parameters.context_size).toBeNull();
+      expect(config.getOllamaConfig().parameters.max_tokens).toBe(6000);
+    });
+
+    test('should require room for the prompt after max tokens', () => {
+      restoreEnv();
+      restoreEnv = mockEnv({
+        NODE_ENV: 'development',
+        REACT_APP_OLLAMA_CONTEXT_SIZE: '2048',
+        REACT_APP_OLLAMA_MAX_TOKENS: '2048'
+      });
+
+      expect(() => {
+        config = new ChatbotConfig();
+      }).toThrow('Context size must be greater than max tokens');
+    });
   });
 
   describe('Type Conversion', () => {
@@ -2,11 +2,54 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import Navigation from '../components/Navigation';
+import HandoffInbox from '../components/HandoffInbox.js';
+import HandoffService from '../services/HandoffService.js';
+import FeedbackStore from '../services/FeedbackStore.js';
+import GuardrailLog from '../services/GuardrailLog.js';
+import { createStorageAdapter } from '../services/storage/index.js';
+import { normalizeLead, describeDamage } from '../services/QuoteSchema.mjs';
+import { fetchLeads } from '../services/QuoteService.js';
+import chatbotConfig from '../config/ChatbotConfig.js';
 import './Dashboard.css';
 
+// Chatbot answer ratings, read from the storage the chatbot writes them to
+const createFeedbackStore = () => {
+  const { persistence, feedback } = chatbotConfig.getChatConfig();
+  return new FeedbackStore({
+    storage: createStorageAdapter(persistence.storage),
+    maxEntries: feedback.maxEntries
+  });
+};
+
+// Messages the chatbot refused and replies it flagged, from the same storage
+const createGuardrailLog = () => {
+  const { persistence, guardrails } = chatbotConfig.getChatConfig();
+  return new GuardrailLog({
+    storage: createStorageAdapter(persistence.storage),
+    maxEntries: guardrails.maxLogEntries
+  });
+};
+
+const VIOLATION_LABELS = {
+  input_length: 'Too long',
+  blocked_pattern: 'Blocked pattern',
+  off_topic: 'Off topic',
+  price_commitment: 'Price commitment'
+};
+
+// Customers who asked the chatbot for a person, only when a handoff relay is configured
+const createHandoffService = () => {
+  const { handoff } = chatbotConfig.getChatConfig();
+  return handoff.relayUrl ? new HandoffService(handoff) : null;
+};
+
 const Dashboard = () => {
   const navigate = useNavigate();
   const [leads, setLeads] = useState([]);
+  const [leadsNotice, setLeadsNotice] = useState('');
+  const [lowestRated, setLowestRated] = useState([]);
+  const [violations, setViolations] = useState([]);
+  const [handoffService] = useState(createHandoffService);
   
   // Data for traffic sources chart
   const trafficData = [
@@ -32,23 +75,62 @@ const Dashboard = () => {
     if (!isLoggedIn) {
       navigate('/login');
     } else {
-      // Dummy data for leads
+      // Sample leads, shown when the stored ones can't be loaded (no API or admin token)
       const dummyLeads = [
-        { id: 1, name: 'John Smith', phone: '021 123 4567', email: 'john@example.com', make: 'Toyota', model: 'Corolla', condition: 'Running', source: 'Facebook' },
-        { id: 2, name: 'Sarah Johnson', phone: '022 234 5678', email: 'sarah@example.com', make: 'Honda', model: 'Civic', condition: 'Not Running', source: 'Google' },
-        { id: 3, name: 'Mike Brown', phone: '027 345 6789', email: 'mike@example.com', make: 'Ford', model: 'Falcon', condition: 'Scrap', source: 'Instagram' },
+        { id: 1, name: 'John Smith', phone: '021 123 4567', email: 'john@example.com', make: 'Toyota', model: 'Corolla', condition: 'Running', plate: 'ABC123', odometer: '212000', drivable: 'Drivable', damageAreas: 'Front, Bonnet', airbagsDeployed: 'No', keys: 'Yes', wof: 'Expired', rego: 'Current', source: 'Facebook' },
+        { id: 2, name: 'Sarah Johnson', phone: '+64 22 234 5678', email: 'sarah@example.com', make: 'Honda', model: 'Civic', condition: 'Not Running', plate: 'hjk 42', odometer: '168,400 km', drivable: 'Towable', damageAreas: 'Rear, Boot', airbagsDeployed: 'Yes', keys: 'Yes', source: 'Google' },
+        { id: 3, name: 'Mike Brown', phone: '027 345 6789', email: 'mike@example.com', make: 'Ford', model: 'Falcon', condition: 'Scrap', drivable: 'Not towable', floodDamage: 'Yes', keys: 'No', rego: 'Cancelled', source: 'Instagram' },
         { id: 4, name: 'Emma Wilson', phone: '021 456 7890', email: 'emma@example.com', make: 'Nissan', model: 'Skyline', condition: 'Running', source: 'Facebook' },
         { id: 5, name: 'David Lee', phone: '022 567 8901', email: 'david@example.com', make: 'Mazda', model: 'RX-7', condition: 'Parted Out', source: 'Other' },
         { id: 6, name: 'Lisa Taylor', phone: '027 678 9012', email: 'lisa@example.com', make: 'Subaru', model: 'Impreza', condition: 'Not Running', source: 'Google' },
         { id: 7, name: 'James Davis', phone: '021 789 0123', email: 'james@example.com', make: 'Mitsubishi', model: 'Lancer', condition: 'Running', source: 'Facebook' },
         { id: 8, name: 'Anna White', phone: '022 890 1234', email: 'anna@example.com', make: 'Holden', model: 'Commodore', condition: 'Scrap', source: 'Instagram' }
       ];
-      setLeads(dummyLeads);
+      const showDummyLeads = (reason) => {
+        // Shown the way the quote form stores them (021 123 4567, ABC123, 168400)
+        setLeads(dummyLeads.map(normalizeLead));
+        setLeadsNotice(`Showing sample leads: ${reason}`);
+      };
+
+      const adminToken = sessionStorage.getItem('adminToken');
+      if (adminToken) {
+        fetchLeads(adminToken)
+          .then(storedLeads => {
+            setLeads(storedLeads);
+            setLeadsNotice(storedLeads.length === 0 ? 'No quote requests have been received yet.' : '');
+          })
+          .catch(error => {
+            console.warn('Failed to load quote requests:', error);
+            showDummyLeads(error.message);
+          });
+      } else {
+        showDummyLeads('log in again to load the stored quote requests.');
+      }
+
+      createFeedbackStore().getLowestRated(10)
+        .then(setLowestRated)
+        .catch(error => console.warn('Failed to load chatbot feedback:', error));
+
+      createGuardrailLog().getRecent(20)
+        .then(setViolations)
+        .catch(error => console.warn('Failed to load guardrail violations:', error));
     }
   }, [navigate]);
 
+  // Download every rated answer as JSONL (prompt, context, answer, rating) for fine-tuning
+  const downloadFeedbackDataset = async () => {
+    const dataset = await createFeedbackStore().exportJSONL();
+    const url = URL.createObjectURL(new Blob([dataset], { type: 'application/jsonl' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `chatbot-feedback-${new Date().toISOString().slice(0, 10)}.jsonl`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   const handleLogout = () => {
     localStorage.removeItem('isLoggedIn');
+    sessionStorage.removeItem('adminToken');
     navigate('/');
   };
 
@@ -111,26 +193,39 @@ const Dashboard = () => {
         
         <div className="leads-section">
           <h2>Recent Leads</h2>
+          {leadsNotice && <p className="feedback-empty">{leadsNotice}</p>}
           <div className="table-container">
             <table>
               <thead>
                 <tr>
+                  <th>Received</th>
                   <th>Name</th>
                   <th>Phone</th>
                   <th>Email</th>
                   <th>Car</th>
+                  <th>Rego / VIN</th>
                   <th>Condition</th>
+                  <th>Damage</th>
                   <th>Source</th>
                 </tr>
               </thead>
               <tbody>
                 {leads.map((lead) => (
                   <tr key={lead.id}>
+                    <td>{lead.receivedAt ? new Date(lead.receivedAt).toLocaleString() : ''}</td>
                     <td>{lead.name}</td>
                     <td>{lead.phone}</td>
                     <td>{lead.email}</td>
-                    <td>{lead.make} {lead.model}</td>
+                    <td>{[lead.year, lead.make, lead.model].filter(Boolean).join(' ')}</td>
+                    <td>{[lead.plate, lead.vin].filter(Boolean).join(' / ')}</td>
                     <td>{lead.condition}</td>
+                    <td>
+                      <ul className="lead-damage">
+                        {describeDamage(lead).map(({ label, value }) => (
+                          <li key={label}><span>{label}:</span> {value}</li>
+                        ))}
+                      </ul>
+                    </td>
                     <td>{lead.source}</td>
                   </tr>
                 ))}
@@ -138,6 +233,89 @@ const Dashboard = () => {
             </table>
           </div>
         </div>
+
+        <div className="leads-section feedback-section">
+          <div className="feedback-header">
+            <h2>Lowest-Rated Chatbot Answers</h2>
+            <button
+              onClick={downloadFeedbackDataset}
+              className="download-btn"
+              disabled={lowestRated.length === 0}
+            >
+              Download dataset (JSONL)
+            </button>
+          </div>
+          {lowestRated.length === 0 ? (
+            <p className="feedback-empty">No chatbot answers have been rated yet.</p>
+          ) : (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Rating</th>
+                    <th>Question</th>
+                    <th>Answer</th>
+                    <th>Comment</th>
+                    <th>Rated</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lowestRated.map((exchange) => (
+                    <tr key={exchange.messageId}>
+                      <td>{exchange.rating < 0 ? '👎' : '👍'}</td>
+                      <td>{exchange.prompt}</td>
+                      <td className="feedback-answer">{exchange.answer}</td>
+                      <td>{exchange.comment}</td>
+                      <td>{new Date(exchange.ratedAt).toLocaleDateString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="leads-section">
+          <h2>Guardrail Violations</h2>
+          {violations.length === 0 ? (
+            <p className="feedback-empty">No chatbot messages have been refused or flagged.</p>
+          ) : (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Session</th>
+                    <th>Type</th>
+                    <th>Rule</th>
+                    <th>Text</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {violations.map((violation, index) => (
+                    <tr key={`${violation.occurredAt}-${index}`}>
+                      <td>{new Date(violation.occurredAt).toLocaleString()}</td>
+                      <td>{violation.sessionId}</td>
+                      <td>
+                        {VIOLATION_LABELS[violation.type] || violation.type}
+                        {violation.direction === 'output' ? ' (reply)' : ''}
+                      </td>
+                      <td>{violation.rule}</td>
+                      <td className="feedback-answer">{violation.excerpt}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {handoffService && (
+          <div className="leads-section">
+            <h2>Customer Handoffs</h2>
+            <HandoffInbox handoffService={handoffService} />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -22,6 +22,8 @@ const Login = () => {
     e.preventDefault();
     // For demo purposes, accept any username/password
     localStorage.setItem('isLoggedIn', 'true');
+    // The password is also the admin token the Dashboard sends to /api/leads (QUOTE_ADMIN_TOKEN)
+    sessionStorage.setItem('adminToken', credentials.password);
     navigate('/dashboard');
   };
 
@@ -0,0 +1,237 @@
+/**
+ * Chat Tools
+ * The tools the assistant can call during a conversation: an indicative quote range,
+ * pickup availability for a region and date, and submitting the customer's details as
+ * a lead. Price ranges and the pickup schedule are in src/config/chatTools.json.
+ */
+
+import ToolRegistry, { ToolError } from './ToolRegistry.js';
+import { CAR_CONDITIONS, DAMAGE_FIELDS, REQUIRED_QUOTE_FIELDS, getQuoteField, validateQuoteFields } from './QuoteSchema.mjs';
+import { submitQuote as defaultSubmitQuote } from './QuoteService.js';
+import chatToolsData from '../config/chatTools.json';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const simplify = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+export const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Region served for a region or town name ("Hamilton" -> "Waikato"), or null
+ */
+export const resolveRegion = (text, pickup = chatToolsData.pickup) => {
+  const query = ` ${simplify(text)} `;
+  if (!query.trim()) {
+    return null;
+  }
+
+  const region = pickup.regions.find(name => query.includes(` ${simplify(name)} `));
+  if (region) {
+    return region;
+  }
+
+  const place = Object.keys(pickup.places || {}).find(name => query.includes(` ${simplify(name)} `));
+  return place ? pickup.places[place] : null;
+};
+
+/**
+ * Date from YYYY-MM-DD, "today", "tomorrow" or a weekday name (the next one, today included)
+ */
+export const parsePickupDate = (text, now = new Date()) => {
+  const value = simplify(text);
+  const today = startOfDay(now);
+
+  if (value === 'today') {
+    return today;
+  }
+  if (value === 'tomorrow') {
+    return addDays(today, 1);
+  }
+
+  const weekday = DAY_NAMES.findIndex(day => value === day || value === `next ${day}` || value === `this ${day}`);
+  if (weekday !== -1) {
+    return addDays(today, (weekday - today.getDay() + 7) % 7);
+  }
+
+  const iso = String(text || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return date.getMonth() === Number(iso[2]) - 1 ? date : null;
+  }
+
+  return null;
+};
+
+/**
+ * Indicative buying range for a car, narrowed for older vehicles
+ */
+export const estimateQuote = ({ make, model, year, condition }, now = new Date(), estimate = chatToolsData.estimate) => {
+  const [low, high] = estimate.ranges[condition];
+  const age = year ? now.getFullYear() - year : 0;
+  const ageFactor = estimate.ageFactors.find(({ minAge }) => age >= minAge);
+  const factor = ageFactor ? ageFactor.factor : 1;
+  const round = (value) => Math.max(estimate.roundTo, Math.round(value * factor / estimate.roundTo) * estimate.roundTo);
+
+  return {
+    make,
+    model,
+    year: year || null,
+    condition,
+    low: round(low),
+    high: round(high),
+    currency: estimate.currency,
+    indicative: true,
+    note: estimate.note
+  };
+};
+
+/**
+ * Whether a pickup can be booked in a region on a date, with the next bookable day
+ */
+export const checkPickupAvailability = ({ region, date }, now = new Date(), pickup = chatToolsData.pickup) => {
+  const servedRegion = resolveRegion(region, pickup);
+  if (!servedRegion) {
+    return {
+      region,
+      available: false,
+      reason: 'This area is not on our pickup list. The team can confirm by phone whether we can collect there.'
+    };
+  }
+
+  const requested = date ? parsePickupDate(date, now) : null;
+  if (date && !requested) {
+    throw new ToolError(`Could not read the date "${date}", use YYYY-MM-DD`, 'checkPickupAvailability');
+  }
+
+  const earliest = addDays(startOfDay(now), pickup.noticeDays);
+  const latest = addDays(startOfDay(now), pickup.maxDaysAhead);
+  const isPickupDay = (day) => pickup.days.map(simplify).includes(DAY_NAMES[day.getDay()]);
+
+  let nextAvailable = null;
+  for (let day = requested && requested > earliest ? requested : earliest; day <= latest; day = addDays(day, 1)) {
+    if (isPickupDay(day)) {
+      nextAvailable = day;
+      break;
+    }
+  }
+
+  let reason = null;
+  if (requested && requested < earliest) {
+    reason = `Pickups need at least ${pickup.noticeDays} day's notice.`;
+  } else if (requested && requested > latest) {
+    reason = `Pickups can be booked up to ${pickup.maxDaysAhead} days ahead.`;
+  } else if (requested && !isPickupDay(requested)) {
+    reason = `We collect on ${pickup.days.join(', ')}.`;
+  }
+
+  const result = {
+    region: servedRegion,
+    date: requested ? formatDate(requested) : null,
+    available: requested ? !reason : Boolean(nextAvailable),
+    nextAvailableDate: nextAvailable ? formatDate(nextAvailable) : null
+  };
+  return reason ? { ...result, reason } : result;
+};
+
+// createLead parameter for a damage question, limited to the answers the quote form offers
+const damageProperty = (field) => {
+  if (field.type === 'select') {
+    return { type: 'string', enum: field.options, description: field.label };
+  }
+  if (field.type === 'areas') {
+    return { type: 'string', description: `Damaged areas, comma-separated: ${field.options.join(', ')}` };
+  }
+  return { type: 'string', description: field.placeholder };
+};
+
+/**
+ * Tool definitions for the chat, with injectable quote submission and clock for tests
+ */
+export const createChatTools = ({ submitQuote = defaultSubmitQuote, now = () => new Date() } = {}) => [
+  {
+    name: 'estimateQuote',
+    description: 'Get an indicative price range in NZD for buying a car. Use it when the customer asks ' +
+      'what their car is worth. The final offer is confirmed by the team.',
+    parameters: {
+      type: 'object',
+      properties: {
+        make: { type: 'string', description: 'Car make, e.g. Toyota' },
+        model: { type: 'string', description: 'Car model, e.g. Corolla' },
+        year: { type: 'integer', description: 'Year of manufacture' },
+        condition: { type: 'string', enum: CAR_CONDITIONS, description: 'Condition of the car' }
+      },
+      required: ['make', 'model', 'condition']
+    },
+    execute: (args) => estimateQuote(args, now())
+  },
+  {
+    name: 'checkPickupAvailability',
+    description: 'Check whether a free pickup can be booked in a New Zealand region or town, ' +
+      'optionally on a given date, and find the next available day.',
+    parameters: {
+      type: 'object',
+      properties: {
+        region: { type: 'string', description: 'Region or town, e.g. Waikato or Hamilton' },
+        date: { type: 'string', description: 'Requested day as YYYY-MM-DD, "tomorrow" or a weekday' }
+      },
+      required: ['region']
+    },
+    execute: (args) => checkPickupAvailability(args, now())
+  },
+  {
+    name: 'createLead',
+    description: 'Send the customer\'s contact and car details to the team so they can confirm a quote. ' +
+      'Only call it once the customer has given all the required details and agreed to be contacted. ' +
+      'Tell the customer the reference number it returns.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        phone: { type: 'string' },
+        email: { type: 'string' },
+        make: { type: 'string' },
+        model: { type: 'string' },
+        year: { type: 'string' },
+        condition: { type: 'string', enum: CAR_CONDITIONS },
+        plate: { type: 'string', description: 'NZ registration plate, if the customer gave it' },
+        vin: { type: 'string', description: '17-character VIN, if the customer gave it' },
+        location: { type: 'string' },
+        ...Object.fromEntries(DAMAGE_FIELDS.map(name => [name, damageProperty(getQuoteField(name))]))
+      },
+      required: REQUIRED_QUOTE_FIELDS
+    },
+    // Checked against the quote form's schema, which /api/quote applies as well
+    execute: async (args) => {
+      const { values, errors } = validateQuoteFields(args);
+      const invalid = Object.keys(errors);
+      if (invalid.length > 0) {
+        throw new ToolError(
+          `Invalid ${invalid.join(', ')}: ${Object.values(errors).join(' ')} Ask the customer to check.`,
+          'createLead'
+        );
+      }
+
+      const { lead, reference } = await submitQuote(values);
+      return { submitted: true, reference, lead };
+    }
+  }
+];
+
+export const createChatToolRegistry = (options) => new ToolRegistry(createChatTools(options));
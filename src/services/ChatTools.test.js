@@ -0,0 +1,71 @@
+/**
+ * Tests for the chat tools
+ */
+
+import { createChatToolRegistry, resolveRegion, parsePickupDate, formatDate } from './ChatTools.js';
+
+// Wednesday 15 May 2024
+const now = () => new Date(2024, 4, 15, 10, 0);
+
+describe('ChatTools', () => {
+  let submitQuote;
+  let registry;
+
+  beforeEach(() => {
+    submitQuote = jest.fn(fields => Promise.resolve({ lead: fields, photos: [], reference: 'Q-250301-ABC234' }));
+    registry = createChatToolRegistry({ submitQuote, now });
+  });
+
+  test('should estimate a range by condition, narrowed for older cars', async () => {
+    const recent = await registry.execute('estimateQuote', { make: 'Toyota', model: 'Corolla', year: 2018, condition: 'Running' });
+    const old = await registry.execute('estimateQuote', { make: 'Toyota', model: 'Corolla', year: 1998, condition: 'Running' });
+
+    expect(recent).toEqual(expect.objectContaining({ low: 1500, high: 6000, currency: 'NZD', indicative: true }));
+    expect(old).toEqual(expect.objectContaining({ low: 750, high: 3000 }));
+    await expect(registry.execute('estimateQuote', { make: 'Toyota', model: 'Corolla', condition: 'Mint' }))
+      .rejects.toThrow('condition must be one of');
+  });
+
+  test('should resolve regions from region or town names', () => {
+    expect(resolveRegion('hamilton')).toBe('Waikato');
+    expect(resolveRegion('Hawkes Bay')).toBe("Hawke's Bay");
+    expect(resolveRegion('Manawatū-Whanganui')).toBe('Manawatu-Whanganui');
+    expect(resolveRegion('Sydney')).toBeNull();
+    expect(formatDate(parsePickupDate('saturday', now()))).toBe('2024-05-18');
+    expect(formatDate(parsePickupDate('tomorrow', now()))).toBe('2024-05-16');
+    expect(parsePickupDate('2024-02-30', now())).toBeNull();
+  });
+
+  test('should check pickup days, notice and coverage', async () => {
+    await expect(registry.execute('checkPickupAvailability', { region: 'Christchurch', date: '2024-05-17' }))
+      .resolves.toEqual({ region: 'Canterbury', date: '2024-05-17', available: true, nextAvailableDate: '2024-05-17' });
+
+    const sunday = await registry.execute('checkPickupAvailability', { region: 'Auckland', date: 'sunday' });
+    expect(sunday).toEqual(expect.objectContaining({ available: false, nextAvailableDate: '2024-05-20' }));
+
+    const today = await registry.execute('checkPickupAvailability', { region: 'Auckland', date: 'today' });
+    expect(today).toEqual(expect.objectContaining({ available: false, nextAvailableDate: '2024-05-16' }));
+
+    const elsewhere = await registry.execute('checkPickupAvailability', { region: 'Sydney' });
+    expect(elsewhere.available).toBe(false);
+
+    await expect(registry.execute('checkPickupAvailability', { region: 'Auckland', date: 'soon' }))
+      .rejects.toThrow('Could not read the date');
+  });
+
+  test('should submit a lead through the quote service and reject invalid contact details', async () => {
+    const result = await registry.execute('createLead', {
+      name: 'Sam', phone: '021 123 4567', email: 'sam@example.com', make: 'Mazda', model: 'Demio', year: '2009', condition: 'Running'
+    });
+
+    expect(result).toEqual(expect.objectContaining({ submitted: true, reference: 'Q-250301-ABC234' }));
+    expect(submitQuote).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Sam', phone: '021 123 4567', make: 'Mazda', model: 'Demio', condition: 'Running', location: ''
+    }));
+
+    await expect(registry.execute('createLead', {
+      name: 'Sam', phone: '12', email: 'sam@example.com', make: 'Mazda', model: 'Demio', year: '2009', condition: 'Running'
+    })).rejects.toThrow('Invalid phone');
+    expect(submitQuote).toHaveBeenCalledTimes(1);
+  });
+});
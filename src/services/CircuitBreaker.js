@@ -0,0 +1,150 @@
+/**
+ * Circuit Breaker
+ * Tracks consecutive failures per key (one circuit per Ollama endpoint) and stops
+ * sending requests to a failing endpoint until a cool-down has passed:
+ * closed (normal) -> open (short-circuit) -> half-open (single probe) -> closed/open
+ */
+
+export const CIRCUIT_STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+class CircuitBreaker {
+  constructor(config = {}) {
+    this.config = {
+      failureThreshold: config.failureThreshold || 3, // Consecutive failures before opening
+      resetTimeout: config.resetTimeout || 30000 // Time open before a half-open probe is allowed
+    };
+
+    this.circuits = new Map();
+  }
+
+  getCircuit(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        openedAt: null,
+        probeInFlight: false,
+        lastError: null,
+        trips: 0
+      });
+    }
+    return this.circuits.get(key);
+  }
+
+  /**
+   * Whether a request may be sent. Moves an open circuit to half-open once the
+   * reset timeout has passed and lets exactly one probe request through.
+   */
+  canRequest(key) {
+    const circuit = this.getCircuit(key);
+
+    if (circuit.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() - circuit.openedAt < this.config.resetTimeout) {
+        return false;
+      }
+      circuit.state = CIRCUIT_STATES.HALF_OPEN;
+      circuit.probeInFlight = false;
+    }
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (circuit.probeInFlight) {
+        return false;
+      }
+      circuit.probeInFlight = true;
+    }
+
+    return true;
+  }
+
+  recordSuccess(key) {
+    const circuit = this.getCircuit(key);
+
+    circuit.state = CIRCUIT_STATES.CLOSED;
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.probeInFlight = false;
+    circuit.lastError = null;
+  }
+
+  recordFailure(key, error = null) {
+    const circuit = this.getCircuit(key);
+
+    circuit.failures++;
+    circuit.lastError = error ? error.message : null;
+
+    // A failed probe re-opens the circuit straight away
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN || circuit.failures >= this.config.failureThreshold) {
+      if (circuit.state !== CIRCUIT_STATES.OPEN) {
+        circuit.trips++;
+      }
+      circuit.state = CIRCUIT_STATES.OPEN;
+      circuit.openedAt = Date.now();
+      circuit.probeInFlight = false;
+    }
+  }
+
+  /**
+   * Release a half-open probe slot without a verdict (e.g. the probe was cancelled)
+   */
+  releaseProbe(key) {
+    const circuit = this.getCircuit(key);
+    circuit.probeInFlight = false;
+  }
+
+  /**
+   * Current state, reporting open circuits whose timeout has passed as half-open
+   */
+  getState(key) {
+    const circuit = this.getCircuit(key);
+
+    if (circuit.state === CIRCUIT_STATES.OPEN &&
+        Date.now() - circuit.openedAt >= this.config.resetTimeout) {
+      return CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    return circuit.state;
+  }
+
+  /**
+   * When an open circuit will allow its next probe (null if not open)
+   */
+  getNextAttemptTime(key) {
+    const circuit = this.getCircuit(key);
+    return circuit.state === CIRCUIT_STATES.OPEN
+      ? circuit.openedAt + this.config.resetTimeout
+      : null;
+  }
+
+  reset(key = null) {
+    if (key === null) {
+      this.circuits.clear();
+    } else {
+      this.circuits.delete(key);
+    }
+  }
+
+  /**
+   * State of every circuit, keyed by endpoint
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [key, circuit] of this.circuits.entries()) {
+      status[key] = {
+        state: this.getState(key),
+        failures: circuit.failures,
+        trips: circuit.trips,
+        lastError: circuit.lastError,
+        nextAttemptAt: this.getNextAttemptTime(key)
+      };
+    }
+
+    return status;
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,74 @@
+/**
+ * Tests for CircuitBreaker
+ */
+
+import CircuitBreaker, { CIRCUIT_STATES } from './CircuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  const endpoint = 'https://pc.ngrok.io';
+  let breaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 30000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should open after consecutive failures and short-circuit requests', () => {
+    breaker.recordFailure(endpoint, new Error('Failed to fetch'));
+    breaker.recordFailure(endpoint, new Error('Failed to fetch'));
+    expect(breaker.canRequest(endpoint)).toBe(true);
+
+    breaker.recordFailure(endpoint, new Error('Failed to fetch'));
+
+    expect(breaker.getState(endpoint)).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.canRequest(endpoint)).toBe(false);
+  });
+
+  test('should reset the failure count on success', () => {
+    breaker.recordFailure(endpoint);
+    breaker.recordFailure(endpoint);
+    breaker.recordSuccess(endpoint);
+    breaker.recordFailure(endpoint);
+
+    expect(breaker.getState(endpoint)).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  test('should allow a single half-open probe after the reset timeout', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(endpoint));
+
+    jest.advanceTimersByTime(30000);
+
+    expect(breaker.getState(endpoint)).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.canRequest(endpoint)).toBe(true);
+    expect(breaker.canRequest(endpoint)).toBe(false);
+
+    breaker.recordSuccess(endpoint);
+    expect(breaker.getState(endpoint)).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  test('should re-open when the probe fails', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(endpoint));
+    jest.advanceTimersByTime(30000);
+    breaker.canRequest(endpoint);
+
+    breaker.recordFailure(endpoint, new Error('timeout'));
+
+    expect(breaker.getState(endpoint)).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.canRequest(endpoint)).toBe(false);
+    expect(breaker.getStatus()[endpoint]).toEqual(expect.objectContaining({
+      state: CIRCUIT_STATES.OPEN,
+      trips: 2,
+      lastError: 'timeout'
+    }));
+  });
+
+  test('should keep circuits independent per endpoint', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(endpoint));
+
+    expect(breaker.canRequest('https://backup.example.com')).toBe(true);
+  });
+});
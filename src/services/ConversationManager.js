@@ -1,35 +1,97 @@
 /**
  * Conversation Manager
- * Handles conversation history, context management, and message formatting
+ * Handles conversation history, context management, and message formatting.
+ * With a storage adapter the conversation is saved after every change and can
+ * be restored after a page reload. With a context size the history sent to the
+ * model is trimmed to a token budget. With a summarizer, turns that fall out of
+ * the context are folded into a running summary that is sent ahead of the history.
+ * With a lead extractor, quote details mentioned in the chat are collected into a lead draft.
+ * Messages form a tree through their parentId: `messages` is the active branch, and
+ * regenerated replies or edited questions keep the replaced turns as alternative branches.
+ * During a handoff a person on the team replies instead of the model.
  */
 
+import TokenEstimator from './TokenEstimator.js';
+import LeadDraft from './LeadDraft.js';
+import { toJSONL } from './FeedbackStore.js';
+
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Whether a message is a real exchange with the assistant. Scripted quote and handoff
+ * steps, messages to and from the team, canned fallback replies and notices (errors,
+ * "Response stopped.") would only use up the context and teach the model to repeat them.
+ */
+const isConversationTurn = (msg) => !msg.scripted && !msg.handoff && !msg.agent && !msg.fallback && !msg.notice;
+
 class ConversationManager {
-  constructor(maxHistoryLength = 10) {
+  constructor(maxHistoryLength = 10, options = {}) {
     this.maxHistoryLength = maxHistoryLength;
-    this.messages = [];
+    this.messages = []; // Active branch, oldest first
+    this.branchMessages = []; // Messages on inactive branches
+    this.selectedBranches = {}; // Parent id ('root' for the first message) -> last active child id
     this.sessionId = this.generateSessionId();
+    
+    // Persistence (optional)
+    this.storage = options.storage || null;
+    this.storageKey = options.storageKey || 'conversation';
+    this.retentionMs = options.retentionMs ?? DEFAULT_RETENTION_MS; // 0 keeps conversations forever
+    this.persistDelay = options.persistDelay ?? 300; // Coalesces writes while a reply streams in
+    this.persistTimer = null;
+
+    // Token budget (optional): the system prompt, the new message and the reply's
+    // reserved tokens always fit, history fills what is left newest-first
+    this.tokenEstimator = options.tokenEstimator || new TokenEstimator();
+    this.contextSize = options.contextSize || null;
+    this.reservedTokens = options.reservedTokens || 0;
+    this.systemPrompt = options.systemPrompt || '';
+    this.lastPromptEstimate = null;
+
+    // Rolling summary (optional): summarizer({ previousSummary, messages }) resolves to the new summary text
+    this.summarizer = options.summarizer || null;
+    this.summarizeAfter = options.summarizeAfter || 4; // Unsummarized messages before a new summary is requested
+    this.summary = null; // { text, messageIds, updatedAt, stale }
+    this.evictedMessages = []; // Messages trimmed from history, kept as summary source
+    this.summaryRevision = 0;
+    this.pendingSummary = null;
+
+    // Lead draft (optional): leadExtractor({ messages, fields }) resolves to extracted quote details
+    this.leadExtractor = options.leadExtractor || null;
+    this.leadDraft = new LeadDraft();
+    this.leadExtractedThrough = null; // Id of the last message the extractor has seen
+    this.pendingLeadExtraction = null;
+
+    // Human handoff: { id, status, contact, lastMessageId, requestedAt } while the team is replying
+    this.handoff = null;
   }
 
   /**
    * Add a message to the conversation history
    */
   addMessage(text, isBot = false, metadata = {}) {
+    const lastMessage = this.getLastMessage();
     const message = {
       id: this.generateMessageId(),
+      parentId: lastMessage ? lastMessage.id : null,
       text: text.trim(),
       isBot,
       timestamp: new Date(),
+      createdAt: this.nextCreatedAt(),
       sessionId: this.sessionId,
       ...metadata
     };
 
     this.messages.push(message);
+    this.selectedBranches[message.parentId || 'root'] = message.id;
     
     // Manage context window - keep only recent messages
     if (this.messages.length > this.maxHistoryLength * 2) { // *2 to account for user+bot pairs
+      this.evictMessages(this.messages.slice(0, -this.maxHistoryLength * 2));
       this.messages = this.messages.slice(-this.maxHistoryLength * 2);
+      this.pruneBranches();
     }
 
+    this.schedulePersist();
     return message;
   }
 
@@ -46,13 +108,501 @@ class ConversationManager {
   }
 
   /**
-   * Get conversation context for Ollama (excluding system messages)
+   * Get conversation context for Ollama (excluding system messages).
+   * Pass the message about to be sent so it is counted against the token budget.
+   * With `beforeMessageId` the context is the history that preceded that message,
+   * e.g. to resend a question whose reply is being regenerated.
    */
-  getContextForOllama() {
+  getContextForOllama(newMessage = '', beforeMessageId = null) {
+    const endIndex = beforeMessageId ? this.messages.findIndex(msg => msg.id === beforeMessageId) : -1;
+
     // Return only user and assistant messages, excluding any system messages
-    return this.messages
-      .filter(msg => msg.text && msg.text.trim() !== '')
+    const history = (endIndex === -1 ? this.messages : this.messages.slice(0, endIndex))
+      .filter(msg => msg.text && msg.text.trim() !== '' && isConversationTurn(msg))
       .slice(-this.maxHistoryLength); // Keep only recent messages for context
+
+    const summaryMessage = this.getSummaryMessage();
+    const fitted = this.fitToTokenBudget(history, newMessage, summaryMessage ? summaryMessage.text : '');
+
+    return summaryMessage ? [summaryMessage, ...fitted] : fitted;
+  }
+
+  /**
+   * Keep the newest history messages that fit in the context size alongside the
+   * system prompt, the new message and the reserved reply tokens
+   */
+  fitToTokenBudget(history, newMessage = '', summaryText = '') {
+    const estimator = this.tokenEstimator;
+    const budget = this.contextSize ? this.contextSize - this.reservedTokens : Infinity;
+    let usedTokens = estimator.estimateMessage(this.systemPrompt) + estimator.estimateMessage(newMessage);
+    if (summaryText) {
+      usedTokens += estimator.estimateMessage(summaryText);
+    }
+    const fitted = [];
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const messageTokens = estimator.estimateMessage(history[i].text);
+      if (usedTokens + messageTokens > budget) {
+        break; // Older turns are dropped rather than leaving a gap in the conversation
+      }
+      usedTokens += messageTokens;
+      fitted.unshift(history[i]);
+    }
+
+    this.lastPromptEstimate = usedTokens;
+    return fitted;
+  }
+
+  /**
+   * Calibrate the token estimator with the prompt token count the model reported
+   * (prompt_eval_count) for the context most recently returned by getContextForOllama
+   */
+  recordPromptTokens(promptTokens) {
+    if (this.lastPromptEstimate && promptTokens) {
+      this.tokenEstimator.calibrate(this.lastPromptEstimate, promptTokens);
+    }
+  }
+
+  /**
+   * Estimated tokens of the most recent context, against the configured context size
+   */
+  getTokenUsage() {
+    return {
+      estimatedPromptTokens: this.lastPromptEstimate,
+      reservedTokens: this.reservedTokens,
+      contextSize: this.contextSize,
+      correction: this.tokenEstimator.getCorrection()
+    };
+  }
+
+  /**
+   * Summary of earlier turns as a system-role context message, or null
+   */
+  getSummaryMessage() {
+    if (!this.summary || !this.summary.text) {
+      return null;
+    }
+
+    return {
+      id: 'conversation_summary',
+      role: 'system',
+      text: `Summary of the earlier conversation: ${this.summary.text}`,
+      isSummary: true
+    };
+  }
+
+  /**
+   * Current rolling summary ({ text, messageIds, updatedAt, stale }), or null
+   */
+  getRollingSummary() {
+    return this.summary ? { ...this.summary } : null;
+  }
+
+  /**
+   * Messages that are no longer sent as history: trimmed ones plus those older
+   * than the context window
+   */
+  getMessagesOutsideContext() {
+    const inHistory = this.messages.filter(msg => msg.text && msg.text.trim() !== '');
+    return [
+      ...this.evictedMessages,
+      ...inHistory.slice(0, Math.max(0, inHistory.length - this.maxHistoryLength))
+    ];
+  }
+
+  /**
+   * Whether the summary is out of date: edited turns, or enough new turns left the context
+   */
+  needsSummary() {
+    if (!this.summarizer) {
+      return false;
+    }
+
+    if (this.summary && this.summary.stale) {
+      return true;
+    }
+
+    const summarizedIds = new Set(this.summary ? this.summary.messageIds : []);
+    const unsummarized = this.getMessagesOutsideContext().filter(msg => !summarizedIds.has(msg.id));
+    return unsummarized.length >= this.summarizeAfter;
+  }
+
+  /**
+   * Ask the summarizer to fold turns outside the context into the running summary.
+   * A stale summary is rebuilt from all of them. Resolves to the summary (or null).
+   */
+  summarizeIfNeeded() {
+    if (this.pendingSummary) {
+      return this.pendingSummary;
+    }
+
+    if (!this.needsSummary()) {
+      return Promise.resolve(this.getRollingSummary());
+    }
+
+    const rebuild = !this.summary || this.summary.stale;
+    const summarizedIds = new Set(rebuild ? [] : this.summary.messageIds);
+    const messages = this.getMessagesOutsideContext().filter(msg => !summarizedIds.has(msg.id));
+    const revision = this.summaryRevision;
+
+    this.pendingSummary = Promise.resolve()
+      .then(() => this.summarizer({
+        previousSummary: rebuild ? null : this.summary.text,
+        messages
+      }))
+      .then(text => {
+        // Discard the result if history was edited or cleared while summarizing
+        if (revision !== this.summaryRevision || !text || !text.trim()) {
+          return this.getRollingSummary();
+        }
+
+        this.summary = {
+          text: text.trim(),
+          messageIds: [...summarizedIds, ...messages.map(msg => msg.id)],
+          updatedAt: new Date(),
+          stale: false
+        };
+        this.schedulePersist();
+        return this.getRollingSummary();
+      })
+      .catch(error => {
+        console.warn('Failed to summarize conversation:', error);
+        return this.getRollingSummary();
+      })
+      .finally(() => {
+        this.pendingSummary = null;
+      });
+
+    return this.pendingSummary;
+  }
+
+  /**
+   * Keep messages trimmed from history so they can still be summarized
+   */
+  evictMessages(messages) {
+    if (this.summarizer) {
+      this.evictedMessages.push(...messages.filter(msg => msg.text && msg.text.trim() !== ''));
+    }
+  }
+
+  /**
+   * Mark the summary for regeneration when a message it covers changes
+   */
+  invalidateSummary(messageId) {
+    if (this.summary && this.summary.messageIds.includes(messageId)) {
+      this.summary.stale = true;
+      this.summaryRevision++;
+    }
+  }
+
+  /**
+   * Quote details collected from the chat so far
+   */
+  getLeadDraft() {
+    return this.leadDraft;
+  }
+
+  /**
+   * Run the lead extractor over the turns it has not seen yet (plus the message before
+   * them, so a bare answer keeps its question) and merge the result into the lead draft.
+   * Resolves to the lead draft.
+   */
+  extractLeadDetails() {
+    if (this.pendingLeadExtraction) {
+      return this.pendingLeadExtraction;
+    }
+
+    const history = this.messages.filter(msg => msg.text && msg.text.trim() !== '');
+    const lastSeenIndex = history.findIndex(msg => msg.id === this.leadExtractedThrough);
+    const newMessages = history.slice(lastSeenIndex + 1);
+
+    if (!this.leadExtractor || !newMessages.some(msg => !msg.isBot)) {
+      return Promise.resolve(this.leadDraft);
+    }
+
+    const messages = history.slice(Math.max(0, lastSeenIndex));
+    const sessionId = this.sessionId;
+
+    this.pendingLeadExtraction = Promise.resolve()
+      .then(() => this.leadExtractor({ messages, fields: this.leadDraft.getFormData() }))
+      .then(facts => {
+        // Ignore results for a conversation that has since been cleared
+        if (sessionId === this.sessionId) {
+          this.leadDraft.merge(facts || {});
+          this.leadExtractedThrough = history[history.length - 1].id;
+          this.schedulePersist();
+        }
+        return this.leadDraft;
+      })
+      .catch(error => {
+        console.warn('Failed to extract lead details:', error);
+        return this.leadDraft;
+      })
+      .finally(() => {
+        this.pendingLeadExtraction = null;
+      });
+
+    return this.pendingLeadExtraction;
+  }
+
+  /**
+   * Move a message and everything after it on the active branch to an inactive
+   * branch, so a regenerated reply or an edited question can take its place.
+   * Returns the message the new branch continues from (null at the start).
+   */
+  branchFrom(messageId) {
+    const messageIndex = this.messages.findIndex(msg => msg.id === messageId);
+    if (messageIndex === -1) {
+      return null;
+    }
+
+    this.deactivate(this.messages.slice(messageIndex));
+    this.messages = this.messages.slice(0, messageIndex);
+    this.schedulePersist();
+    return this.getLastMessage();
+  }
+
+  /**
+   * Make the branch through an inactive message active, following each message's
+   * last active reply below it. Returns the new active branch.
+   */
+  switchBranch(messageId) {
+    const target = this.branchMessages.find(msg => msg.id === messageId);
+    const forkIndex = target && target.parentId
+      ? this.messages.findIndex(msg => msg.id === target.parentId)
+      : -1;
+
+    if (!target || (target.parentId && forkIndex === -1)) {
+      return this.messages;
+    }
+
+    this.deactivate(this.messages.slice(forkIndex + 1));
+    const branch = this.messages.slice(0, forkIndex + 1);
+    let current = target;
+
+    while (current) {
+      const activated = current;
+      this.branchMessages = this.branchMessages.filter(msg => msg !== activated);
+      this.selectedBranches[current.parentId || 'root'] = current.id;
+      this.invalidateSummary(current.id);
+      branch.push(current);
+
+      const children = this.getChildren(current.id);
+      const selectedId = this.selectedBranches[current.id];
+      current = children.find(msg => msg.id === selectedId) || children[children.length - 1] || null;
+    }
+
+    this.messages = branch;
+    this.schedulePersist();
+    return this.messages;
+  }
+
+  /**
+   * Alternatives for a message (itself included), oldest first, with its position among them
+   */
+  getBranchInfo(messageId) {
+    const message = this.findMessage(messageId);
+    if (!message) {
+      return { index: 0, count: 0, siblings: [] };
+    }
+
+    const siblings = this.getChildren(message.parentId || null);
+    return {
+      index: siblings.findIndex(msg => msg.id === messageId),
+      count: siblings.length,
+      siblings
+    };
+  }
+
+  /**
+   * Direct replies to a message across all branches (null for the first messages), oldest first
+   */
+  getChildren(parentId) {
+    return [...this.messages, ...this.branchMessages]
+      .filter(msg => (msg.parentId || null) === parentId)
+      .sort((a, b) => this.toDate(a.createdAt || a.timestamp) - this.toDate(b.createdAt || b.timestamp));
+  }
+
+  /**
+   * Creation time for a new message, strictly after every existing one so that
+   * alternatives created within the same millisecond keep their order
+   */
+  nextCreatedAt() {
+    const latest = [...this.messages, ...this.branchMessages].reduce(
+      (max, msg) => Math.max(max, this.toDate(msg.createdAt || msg.timestamp).getTime()),
+      0
+    );
+    return new Date(Math.max(Date.now(), latest + 1));
+  }
+
+  findMessage(messageId) {
+    return this.messages.find(msg => msg.id === messageId) ||
+      this.branchMessages.find(msg => msg.id === messageId) ||
+      null;
+  }
+
+  /**
+   * Move messages off the active branch, keeping summary and lead extraction consistent
+   */
+  deactivate(messages) {
+    const ids = messages.map(msg => msg.id);
+    this.branchMessages.push(...messages);
+    ids.forEach(id => this.invalidateSummary(id));
+
+    if (ids.includes(this.leadExtractedThrough)) {
+      const remaining = this.messages.filter(msg => !ids.includes(msg.id));
+      this.leadExtractedThrough = remaining.length > 0 ? remaining[remaining.length - 1].id : null;
+    }
+  }
+
+  /**
+   * Drop inactive branches that can no longer be reached once older turns are trimmed
+   */
+  pruneBranches() {
+    if (this.branchMessages.length === 0) {
+      return;
+    }
+
+    // Alternatives to any active message stay reachable, as do their own replies
+    const reachable = new Set(this.messages.flatMap(msg => [msg.id, msg.parentId || null]));
+    const byAge = [...this.branchMessages].sort(
+      (a, b) => this.toDate(a.createdAt || a.timestamp) - this.toDate(b.createdAt || b.timestamp)
+    );
+
+    this.branchMessages = byAge.filter(msg => {
+      const parentId = msg.parentId || null;
+      if (reachable.has(parentId)) {
+        reachable.add(msg.id);
+        return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Rate a bot answer (1 or -1, null to clear) with an optional comment, kept in the
+   * message's `feedback`. Returns the rated exchange (see getExchange), or null.
+   */
+  rateMessage(messageId, rating, comment = '') {
+    const message = this.findMessage(messageId);
+    if (!message || !message.isBot) {
+      return null;
+    }
+
+    this.updateMessage(messageId, {
+      feedback: rating === null ? null : { rating, comment: comment.trim(), ratedAt: new Date() }
+    });
+    return this.getExchange(messageId);
+  }
+
+  /**
+   * A bot answer with the question it replied to and the conversation before that,
+   * following the answer's own branch: { messageId, prompt, context, answer, rating, ... }.
+   * Context messages use chat roles ({ role, content }), oldest first.
+   */
+  getExchange(messageId) {
+    const answer = this.findMessage(messageId);
+    const question = answer && answer.parentId ? this.findMessage(answer.parentId) : null;
+    if (!answer || !answer.isBot || !question || question.isBot) {
+      return null;
+    }
+
+    const context = [];
+    let ancestor = question.parentId ? this.findMessage(question.parentId) : null;
+    while (ancestor) {
+      if (ancestor.text && ancestor.text.trim() !== '') {
+        context.unshift({ role: ancestor.isBot ? 'assistant' : 'user', content: ancestor.text });
+      }
+      ancestor = ancestor.parentId ? this.findMessage(ancestor.parentId) : null;
+    }
+
+    const feedback = answer.feedback || {};
+    return {
+      messageId: answer.id,
+      sessionId: this.sessionId,
+      prompt: question.text,
+      context,
+      answer: answer.text,
+      rating: feedback.rating ?? null,
+      comment: feedback.comment || '',
+      ratedAt: feedback.ratedAt || null,
+      model: answer.generationStats ? answer.generationStats.model : null
+    };
+  }
+
+  /**
+   * Rated answers from every branch of this conversation as a JSONL dataset
+   */
+  exportFeedbackDataset() {
+    const rated = [...this.messages, ...this.branchMessages]
+      .filter(msg => msg.feedback && msg.feedback.rating !== null && msg.feedback.rating !== undefined)
+      .map(msg => this.getExchange(msg.id))
+      .filter(Boolean);
+
+    return toJSONL(rated);
+  }
+
+  /**
+   * Record a handoff created on the relay; the model stops replying until it ends
+   */
+  startHandoff(handoff) {
+    this.handoff = {
+      status: 'waiting',
+      lastMessageId: null,
+      requestedAt: new Date(),
+      ...handoff
+    };
+    this.schedulePersist();
+    return this.getHandoff();
+  }
+
+  updateHandoff(updates) {
+    if (!this.handoff) {
+      return null;
+    }
+
+    this.handoff = { ...this.handoff, ...updates };
+    this.schedulePersist();
+    return this.getHandoff();
+  }
+
+  endHandoff() {
+    this.handoff = null;
+    this.schedulePersist();
+  }
+
+  getHandoff() {
+    return this.handoff ? { ...this.handoff } : null;
+  }
+
+  isHandoffActive() {
+    return Boolean(this.handoff) && this.handoff.status !== 'closed';
+  }
+
+  /**
+   * The active branch as a plain transcript for the team ({ from, text, timestamp }),
+   * `from` being 'customer', 'assistant', 'agent' or 'tool' (a tool the assistant called
+   * before replying, with its arguments and result)
+   */
+  getTranscript() {
+    return this.messages.flatMap(msg => {
+      const toolEntries = (msg.toolCalls || []).map(toolCall => ({
+        from: 'tool',
+        text: `${toolCall.name}(${JSON.stringify(toolCall.arguments)}) → ` +
+          (toolCall.error ? `Error: ${toolCall.error}` : JSON.stringify(toolCall.result)),
+        timestamp: toolCall.calledAt
+      }));
+
+      if (!msg.text || msg.text.trim() === '') {
+        return toolEntries;
+      }
+
+      return [...toolEntries, {
+        from: !msg.isBot ? 'customer' : (msg.agent ? 'agent' : 'assistant'),
+        text: msg.text,
+        timestamp: msg.timestamp
+      }];
+    });
   }
 
   /**
@@ -60,7 +610,24 @@ class ConversationManager {
    */
   clearHistory() {
     this.messages = [];
+    this.branchMessages = [];
+    this.selectedBranches = {};
     this.sessionId = this.generateSessionId();
+    this.summary = null;
+    this.evictedMessages = [];
+    this.summaryRevision++;
+    this.leadDraft = new LeadDraft();
+    this.leadExtractedThrough = null;
+    this.handoff = null;
+    this.schedulePersist();
+  }
+
+  /**
+   * Start a fresh conversation with a new session, replacing the stored one immediately
+   */
+  startNewConversation() {
+    this.clearHistory();
+    return this.flush();
   }
 
   /**
@@ -78,28 +645,39 @@ class ConversationManager {
   }
 
   /**
-   * Update a message (useful for streaming responses)
+   * Update a message (useful for streaming responses), on the active or an inactive branch
    */
   updateMessage(messageId, updates) {
-    const messageIndex = this.messages.findIndex(msg => msg.id === messageId);
+    const list = this.messages.some(msg => msg.id === messageId) ? this.messages : this.branchMessages;
+    const messageIndex = list.findIndex(msg => msg.id === messageId);
     if (messageIndex !== -1) {
-      this.messages[messageIndex] = {
-        ...this.messages[messageIndex],
+      list[messageIndex] = {
+        ...list[messageIndex],
         ...updates,
         timestamp: new Date() // Update timestamp on modification
       };
-      return this.messages[messageIndex];
+      if ('text' in updates) {
+        this.invalidateSummary(messageId);
+      }
+      this.schedulePersist();
+      return list[messageIndex];
     }
     return null;
   }
 
   /**
-   * Remove a message
+   * Remove a message. Its replies are attached to the message before it.
    */
   removeMessage(messageId) {
     const messageIndex = this.messages.findIndex(msg => msg.id === messageId);
     if (messageIndex !== -1) {
-      return this.messages.splice(messageIndex, 1)[0];
+      const [removedMessage] = this.messages.splice(messageIndex, 1);
+      const reattach = msg => (msg.parentId === messageId ? { ...msg, parentId: removedMessage.parentId } : msg);
+      this.messages = this.messages.map(reattach);
+      this.branchMessages = this.branchMessages.map(reattach);
+      this.invalidateSummary(messageId);
+      this.schedulePersist();
+      return removedMessage;
     }
     return null;
   }
@@ -130,8 +708,10 @@ class ConversationManager {
       // Keep the first message (usually a greeting) and recent messages
       const firstMessage = this.messages[0];
       const recentMessages = this.messages.slice(-this.maxHistoryLength * 2 + 1);
+      this.evictMessages(this.messages.slice(1, -this.maxHistoryLength * 2 + 1));
       
       this.messages = [firstMessage, ...recentMessages];
+      this.pruneBranches();
     }
   }
 
@@ -142,18 +722,143 @@ class ConversationManager {
     return {
       sessionId: this.sessionId,
       messages: this.messages,
+      branchMessages: this.branchMessages,
+      selectedBranches: this.selectedBranches,
+      summary: this.summary,
+      evictedMessages: this.evictedMessages,
+      leadDraft: this.leadDraft.toJSON(),
+      leadExtractedThrough: this.leadExtractedThrough,
+      handoff: this.handoff,
       stats: this.getStats(),
       exportedAt: new Date()
     };
   }
 
   /**
-   * Import conversation from backup
+   * Import conversation from backup.
+   * Timestamps serialized as strings (JSON, localStorage) are turned back into Dates.
    */
   importConversation(conversationData) {
     if (conversationData && conversationData.messages) {
-      this.messages = conversationData.messages;
+      const restoreDates = msg => ({
+        ...msg,
+        timestamp: this.toDate(msg.timestamp),
+        createdAt: this.toDate(msg.createdAt || msg.timestamp)
+      });
+
+      // Conversations saved before branching have no parent ids: chain them in order
+      this.messages = conversationData.messages.map((msg, index, messages) => ({
+        ...restoreDates(msg),
+        parentId: msg.parentId !== undefined ? msg.parentId : (index > 0 ? messages[index - 1].id : null)
+      }));
+      this.branchMessages = (conversationData.branchMessages || []).map(restoreDates);
+      this.selectedBranches = { ...conversationData.selectedBranches };
       this.sessionId = conversationData.sessionId || this.generateSessionId();
+      this.summary = conversationData.summary
+        ? { ...conversationData.summary, updatedAt: this.toDate(conversationData.summary.updatedAt) }
+        : null;
+      this.evictedMessages = (conversationData.evictedMessages || []).map(msg => ({
+        ...msg,
+        timestamp: this.toDate(msg.timestamp)
+      }));
+      this.leadDraft = LeadDraft.fromJSON(conversationData.leadDraft);
+      this.leadExtractedThrough = conversationData.leadExtractedThrough || null;
+      this.handoff = conversationData.handoff
+        ? { ...conversationData.handoff, requestedAt: this.toDate(conversationData.handoff.requestedAt) }
+        : null;
+    }
+  }
+
+  toDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? new Date() : date;
+  }
+
+  /**
+   * Load the stored conversation, discarding it once it is older than the retention period.
+   * Resolves true when messages were restored.
+   */
+  async restore() {
+    if (!this.storage) {
+      return false;
+    }
+    
+    try {
+      const data = await this.storage.load(this.storageKey);
+      if (!data || !Array.isArray(data.messages)) {
+        return false;
+      }
+      
+      if (this.isExpired(data)) {
+        await this.storage.remove(this.storageKey);
+        return false;
+      }
+      
+      this.importConversation(data);
+      // Drop reply placeholders left empty by a reload mid-stream
+      this.messages = this.messages.filter(msg => !(msg.isBot && msg.text === ''));
+      this.branchMessages = this.branchMessages.filter(msg => !(msg.isBot && msg.text === ''));
+      return this.messages.length > 0;
+    } catch (error) {
+      console.warn('Failed to restore conversation:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Whether stored conversation data is past the retention period
+   */
+  isExpired(conversationData) {
+    if (!this.retentionMs || this.retentionMs <= 0) {
+      return false;
+    }
+    
+    const lastSaved = this.toDate(conversationData.savedAt || conversationData.exportedAt);
+    return Date.now() - lastSaved.getTime() > this.retentionMs;
+  }
+
+  /**
+   * Save the conversation after a short delay, so streamed updates result in one write
+   */
+  schedulePersist() {
+    if (!this.storage) {
+      return;
+    }
+    
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+    }
+    
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, this.persistDelay);
+  }
+
+  /**
+   * Save any pending changes now (e.g. before the page unloads)
+   */
+  flush() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    return this.persist();
+  }
+
+  async persist() {
+    if (!this.storage) {
+      return;
+    }
+    
+    try {
+      await this.storage.save(this.storageKey, {
+        ...this.exportConversation(),
+        savedAt: new Date()
+      });
+    } catch (error) {
+      // Quota exceeded or storage disabled mid-session; the in-memory conversation still works
+      console.warn('Failed to save conversation:', error);
     }
   }
 
@@ -210,8 +915,29 @@ class ConversationManager {
     while (totalLength > maxCharacters && this.messages.length > 1) {
       // Remove the oldest message (but keep at least one message)
       const removedMessage = this.messages.shift();
+      this.evictMessages([removedMessage]);
       totalLength -= removedMessage.text.length;
     }
+    this.pruneBranches();
+    
+    this.schedulePersist();
+  }
+
+  /**
+   * Trim conversation to fit within an estimated token limit
+   */
+  trimToTokenLimit(maxTokens) {
+    const estimator = this.tokenEstimator;
+    let totalTokens = this.messages.reduce((total, msg) => total + estimator.estimateMessage(msg.text), 0);
+    
+    while (totalTokens > maxTokens && this.messages.length > 1) {
+      const removedMessage = this.messages.shift();
+      this.evictMessages([removedMessage]);
+      totalTokens -= estimator.estimateMessage(removedMessage.text);
+    }
+    this.pruneBranches();
+    
+    this.schedulePersist();
   }
 
   /**
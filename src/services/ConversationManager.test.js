@@ -0,0 +1,528 @@
+/**
+ * Tests for ConversationManager persistence
+ */
+
+import ConversationManager from './ConversationManager.js';
+import { MemoryStorageAdapter } from './storage/index.js';
+
+describe('ConversationManager', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+  });
+
+  describe('Import', () => {
+    test('should rehydrate serialized timestamps as Dates', () => {
+      const manager = new ConversationManager();
+      const original = new ConversationManager();
+      original.addMessage('My car has hail damage', false);
+
+      manager.importConversation(JSON.parse(JSON.stringify(original.exportConversation())));
+
+      expect(manager.messages[0].timestamp).toBeInstanceOf(Date);
+      expect(manager.messages[0].timestamp.getTime()).toBe(original.messages[0].timestamp.getTime());
+      expect(manager.getSummary().duration).toBe(0);
+    });
+  });
+
+  describe('Token Budget', () => {
+    const fillConversation = (manager, turns) => {
+      for (let i = 0; i < turns; i++) {
+        manager.addMessage(`Question ${i} ${'x'.repeat(89)}`, false); // 100 characters, 29 tokens with overhead
+        manager.addMessage(`Answer ${i} ${'y'.repeat(91)}`, true);
+      }
+    };
+
+    test('should keep the newest history that fits next to the system prompt and reply', () => {
+      const manager = new ConversationManager(10, {
+        contextSize: 200,
+        reservedTokens: 50,
+        systemPrompt: 's'.repeat(100) // 29 tokens
+      });
+      fillConversation(manager, 5);
+
+      const context = manager.getContextForOllama('How much is my car worth?'); // 11 tokens
+
+      // 150 - 29 - 11 = 110 tokens leaves room for three 29-token messages
+      expect(context.map(msg => msg.text.split(' ').slice(0, 2).join(' '))).toEqual([
+        'Answer 3', 'Question 4', 'Answer 4'
+      ]);
+      expect(manager.getTokenUsage().estimatedPromptTokens).toBe(127);
+    });
+
+    test('should send only the system prompt and new message when nothing else fits', () => {
+      const manager = new ConversationManager(10, { contextSize: 100, reservedTokens: 60, systemPrompt: 's'.repeat(100) });
+      fillConversation(manager, 1);
+
+      expect(manager.getContextForOllama('Hi')).toEqual([]);
+    });
+
+    test('should only apply the message count limit without a context size', () => {
+      const manager = new ConversationManager(3);
+      fillConversation(manager, 3);
+
+      expect(manager.getContextForOllama('Hi')).toHaveLength(3);
+    });
+
+    test('should leave scripted steps, team messages, fallbacks and notices out of the context', () => {
+      const manager = new ConversationManager(20);
+      manager.addMessage('Do you buy vans?', false);
+      manager.addMessage('Yes, any condition', true);
+      manager.addMessage('What is the make of your car?', true, { scripted: true });
+      manager.addMessage('Ford', false, { scripted: true });
+      manager.addMessage('Can I talk to someone?', false, { handoff: true });
+      manager.addMessage('Hi, Jo here', true, { agent: true });
+      manager.addMessage('Is it worth fixing?', false);
+      manager.addMessage('Our team can help with that.', true, { fallback: true });
+      manager.addMessage('What about towing?', false);
+      manager.addMessage('Response stopped.', true, { status: 'stopped', notice: true });
+      manager.addMessage('Hello?', false);
+      manager.addMessage('Sorry, something went wrong.', true, { notice: true });
+      manager.addMessage('Anyone there?', false);
+      manager.addMessage('Towing is', true, { status: 'stopped' });
+
+      expect(manager.getContextForOllama('Thanks').map(msg => msg.text)).toEqual([
+        'Do you buy vans?', 'Yes, any condition', 'Is it worth fixing?', 'What about towing?', 'Hello?',
+        'Anyone there?', 'Towing is'
+      ]);
+    });
+
+    test('should calibrate the estimate from the reported prompt tokens', () => {
+      const manager = new ConversationManager(10, { contextSize: 200, systemPrompt: 's'.repeat(100) });
+      fillConversation(manager, 2);
+
+      manager.getContextForOllama('Hi');
+      const estimated = manager.getTokenUsage().estimatedPromptTokens;
+      manager.recordPromptTokens(estimated * 2);
+
+      expect(manager.getTokenUsage().correction).toBeCloseTo(2);
+      expect(manager.getContextForOllama('Hi').length).toBeLessThan(4);
+    });
+
+    test('should trim stored messages to a token limit', () => {
+      const manager = new ConversationManager(10);
+      fillConversation(manager, 2);
+
+      manager.trimToTokenLimit(60);
+
+      expect(manager.messages).toHaveLength(2);
+      expect(manager.messages[0].text).toMatch(/^Question 1/);
+    });
+  });
+
+  describe('Rolling Summary', () => {
+    const addTurns = (manager, from, to) => {
+      for (let i = from; i < to; i++) {
+        manager.addMessage(`Question ${i}`, false);
+        manager.addMessage(`Answer ${i}`, true);
+      }
+    };
+
+    test('should summarize turns that leave the context and send the summary first', async () => {
+      const summarizer = jest.fn().mockResolvedValue('Customer has a 2015 Mazda 3.');
+      const manager = new ConversationManager(4, { summarizer });
+      addTurns(manager, 0, 3);
+
+      expect(manager.needsSummary()).toBe(false);
+
+      addTurns(manager, 3, 4);
+      const summary = await manager.summarizeIfNeeded();
+
+      expect(summarizer).toHaveBeenCalledWith({
+        previousSummary: null,
+        messages: expect.arrayContaining([expect.objectContaining({ text: 'Question 0' })])
+      });
+      expect(summarizer.mock.calls[0][0].messages).toHaveLength(4);
+      expect(summary.text).toBe('Customer has a 2015 Mazda 3.');
+
+      const context = manager.getContextForOllama('Hi');
+      expect(context[0]).toEqual(expect.objectContaining({ role: 'system', isSummary: true }));
+      expect(context[0].text).toContain('Customer has a 2015 Mazda 3.');
+      expect(context).toHaveLength(5);
+    });
+
+    test('should extend the summary with turns evicted from history', async () => {
+      const summarizer = jest.fn()
+        .mockResolvedValueOnce('First summary')
+        .mockResolvedValueOnce('Second summary');
+      const manager = new ConversationManager(2, { summarizer });
+      addTurns(manager, 0, 3);
+      await manager.summarizeIfNeeded();
+
+      addTurns(manager, 3, 5);
+      await manager.summarizeIfNeeded();
+
+      expect(manager.evictedMessages.map(msg => msg.text)).toContain('Question 0');
+      expect(summarizer.mock.calls[1][0].previousSummary).toBe('First summary');
+      expect(summarizer.mock.calls[1][0].messages.map(msg => msg.text)).toEqual([
+        'Question 2', 'Answer 2', 'Question 3', 'Answer 3'
+      ]);
+      expect(manager.getRollingSummary().messageIds).toHaveLength(8);
+    });
+
+    test('should rebuild the summary when a summarized message is edited', async () => {
+      const summarizer = jest.fn()
+        .mockResolvedValueOnce('Mazda 3')
+        .mockResolvedValueOnce('Mazda 6');
+      const manager = new ConversationManager(4, { summarizer });
+      addTurns(manager, 0, 4);
+      await manager.summarizeIfNeeded();
+
+      manager.updateMessage(manager.messages[0].id, { text: 'Question 0, actually a Mazda 6' });
+      expect(manager.getRollingSummary().stale).toBe(true);
+
+      await manager.summarizeIfNeeded();
+
+      expect(summarizer.mock.calls[1][0].previousSummary).toBeNull();
+      expect(summarizer.mock.calls[1][0].messages[0].text).toBe('Question 0, actually a Mazda 6');
+      expect(manager.getRollingSummary()).toEqual(expect.objectContaining({ text: 'Mazda 6', stale: false }));
+    });
+
+    test('should discard a summary that finishes after the conversation was cleared', async () => {
+      let resolveSummary;
+      const manager = new ConversationManager(4, {
+        summarizer: () => new Promise(resolve => { resolveSummary = resolve; })
+      });
+      addTurns(manager, 0, 4);
+
+      const pending = manager.summarizeIfNeeded();
+      manager.clearHistory();
+      await Promise.resolve(); // The summarizer is called asynchronously
+      resolveSummary('Old conversation');
+
+      expect(await pending).toBeNull();
+      expect(manager.getContextForOllama('Hi')).toEqual([]);
+    });
+
+    test('should keep the previous summary when summarizing fails', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const manager = new ConversationManager(4, {
+        summarizer: jest.fn().mockRejectedValue(new Error('Service offline'))
+      });
+      addTurns(manager, 0, 4);
+
+      expect(await manager.summarizeIfNeeded()).toBeNull();
+      expect(warnSpy).toHaveBeenCalledWith('Failed to summarize conversation:', expect.any(Error));
+      warnSpy.mockRestore();
+    });
+
+    test('should include the summary in exports and restore it', () => {
+      const manager = new ConversationManager(4, { summarizer: jest.fn() });
+      manager.summary = { text: 'Mazda 3', messageIds: ['msg_1'], updatedAt: new Date(), stale: false };
+
+      const reloaded = new ConversationManager(4);
+      reloaded.importConversation(JSON.parse(JSON.stringify(manager.exportConversation())));
+
+      expect(reloaded.getRollingSummary().text).toBe('Mazda 3');
+      expect(reloaded.getRollingSummary().updatedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('Lead Draft', () => {
+    test('should extract details from new turns with the question before them', async () => {
+      const leadExtractor = jest.fn()
+        .mockResolvedValueOnce({ make: 'Mazda', model: '3', year: null })
+        .mockResolvedValueOnce({ make: null, model: null, year: 2015 });
+      const manager = new ConversationManager(10, { leadExtractor });
+
+      manager.addMessage('I want to sell my Mazda 3', false);
+      manager.addMessage('What year is it?', true);
+      await manager.extractLeadDetails();
+
+      manager.addMessage('2015', false);
+      manager.addMessage('Thanks! Is it running?', true);
+      const draft = await manager.extractLeadDetails();
+
+      expect(leadExtractor.mock.calls[1][0].messages.map(msg => msg.text)).toEqual([
+        'What year is it?', '2015', 'Thanks! Is it running?'
+      ]);
+      expect(leadExtractor.mock.calls[1][0].fields).toEqual(expect.objectContaining({ make: 'Mazda', model: '3' }));
+      expect(draft.getFormData()).toEqual(expect.objectContaining({ make: 'Mazda', model: '3', year: '2015' }));
+    });
+
+    test('should not call the extractor without a new user message', async () => {
+      const leadExtractor = jest.fn();
+      const manager = new ConversationManager(10, { leadExtractor });
+      manager.addMessage('Hello! How can I help?', true);
+
+      await manager.extractLeadDetails();
+
+      expect(leadExtractor).not.toHaveBeenCalled();
+    });
+
+    test('should start a new draft with a new conversation', async () => {
+      let resolveFacts;
+      const manager = new ConversationManager(10, {
+        leadExtractor: () => new Promise(resolve => { resolveFacts = resolve; })
+      });
+      manager.addMessage('My Mazda 3 has hail damage', false);
+
+      const pending = manager.extractLeadDetails();
+      manager.clearHistory();
+      await Promise.resolve(); // The extractor is called asynchronously
+      resolveFacts({ make: 'Mazda', model: '3' });
+      await pending;
+
+      expect(manager.getLeadDraft().isEmpty()).toBe(true);
+    });
+
+    test('should keep the draft with the saved conversation', async () => {
+      const manager = new ConversationManager(10, {
+        storage,
+        leadExtractor: jest.fn().mockResolvedValue({ make: 'Toyota', model: 'Aqua' })
+      });
+      manager.addMessage('It is a Toyota Aqua', false);
+      await manager.extractLeadDetails();
+      await manager.flush();
+
+      const reloaded = new ConversationManager(10, { storage });
+      await reloaded.restore();
+
+      expect(reloaded.getLeadDraft().getFormData()).toEqual(expect.objectContaining({ make: 'Toyota', model: 'Aqua' }));
+      expect(reloaded.leadExtractedThrough).toBe(manager.messages[0].id);
+    });
+  });
+
+  describe('Branches', () => {
+    const askAndAnswer = (manager, question, answer) => {
+      const userMessage = manager.addMessage(question, false);
+      const botMessage = manager.addMessage(answer, true);
+      return [userMessage, botMessage];
+    };
+
+    test('should keep a regenerated reply as an alternative to the original', () => {
+      const manager = new ConversationManager();
+      askAndAnswer(manager, 'Do you buy vans?', 'Yes');
+      const [question, firstReply] = askAndAnswer(manager, 'Do you tow?', 'No');
+
+      const parent = manager.branchFrom(firstReply.id);
+      expect(parent.id).toBe(question.id);
+      expect(manager.getContextForOllama('Do you tow?', question.id).map(msg => msg.text)).toEqual([
+        'Do you buy vans?',
+        'Yes'
+      ]);
+
+      const secondReply = manager.addMessage('Yes, towing is free', true);
+
+      expect(secondReply.parentId).toBe(question.id);
+      expect(manager.getBranchInfo(secondReply.id)).toEqual(
+        expect.objectContaining({ index: 1, count: 2 })
+      );
+      expect(manager.getContextForOllama('Thanks').map(msg => msg.text)).toEqual([
+        'Do you buy vans?', 'Yes', 'Do you tow?', 'Yes, towing is free'
+      ]);
+    });
+
+    test('should follow the active branch when switching between edited questions', () => {
+      const manager = new ConversationManager();
+      askAndAnswer(manager, 'Hi', 'Kia ora!');
+      const [original] = askAndAnswer(manager, 'I have a 2010 Mazda', 'Nice');
+      manager.addMessage('It has hail damage', false);
+
+      manager.branchFrom(original.id);
+      const [edited] = askAndAnswer(manager, 'I have a 2012 Mazda', 'Great');
+
+      manager.switchBranch(original.id);
+      expect(manager.messages.map(msg => msg.text)).toEqual([
+        'Hi', 'Kia ora!', 'I have a 2010 Mazda', 'Nice', 'It has hail damage'
+      ]);
+      expect(manager.getContextForOllama('Hello').map(msg => msg.text)).toContain('It has hail damage');
+
+      manager.switchBranch(edited.id);
+      expect(manager.messages.map(msg => msg.text)).toEqual([
+        'Hi', 'Kia ora!', 'I have a 2012 Mazda', 'Great'
+      ]);
+      expect(manager.getBranchInfo(edited.id)).toEqual(expect.objectContaining({ index: 1, count: 2 }));
+    });
+
+    test('should export and import every branch', () => {
+      const manager = new ConversationManager();
+      const [, reply] = askAndAnswer(manager, 'Do you tow?', 'No');
+      manager.branchFrom(reply.id);
+      manager.addMessage('Yes, towing is free', true);
+
+      const exported = JSON.parse(JSON.stringify(manager.exportConversation()));
+      expect(exported.branchMessages.map(msg => msg.text)).toEqual(['No']);
+
+      const reloaded = new ConversationManager();
+      reloaded.importConversation(exported);
+      reloaded.switchBranch(reply.id);
+
+      expect(reloaded.messages.map(msg => msg.text)).toEqual(['Do you tow?', 'No']);
+      expect(reloaded.getBranchInfo(reply.id).index).toBe(0);
+    });
+
+    test('should chain messages saved before branching existed', () => {
+      const manager = new ConversationManager();
+      manager.importConversation({
+        messages: [
+          { id: 'a', text: 'Hello', isBot: false, timestamp: '2026-01-01T00:00:00.000Z' },
+          { id: 'b', text: 'Hi there', isBot: true, timestamp: '2026-01-01T00:00:01.000Z' }
+        ]
+      });
+
+      expect(manager.messages.map(msg => msg.parentId)).toEqual([null, 'a']);
+      expect(manager.addMessage('Do you buy utes?', false).parentId).toBe('b');
+    });
+  });
+
+  describe('Feedback', () => {
+    test('should store ratings with the answer and export the rated exchanges', () => {
+      const manager = new ConversationManager();
+      manager.addMessage('Hi', false);
+      manager.addMessage('Kia ora!', true);
+      manager.addMessage('Do you buy vans?', false);
+      const reply = manager.addMessage('No', true, { generationStats: { model: 'mistral-nz-cars' } });
+
+      const exchange = manager.rateMessage(reply.id, -1, ' We do buy vans ');
+
+      expect(manager.messages[3].feedback).toEqual(expect.objectContaining({ rating: -1, comment: 'We do buy vans' }));
+      expect(exchange).toEqual(expect.objectContaining({
+        messageId: reply.id,
+        prompt: 'Do you buy vans?',
+        context: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Kia ora!' }],
+        answer: 'No',
+        rating: -1,
+        model: 'mistral-nz-cars'
+      }));
+
+      // Ratings on replaced answers are kept in the dataset
+      manager.branchFrom(reply.id);
+      manager.addMessage('Yes, vans too', true);
+
+      const lines = manager.exportFeedbackDataset().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([expect.objectContaining({ prompt: 'Do you buy vans?', answer: 'No', rating: -1 })]);
+    });
+
+    test('should only rate bot answers', () => {
+      const manager = new ConversationManager();
+      const question = manager.addMessage('Hi', false);
+
+      expect(manager.rateMessage(question.id, 1)).toBeNull();
+      expect(manager.rateMessage('missing', 1)).toBeNull();
+    });
+  });
+
+  describe('Handoff', () => {
+    test('should build a transcript and keep the handoff with the conversation', () => {
+      const manager = new ConversationManager();
+      manager.addMessage('Can I talk to someone?', false);
+      manager.addMessage('Sure, what is your name?', true, { scripted: true });
+      manager.addMessage('Hi Sam, Jo here', true, { agent: true, author: 'Jo' });
+
+      expect(manager.getTranscript().map(({ from, text }) => ({ from, text }))).toEqual([
+        { from: 'customer', text: 'Can I talk to someone?' },
+        { from: 'assistant', text: 'Sure, what is your name?' },
+        { from: 'agent', text: 'Hi Sam, Jo here' }
+      ]);
+
+      const reply = manager.addMessage('Pickups run Monday to Saturday.', true);
+      manager.updateMessage(reply.id, {
+        toolCalls: [{ name: 'checkPickupAvailability', arguments: { region: 'Waikato' }, result: { available: true } }]
+      });
+      expect(manager.getTranscript().slice(-2).map(({ from, text }) => ({ from, text }))).toEqual([
+        { from: 'tool', text: 'checkPickupAvailability({"region":"Waikato"}) → {"available":true}' },
+        { from: 'assistant', text: 'Pickups run Monday to Saturday.' }
+      ]);
+
+      manager.startHandoff({ id: 'h1' });
+      manager.updateHandoff({ status: 'connected', lastMessageId: 'm2' });
+      expect(manager.isHandoffActive()).toBe(true);
+
+      const reloaded = new ConversationManager();
+      reloaded.importConversation(manager.exportConversation());
+      expect(reloaded.getHandoff()).toEqual(expect.objectContaining({ id: 'h1', status: 'connected', lastMessageId: 'm2' }));
+
+      reloaded.updateHandoff({ status: 'closed' });
+      expect(reloaded.isHandoffActive()).toBe(false);
+
+      reloaded.clearHistory();
+      expect(reloaded.getHandoff()).toBeNull();
+    });
+  });
+
+  describe('Persistence', () => {
+    test('should restore a saved conversation in a new manager', async () => {
+      const manager = new ConversationManager(10, { storage, persistDelay: 0 });
+      manager.addMessage('Hello', false);
+      manager.addMessage('Kia ora! How can I help?', true);
+      await manager.flush();
+
+      const reloaded = new ConversationManager(10, { storage });
+      const restored = await reloaded.restore();
+
+      expect(restored).toBe(true);
+      expect(reloaded.sessionId).toBe(manager.sessionId);
+      expect(reloaded.messages.map(msg => msg.text)).toEqual(['Hello', 'Kia ora! How can I help?']);
+      expect(reloaded.messages[1].timestamp).toBeInstanceOf(Date);
+    });
+
+    test('should coalesce rapid updates into a single write', async () => {
+      jest.useFakeTimers();
+      const saveSpy = jest.spyOn(storage, 'save');
+      const manager = new ConversationManager(10, { storage, persistDelay: 300 });
+
+      const reply = manager.addMessage('', true);
+      manager.updateMessage(reply.id, { text: 'Kia' });
+      manager.updateMessage(reply.id, { text: 'Kia ora' });
+      jest.advanceTimersByTime(300);
+      jest.useRealTimers();
+
+      expect(saveSpy).toHaveBeenCalledTimes(1);
+      expect((await storage.load('conversation')).messages[0].text).toBe('Kia ora');
+    });
+
+    test('should discard conversations older than the retention period', async () => {
+      await storage.save('conversation', {
+        sessionId: 'session_old',
+        messages: [{ id: 'msg_1', text: 'Old question', isBot: false, timestamp: '2024-01-01T00:00:00.000Z' }],
+        savedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+      });
+
+      const manager = new ConversationManager(10, { storage, retentionMs: 60 * 60 * 1000 });
+
+      expect(await manager.restore()).toBe(false);
+      expect(manager.isEmpty()).toBe(true);
+      expect(await storage.load('conversation')).toBeNull();
+    });
+
+    test('should drop reply placeholders interrupted by a reload', async () => {
+      const manager = new ConversationManager(10, { storage });
+      manager.addMessage('How much for my Corolla?', false);
+      manager.addMessage('', true);
+      await manager.flush();
+
+      const reloaded = new ConversationManager(10, { storage });
+      await reloaded.restore();
+
+      expect(reloaded.messages).toHaveLength(1);
+    });
+
+    test('should replace the stored conversation when a new chat starts', async () => {
+      const manager = new ConversationManager(10, { storage });
+      manager.addMessage('Hello', false);
+      await manager.flush();
+      const previousSession = manager.sessionId;
+
+      await manager.startNewConversation();
+
+      const stored = await storage.load('conversation');
+      expect(stored.messages).toEqual([]);
+      expect(stored.sessionId).not.toBe(previousSession);
+    });
+
+    test('should keep working in memory when storage fails', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(storage, 'save').mockRejectedValue(new Error('QuotaExceededError'));
+      const manager = new ConversationManager(10, { storage });
+
+      manager.addMessage('Hello', false);
+      await manager.flush();
+
+      expect(manager.messages).toHaveLength(1);
+      expect(warnSpy).toHaveBeenCalledWith('Failed to save conversation:', expect.any(Error));
+      warnSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Endpoint Pool
+ * Tracks several Ollama hosts with priority/weight, scores their health from
+ * health checks and request response times, and picks the endpoint that serves
+ * each chat session (sticky until that endpoint fails)
+ */
+
+class EndpointPool {
+  constructor(endpoints = [], config = {}) {
+    this.config = {
+      responseTimeWindow: config.responseTimeWindow || 5, // Number of recent requests to score on
+      slowConnectionThreshold: config.slowConnectionThreshold || 5000,
+      verySlowConnectionThreshold: config.verySlowConnectionThreshold || 10000,
+      failureThreshold: config.failureThreshold || 1, // Consecutive failures before an endpoint is taken out
+      recoveryInterval: config.recoveryInterval || 30000, // Time before an unhealthy endpoint is tried again
+      random: config.random || Math.random,
+      ...config
+    };
+
+    this.endpoints = new Map();
+    this.sessions = new Map(); // sessionId -> endpoint url
+
+    endpoints.forEach(endpoint => this.addEndpoint(endpoint));
+  }
+
+  /**
+   * Add an endpoint ({ url, priority, weight }); lower priority values are preferred
+   */
+  addEndpoint({ url, priority = 1, weight = 1 }) {
+    this.endpoints.set(url, {
+      url,
+      priority,
+      weight,
+      healthy: true,
+      consecutiveFailures: 0,
+      lastFailure: null,
+      lastError: null,
+      lastChecked: null,
+      responseTimes: []
+    });
+  }
+
+  /**
+   * Whether the pool has more than one endpoint to fail over to
+   */
+  hasFailover() {
+    return this.endpoints.size > 1;
+  }
+
+  getEndpointUrls() {
+    return Array.from(this.endpoints.keys());
+  }
+
+  /**
+   * Get the endpoint serving a session, choosing (and pinning) one if needed.
+   * Endpoints in `exclude` (urls) are passed over, e.g. ones a request has already tried.
+   */
+  selectEndpoint(sessionId = 'default', exclude = []) {
+    const pinnedUrl = this.sessions.get(sessionId);
+    const pinned = pinnedUrl && this.endpoints.get(pinnedUrl);
+
+    if (pinned && pinned.healthy && !exclude.includes(pinnedUrl)) {
+      return pinned;
+    }
+
+    const endpoint = this.pickEndpoint(exclude);
+    if (endpoint) {
+      this.sessions.set(sessionId, endpoint.url);
+    }
+
+    return endpoint;
+  }
+
+  /**
+   * Weighted random choice among the best-priority candidates
+   */
+  pickEndpoint(exclude = []) {
+    const all = Array.from(this.endpoints.values()).filter(endpoint => !exclude.includes(endpoint.url));
+    if (all.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    let candidates = all.filter(endpoint => endpoint.healthy);
+
+    // Nothing healthy: retry endpoints whose recovery interval has passed,
+    // and as a last resort everything, rather than refusing to send at all
+    if (candidates.length === 0) {
+      candidates = all.filter(endpoint => now - endpoint.lastFailure >= this.config.recoveryInterval);
+    }
+    if (candidates.length === 0) {
+      candidates = all;
+    }
+
+    const bestPriority = Math.min(...candidates.map(endpoint => endpoint.priority));
+    const tier = candidates.filter(endpoint => endpoint.priority === bestPriority);
+
+    const weights = tier.map(endpoint => endpoint.weight * Math.max(this.getHealthScore(endpoint.url), 0.01));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let threshold = this.config.random() * totalWeight;
+    for (let i = 0; i < tier.length; i++) {
+      threshold -= weights[i];
+      if (threshold < 0) {
+        return tier[i];
+      }
+    }
+
+    return tier[tier.length - 1];
+  }
+
+  /**
+   * Record a successful health check or request
+   */
+  recordSuccess(url, responseTime = null) {
+    const endpoint = this.endpoints.get(url);
+    if (!endpoint) return;
+
+    endpoint.healthy = true;
+    endpoint.consecutiveFailures = 0;
+    endpoint.lastError = null;
+    endpoint.lastChecked = new Date();
+
+    if (responseTime !== null) {
+      endpoint.responseTimes.push(responseTime);
+      if (endpoint.responseTimes.length > this.config.responseTimeWindow) {
+        endpoint.responseTimes.shift();
+      }
+    }
+  }
+
+  /**
+   * Record a failed health check or request. Once the failure threshold is reached
+   * the endpoint is taken out and its sessions move elsewhere on their next request.
+   */
+  recordFailure(url, error = null) {
+    const endpoint = this.endpoints.get(url);
+    if (!endpoint) return;
+
+    endpoint.consecutiveFailures++;
+    endpoint.lastFailure = Date.now();
+    endpoint.lastError = error ? error.message : null;
+    endpoint.lastChecked = new Date();
+
+    if (endpoint.consecutiveFailures >= this.config.failureThreshold) {
+      endpoint.healthy = false;
+    }
+  }
+
+  /**
+   * Health score between 0 (unusable) and 1 (healthy and fast)
+   */
+  getHealthScore(url) {
+    const endpoint = this.endpoints.get(url);
+    if (!endpoint || !endpoint.healthy) {
+      return 0;
+    }
+
+    let score = 1 / (1 + endpoint.consecutiveFailures);
+
+    const averageTime = this.getAverageResponseTime(url);
+    if (averageTime !== null) {
+      if (averageTime >= this.config.verySlowConnectionThreshold) {
+        score *= 0.3;
+      } else if (averageTime >= this.config.slowConnectionThreshold) {
+        score *= 0.6;
+      }
+    }
+
+    return score;
+  }
+
+  getAverageResponseTime(url) {
+    const endpoint = this.endpoints.get(url);
+    if (!endpoint || endpoint.responseTimes.length === 0) {
+      return null;
+    }
+
+    return endpoint.responseTimes.reduce((sum, time) => sum + time, 0) / endpoint.responseTimes.length;
+  }
+
+  /**
+   * Endpoint currently pinned to a session, without selecting a new one
+   */
+  getSessionEndpoint(sessionId = 'default') {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Forget a session's pinned endpoint (e.g. when a new chat starts)
+   */
+  releaseSession(sessionId = 'default') {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Status of every endpoint for monitoring displays
+   */
+  getStatus() {
+    return Array.from(this.endpoints.values()).map(endpoint => ({
+      url: endpoint.url,
+      priority: endpoint.priority,
+      weight: endpoint.weight,
+      healthy: endpoint.healthy,
+      healthScore: this.getHealthScore(endpoint.url),
+      averageResponseTime: this.getAverageResponseTime(endpoint.url),
+      consecutiveFailures: endpoint.consecutiveFailures,
+      lastError: endpoint.lastError,
+      lastChecked: endpoint.lastChecked
+    }));
+  }
+}
+
+export default EndpointPool;
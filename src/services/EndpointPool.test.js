@@ -0,0 +1,84 @@
+/**
+ * Tests for EndpointPool
+ */
+
+import EndpointPool from './EndpointPool.js';
+
+describe('EndpointPool', () => {
+  const endpoints = [
+    { url: 'https://pc.ngrok.io', priority: 1, weight: 1 },
+    { url: 'https://backup.example.com', priority: 2, weight: 1 }
+  ];
+
+  test('should prefer the lowest priority value', () => {
+    const pool = new EndpointPool(endpoints);
+
+    expect(pool.selectEndpoint('session-1').url).toBe('https://pc.ngrok.io');
+  });
+
+  test('should balance by weight within a priority tier', () => {
+    const pool = new EndpointPool([
+      { url: 'https://a.example.com', priority: 1, weight: 3 },
+      { url: 'https://b.example.com', priority: 1, weight: 1 }
+    ], { random: () => 0.8 });
+
+    // 0.8 of the total weight (4) falls into b's share
+    expect(pool.selectEndpoint('session-1').url).toBe('https://b.example.com');
+  });
+
+  test('should keep a session on its endpoint and fail over when it goes down', () => {
+    let roll = 0.1;
+    const pool = new EndpointPool([
+      { url: 'https://a.example.com', priority: 1, weight: 1 },
+      { url: 'https://b.example.com', priority: 1, weight: 1 }
+    ], { random: () => roll });
+
+    expect(pool.selectEndpoint('session-1').url).toBe('https://a.example.com');
+
+    roll = 0.9;
+    expect(pool.selectEndpoint('session-1').url).toBe('https://a.example.com');
+    expect(pool.selectEndpoint('session-2').url).toBe('https://b.example.com');
+
+    pool.recordFailure('https://a.example.com', new Error('Failed to fetch'));
+
+    expect(pool.selectEndpoint('session-1').url).toBe('https://b.example.com');
+    expect(pool.getSessionEndpoint('session-1')).toBe('https://b.example.com');
+  });
+
+  test('should return to a recovered endpoint after a successful health check', () => {
+    const pool = new EndpointPool(endpoints);
+
+    pool.recordFailure('https://pc.ngrok.io', new Error('Connection refused'));
+    expect(pool.selectEndpoint('session-1').url).toBe('https://backup.example.com');
+
+    pool.recordSuccess('https://pc.ngrok.io', 300);
+    pool.releaseSession('session-1');
+    expect(pool.selectEndpoint('session-1').url).toBe('https://pc.ngrok.io');
+  });
+
+  test('should still return an endpoint when all are unhealthy', () => {
+    const pool = new EndpointPool(endpoints);
+
+    endpoints.forEach(endpoint => pool.recordFailure(endpoint.url));
+
+    expect(pool.selectEndpoint('session-1').url).toBe('https://pc.ngrok.io');
+  });
+
+  test('should score endpoints on failures and response times', () => {
+    const pool = new EndpointPool(endpoints, {
+      slowConnectionThreshold: 1000,
+      verySlowConnectionThreshold: 3000
+    });
+
+    pool.recordSuccess('https://pc.ngrok.io', 200);
+    pool.recordSuccess('https://backup.example.com', 4000);
+
+    const status = pool.getStatus();
+    expect(status[0]).toEqual(expect.objectContaining({ healthy: true, healthScore: 1, averageResponseTime: 200 }));
+    expect(status[1].healthScore).toBeCloseTo(0.3);
+
+    pool.recordFailure('https://pc.ngrok.io', new Error('timeout'));
+    expect(pool.getHealthScore('https://pc.ngrok.io')).toBe(0);
+    expect(pool.getStatus()[0].lastError).toBe('timeout');
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Fallback Responder
+ * Answers customers from a knowledge base file while the AI service is unreachable.
+ * The knowledge base (src/config/fallbackKnowledge.json by default) holds intents with
+ * keywords and regex patterns, FAQ entries, and template variables such as the business
+ * phone number, so the canned answers can be changed without touching OllamaService.
+ */
+
+import defaultKnowledge from '../config/fallbackKnowledge.json';
+
+export const FALLBACK_MODES = ['intents', 'faq', 'hybrid'];
+
+// Words that say nothing about what an FAQ question is about
+const STOP_WORDS = [
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'at', 'by', 'with', 'is', 'are',
+  'was', 'be', 'do', 'does', 'did', 'can', 'could', 'will', 'would', 'i', 'me', 'you', 'we', 'us',
+  'it', 'that', 'this', 'what', 'how', 'when', 'where', 'which', 'who', 'if', 'any', 'need'
+];
+
+export class FallbackKnowledgeError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'FallbackKnowledgeError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Fill {{name}} placeholders from `variables`; {{name|text}} uses `text` when the variable is empty
+ */
+export const renderTemplate = (template, variables = {}) => template.replace(
+  /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g,
+  (match, name, fallback = '') => {
+    const value = variables[name];
+    return value === undefined || value === null || String(value).trim() === '' ? fallback.trim() : String(value);
+  }
+);
+
+/**
+ * Lower case words separated by single spaces, padded so phrases match on word boundaries
+ */
+export const normalizeText = (text) => ` ${String(text || '')
+  .toLowerCase()
+  .replace(/[‘’`]/g, "'")
+  .replace(/[^a-z0-9'\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()} `;
+
+const tokenize = (text, ignored) => normalizeText(text).trim().split(' ').filter(word => word && !ignored.has(word));
+
+/**
+ * Problems with a knowledge base, as messages; empty when it can be used
+ */
+export const validateKnowledge = (knowledge) => {
+  const errors = [];
+
+  if (!knowledge || typeof knowledge !== 'object') {
+    return ['Knowledge base must be a JSON object'];
+  }
+
+  if (typeof knowledge.defaultResponse !== 'string' || knowledge.defaultResponse.trim() === '') {
+    errors.push('defaultResponse is required');
+  }
+
+  if (knowledge.intents !== undefined && !Array.isArray(knowledge.intents)) {
+    errors.push('intents must be a list');
+  } else {
+    (knowledge.intents || []).forEach((intent, index) => {
+      const label = intent && intent.id ? `Intent "${intent.id}"` : `Intent ${index + 1}`;
+      if (!intent || !Array.isArray(intent.responses) || intent.responses.length === 0) {
+        errors.push(`${label} needs at least one response`);
+        return;
+      }
+      if ((intent.keywords || []).length === 0 && (intent.patterns || []).length === 0) {
+        errors.push(`${label} needs keywords or patterns`);
+      }
+      (intent.patterns || []).forEach(pattern => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          errors.push(`${label} has an invalid pattern: ${pattern}`);
+        }
+      });
+    });
+  }
+
+  if (knowledge.faq !== undefined && !Array.isArray(knowledge.faq)) {
+    errors.push('faq must be a list');
+  } else {
+    (knowledge.faq || []).forEach((entry, index) => {
+      if (!entry || !entry.question || !entry.answer) {
+        errors.push(`FAQ entry ${index + 1} needs a question and an answer`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+class FallbackResponder {
+  constructor(options = {}) {
+    this.mode = FALLBACK_MODES.includes(options.mode) ? options.mode : 'hybrid';
+    this.variables = options.variables || {}; // Added to (and override) the file's variables
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.setKnowledge(options.knowledge || defaultKnowledge);
+  }
+
+  /**
+   * Replace the knowledge base; throws FallbackKnowledgeError when it is invalid
+   */
+  setKnowledge(knowledge) {
+    const errors = validateKnowledge(knowledge);
+    if (errors.length > 0) {
+      throw new FallbackKnowledgeError(`Invalid fallback knowledge base: ${errors.join('; ')}`, errors);
+    }
+
+    const ignored = new Set([...STOP_WORDS, ...(knowledge.ignoreWords || []).map(word => word.toLowerCase())]);
+
+    this.knowledge = knowledge;
+    this.ignored = ignored;
+    this.minScore = knowledge.minScore ?? 1;
+    this.faqMinScore = knowledge.faqMinScore ?? 0.6;
+    this.responseCounts = new Map();
+
+    this.intents = (knowledge.intents || []).map(intent => ({
+      ...intent,
+      weight: intent.weight ?? 1,
+      keywords: (intent.keywords || []).map(keyword => normalizeText(keyword)),
+      patterns: (intent.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+    }));
+
+    this.faq = (knowledge.faq || []).map(entry => ({
+      ...entry,
+      keywords: (entry.keywords || []).map(keyword => normalizeText(keyword)),
+      terms: [...new Set(tokenize(entry.question, ignored))]
+    }));
+  }
+
+  /**
+   * Load a knowledge base published at `url`, e.g. a file in public/ that staff can edit
+   * without a rebuild. Keeps the current one and resolves to false when it cannot be used.
+   */
+  async loadFromUrl(url) {
+    try {
+      const response = await this.fetch(url, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.setKnowledge(await response.json());
+      return true;
+    } catch (error) {
+      console.warn(`Failed to load the fallback knowledge base from ${url}, using the built-in one:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Keyword and pattern matches for an intent: `hits` counts keywords once and patterns twice,
+   * `score` applies the intent's weight for ranking
+   */
+  scoreIntent(intent, normalized) {
+    const keywordHits = intent.keywords.filter(keyword => normalized.includes(keyword)).length;
+    const patternHits = intent.patterns.filter(pattern => pattern.test(normalized)).length;
+    const hits = keywordHits + patternHits * 2;
+    return { hits, score: hits * intent.weight };
+  }
+
+  /**
+   * Best intent with at least `minScore` hits, the first in the file on a tie
+   */
+  matchIntent(message) {
+    const normalized = normalizeText(message);
+    let best = null;
+
+    this.intents.forEach(intent => {
+      const { hits, score } = this.scoreIntent(intent, normalized);
+      if (hits >= this.minScore && (!best || score > best.score)) {
+        best = { intent, score };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Closest FAQ question: a listed keyword is a full match, otherwise the share of the
+   * question's words found in the message (at least two of them for longer questions)
+   */
+  matchFaq(message) {
+    const normalized = normalizeText(message);
+    const words = new Set(tokenize(message, this.ignored));
+    let best = null;
+
+    this.faq.forEach(entry => {
+      let score;
+      if (entry.keywords.some(keyword => normalized.includes(keyword))) {
+        score = 1;
+      } else {
+        const shared = entry.terms.filter(term => words.has(term)).length;
+        score = entry.terms.length > 0 && shared >= Math.min(2, entry.terms.length)
+          ? shared / entry.terms.length
+          : 0;
+      }
+
+      if (score >= this.faqMinScore && (!best || score > best.score)) {
+        best = { entry, score };
+      }
+    });
+
+    return best;
+  }
+
+  render(template, extraVariables = {}) {
+    return renderTemplate(template, { ...this.knowledge.variables, ...this.variables, ...extraVariables })
+      .replace(/ {2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Pick the answer for a message: { text, source: 'faq' | 'intent' | 'default', id, score }.
+   * In 'hybrid' mode a matching FAQ entry is preferred over an intent.
+   */
+  respond(message) {
+    if (this.mode !== 'intents') {
+      const faqMatch = this.matchFaq(message);
+      if (faqMatch) {
+        return { text: this.render(faqMatch.entry.answer), source: 'faq', id: faqMatch.entry.question, score: faqMatch.score };
+      }
+    }
+
+    if (this.mode !== 'faq') {
+      const intentMatch = this.matchIntent(message);
+      if (intentMatch) {
+        const { intent } = intentMatch;
+        // Rotate through an intent's responses when it has several
+        const count = this.responseCounts.get(intent.id) || 0;
+        this.responseCounts.set(intent.id, count + 1);
+        const response = intent.responses[count % intent.responses.length];
+        return { text: this.render(response), source: 'intent', id: intent.id, score: intentMatch.score };
+      }
+    }
+
+    return { text: this.render(this.knowledge.defaultResponse), source: 'default', id: null, score: 0 };
+  }
+
+  getResponse(message) {
+    return this.respond(message).text;
+  }
+}
+
+export default FallbackResponder;
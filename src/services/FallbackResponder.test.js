@@ -0,0 +1,112 @@
+/**
+ * Tests for FallbackResponder
+ */
+
+import FallbackResponder, { renderTemplate, validateKnowledge, FallbackKnowledgeError } from './FallbackResponder.js';
+
+const knowledge = {
+  variables: { phone: '0800 123 456', region: 'Canterbury' },
+  ignoreWords: ['car'],
+  intents: [
+    { id: 'pricing', keywords: ['price', 'worth'], patterns: ['how much .* pay'], responses: ['Call {{phone}} for a price.'] },
+    { id: 'sell', keywords: ['sell'], responses: ['We buy cars in {{region}}.', 'Happy to make an offer.'] },
+    { id: 'greeting', weight: 0.5, keywords: ['hi', 'help'], responses: ['Hello!'] }
+  ],
+  faq: [
+    { question: 'Do you offer free towing?', keywords: ['pick up'], answer: 'Towing is free in {{region}}.' }
+  ],
+  defaultResponse: '{{fallbackMode}} Call {{phone|us}}.'
+};
+
+describe('FallbackResponder', () => {
+  test('should fill variables and use defaults for empty ones', () => {
+    expect(renderTemplate('Call {{phone}} or {{ email | visit our website }}.', { phone: '0800 123 456', email: '' }))
+      .toBe('Call 0800 123 456 or visit our website.');
+    expect(renderTemplate('Hours: {{hours}}', {})).toBe('Hours: ');
+  });
+
+  test('should pick the highest scoring intent on whole words', () => {
+    const responder = new FallbackResponder({ knowledge });
+
+    expect(responder.respond('Help me sell my car')).toEqual(expect.objectContaining({ source: 'intent', id: 'sell' }));
+    expect(responder.respond('How much would you pay for it?').id).toBe('pricing');
+    expect(responder.respond('Hi!').text).toBe('Hello!');
+    // "this" does not contain the keyword "hi"
+    expect(responder.respond('What is this?').source).toBe('default');
+  });
+
+  test('should rotate through an intent\'s responses', () => {
+    const responder = new FallbackResponder({ knowledge });
+
+    expect(responder.getResponse('sell')).toBe('We buy cars in Canterbury.');
+    expect(responder.getResponse('sell')).toBe('Happy to make an offer.');
+    expect(responder.getResponse('sell')).toBe('We buy cars in Canterbury.');
+  });
+
+  test('should answer from the FAQ by keyword or shared words', () => {
+    const responder = new FallbackResponder({ knowledge });
+
+    expect(responder.respond('Can you pick up my car?')).toEqual(expect.objectContaining({
+      source: 'faq',
+      text: 'Towing is free in Canterbury.',
+      score: 1
+    }));
+    expect(responder.respond('Is towing free?').source).toBe('faq');
+    expect(responder.respond('Is it free?').source).toBe('default');
+  });
+
+  test('should respect the mode', () => {
+    expect(new FallbackResponder({ knowledge, mode: 'intents' }).respond('pick up my car to sell').id).toBe('sell');
+    expect(new FallbackResponder({ knowledge, mode: 'faq' }).respond('What is it worth?').source).toBe('default');
+  });
+
+  test('should add runtime variables to the default response', () => {
+    const responder = new FallbackResponder({
+      knowledge: { ...knowledge, variables: {} },
+      variables: { fallbackMode: 'We are in limited mode.' }
+    });
+
+    expect(responder.getResponse('Random question')).toBe('We are in limited mode. Call us.');
+  });
+
+  test('should reject invalid knowledge bases', () => {
+    expect(validateKnowledge({
+      intents: [{ id: 'broken', keywords: [], responses: [] }, { id: 'regex', patterns: ['(unclosed'], responses: ['x'] }],
+      faq: [{ question: 'No answer' }]
+    })).toEqual([
+      'defaultResponse is required',
+      'Intent "broken" needs at least one response',
+      'Intent "regex" has an invalid pattern: (unclosed',
+      'FAQ entry 1 needs a question and an answer'
+    ]);
+
+    expect(() => new FallbackResponder({ knowledge: { intents: 'none' } })).toThrow(FallbackKnowledgeError);
+  });
+
+  test('should load a published knowledge base and keep the current one when it is invalid', async () => {
+    const fetchMock = jest.fn()
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ defaultResponse: 'Updated answer' }) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ intents: [] }) });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const responder = new FallbackResponder({ knowledge, fetch: fetchMock });
+
+    expect(await responder.loadFromUrl('/fallback-knowledge.json')).toBe(true);
+    expect(responder.getResponse('sell')).toBe('Updated answer');
+
+    expect(await responder.loadFromUrl('/fallback-knowledge.json')).toBe(false);
+    expect(responder.getResponse('sell')).toBe('Updated answer');
+    expect(warn).toHaveBeenCalled();
+
+    warn.mockRestore();
+  });
+
+  test('should answer the usual questions from the built-in knowledge base', () => {
+    const responder = new FallbackResponder();
+
+    expect(responder.respond('What is my car worth?').id).toBe('pricing');
+    expect(responder.respond('Can you assess my car damage?').id).toBe('damage');
+    expect(responder.respond('Help me sell my car').id).toBe('sell');
+    expect(responder.respond('Do you tow it away for free?').source).toBe('faq');
+    expect(responder.getResponse('What is my car worth?')).not.toMatch(/\{\{|\[phone\]/);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Feedback Store
+ * Keeps rated chatbot answers across conversations (the chat clears its own history on
+ * "New chat") so they can be reviewed on the Dashboard and exported as a JSONL dataset
+ * of prompt, context, answer and rating for fine-tuning.
+ */
+
+import MemoryStorageAdapter from './storage/MemoryStorageAdapter.js';
+
+export const RATING_UP = 1;
+export const RATING_DOWN = -1;
+
+/**
+ * One JSON object per line, the usual format for fine-tuning datasets
+ */
+export const toJSONL = (exchanges) => exchanges
+  .map(exchange => JSON.stringify({
+    prompt: exchange.prompt,
+    context: exchange.context,
+    answer: exchange.answer,
+    rating: exchange.rating,
+    comment: exchange.comment || '',
+    model: exchange.model || null,
+    ratedAt: exchange.ratedAt
+  }))
+  .join('\n');
+
+class FeedbackStore {
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorageAdapter();
+    this.storageKey = options.storageKey || 'feedback';
+    this.maxEntries = options.maxEntries || 500; // Oldest ratings are dropped beyond this
+  }
+
+  /**
+   * All stored exchanges, oldest rating first
+   */
+  async getEntries() {
+    const data = await this.storage.load(this.storageKey);
+    return data && Array.isArray(data.entries) ? data.entries : [];
+  }
+
+  /**
+   * Store a rated exchange ({ messageId, prompt, context, answer, rating, comment, ... }),
+   * replacing an earlier rating of the same answer. A null rating removes it.
+   */
+  async record(exchange) {
+    const entries = (await this.getEntries()).filter(entry => entry.messageId !== exchange.messageId);
+
+    if (exchange.rating !== null && exchange.rating !== undefined) {
+      entries.push({ ...exchange, ratedAt: exchange.ratedAt || new Date().toISOString() });
+    }
+
+    await this.storage.save(this.storageKey, { entries: entries.slice(-this.maxEntries) });
+    return exchange;
+  }
+
+  /**
+   * Worst-rated exchanges first, the most recent first within a rating
+   */
+  async getLowestRated(limit = 10) {
+    const entries = await this.getEntries();
+    return entries
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => (a.entry.rating - b.entry.rating) || (b.index - a.index))
+      .slice(0, limit)
+      .map(({ entry }) => entry);
+  }
+
+  async exportJSONL() {
+    return toJSONL(await this.getEntries());
+  }
+
+  async clear() {
+    await this.storage.remove(this.storageKey);
+  }
+}
+
+export default FeedbackStore;
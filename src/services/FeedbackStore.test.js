@@ -0,0 +1,72 @@
+/**
+ * Tests for FeedbackStore
+ */
+
+import FeedbackStore, { toJSONL, RATING_UP, RATING_DOWN } from './FeedbackStore.js';
+import { MemoryStorageAdapter } from './storage/index.js';
+
+const exchange = (messageId, rating, overrides = {}) => ({
+  messageId,
+  prompt: `Question ${messageId}`,
+  context: [],
+  answer: `Answer ${messageId}`,
+  rating,
+  comment: '',
+  ...overrides
+});
+
+describe('FeedbackStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new FeedbackStore({ storage: new MemoryStorageAdapter(), maxEntries: 3 });
+  });
+
+  test('should replace an earlier rating of the same answer and remove cleared ones', async () => {
+    await store.record(exchange('a', RATING_UP));
+    await store.record(exchange('a', RATING_DOWN, { comment: 'Wrong price' }));
+    await store.record(exchange('b', RATING_UP));
+    await store.record(exchange('b', null));
+
+    const entries = await store.getEntries();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toEqual(expect.objectContaining({ messageId: 'a', rating: RATING_DOWN, comment: 'Wrong price' }));
+    expect(entries[0].ratedAt).toEqual(expect.any(String));
+  });
+
+  test('should keep only the newest entries', async () => {
+    for (const id of ['a', 'b', 'c', 'd']) {
+      await store.record(exchange(id, RATING_UP));
+    }
+
+    expect((await store.getEntries()).map(entry => entry.messageId)).toEqual(['b', 'c', 'd']);
+  });
+
+  test('should list the worst-rated answers first, newest first within a rating', async () => {
+    await store.record(exchange('a', RATING_DOWN));
+    await store.record(exchange('b', RATING_UP));
+    await store.record(exchange('c', RATING_DOWN));
+
+    expect((await store.getLowestRated(2)).map(entry => entry.messageId)).toEqual(['c', 'a']);
+  });
+
+  test('should export one JSON object per line', async () => {
+    await store.record(exchange('a', RATING_DOWN, {
+      context: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Kia ora!' }],
+      model: 'mistral-nz-cars'
+    }));
+    await store.record(exchange('b', RATING_UP));
+
+    const lines = (await store.exportJSONL()).split('\n').map(line => JSON.parse(line));
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toEqual(expect.objectContaining({
+      prompt: 'Question a',
+      context: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Kia ora!' }],
+      answer: 'Answer a',
+      rating: -1,
+      model: 'mistral-nz-cars'
+    }));
+    expect(toJSONL([])).toBe('');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Guardrail Log
+ * Guardrail violations (refused messages and flagged replies) kept across conversations,
+ * with the chat session they came from, for review on the Dashboard.
+ */
+
+import MemoryStorageAdapter from './storage/MemoryStorageAdapter.js';
+
+class GuardrailLog {
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorageAdapter();
+    this.storageKey = options.storageKey || 'guardrailViolations';
+    this.maxEntries = options.maxEntries || 500; // Oldest violations are dropped beyond this
+  }
+
+  /**
+   * All logged violations, oldest first
+   */
+  async getEntries() {
+    const data = await this.storage.load(this.storageKey);
+    return data && Array.isArray(data.entries) ? data.entries : [];
+  }
+
+  /**
+   * Log a violation ({ type, rule, direction, sessionId, excerpt, ... })
+   */
+  async record(violation) {
+    const entry = { ...violation, occurredAt: violation.occurredAt || new Date().toISOString() };
+    const entries = [...await this.getEntries(), entry];
+
+    await this.storage.save(this.storageKey, { entries: entries.slice(-this.maxEntries) });
+    return entry;
+  }
+
+  /**
+   * Most recent violations first
+   */
+  async getRecent(limit = 20) {
+    return (await this.getEntries()).slice(-limit).reverse();
+  }
+
+  async clear() {
+    await this.storage.remove(this.storageKey);
+  }
+}
+
+export default GuardrailLog;
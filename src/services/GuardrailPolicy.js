@@ -0,0 +1,89 @@
+/**
+ * Guardrail Policy
+ * Input and output checks around the public chat: a maximum message length, blocked
+ * prompt-injection patterns, a keyword topic check that keeps the assistant to selling
+ * cars, and an output check that flags replies committing to a price. Rules are in
+ * src/config/guardrails.json; patterns are case-insensitive regular expressions.
+ */
+
+import defaultRules from '../config/guardrails.json';
+
+const compile = (rules = []) => rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'im') }));
+
+/**
+ * Start of the text for the violation log
+ */
+export const excerpt = (text, length = 200) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+class GuardrailPolicy {
+  constructor(options = {}) {
+    this.maxInputLength = options.maxInputLength || 1000;
+    this.topicCheck = options.topicCheck !== false;
+    this.setRules(options.rules || defaultRules);
+  }
+
+  setRules(rules) {
+    this.blockedPatterns = compile(rules.blockedPatterns);
+    this.offTopicPatterns = compile(rules.topics && rules.topics.offTopicPatterns);
+    this.onTopicKeywords = ((rules.topics && rules.topics.onTopicKeywords) || []).map(keyword => keyword.toLowerCase());
+    this.priceCommitmentPatterns = compile(rules.priceCommitmentPatterns);
+  }
+
+  /**
+   * 'on_topic' when the message mentions the business, 'off_topic' when it only asks for
+   * something unrelated (code, essays, homework, ...), otherwise 'general' (greetings,
+   * thanks, short follow-ups), which is allowed
+   */
+  classifyTopic(message) {
+    const words = ` ${message.toLowerCase().replace(/[^a-z0-9$]+/g, ' ')} `;
+    if (this.onTopicKeywords.some(keyword => words.includes(` ${keyword} `))) {
+      return { topic: 'on_topic', rule: null };
+    }
+
+    const offTopic = this.offTopicPatterns.find(rule => rule.regex.test(message));
+    return offTopic ? { topic: 'off_topic', rule: offTopic.id } : { topic: 'general', rule: null };
+  }
+
+  /**
+   * The first rule a customer message breaks as { type, rule }, or null when it may be sent
+   */
+  checkInput(message) {
+    const text = String(message || '');
+
+    if (text.length > this.maxInputLength) {
+      return { type: 'input_length', rule: `max_${this.maxInputLength}` };
+    }
+
+    const blocked = this.blockedPatterns.find(rule => rule.regex.test(text));
+    if (blocked) {
+      return { type: 'blocked_pattern', rule: blocked.id };
+    }
+
+    if (this.topicCheck) {
+      const { topic, rule } = this.classifyTopic(text);
+      if (topic === 'off_topic') {
+        return { type: 'off_topic', rule };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * A reply that commits to a price as { type: 'price_commitment', rule, match }, or null
+   */
+  checkOutput(text) {
+    for (const rule of this.priceCommitmentPatterns) {
+      const match = String(text || '').match(rule.regex);
+      if (match) {
+        return { type: 'price_commitment', rule: rule.id, match: match[0] };
+      }
+    }
+    return null;
+  }
+}
+
+export default GuardrailPolicy;
@@ -0,0 +1,157 @@
+/**
+ * Handoff Service
+ * Client for the message relay that connects a customer in the chatbot with a person
+ * on the team. Handoff requests carry the lead and the chat transcript; customer and
+ * team messages are exchanged through the relay and picked up by polling.
+ * `npm run handoff:relay` starts a local stand-in relay for development.
+ */
+
+import { QUOTE_STEPS } from './QuoteFlow.js';
+
+/**
+ * Contact details asked for before handing over, with the quote flow's validation
+ */
+export const HANDOFF_STEPS = QUOTE_STEPS.filter(step => ['name', 'phone'].includes(step.field)).map(step => (
+  step.field === 'name'
+    ? { ...step, question: 'Sure, I can pass you to one of our team. What is your name?' }
+    : { ...step, question: 'What is the best phone number for our team to reach you on if you get disconnected?' }
+));
+
+export class HandoffRelayError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'HandoffRelayError';
+    this.status = status; // HTTP status, null when the relay could not be reached
+  }
+}
+
+class HandoffService {
+  constructor(options = {}) {
+    this.relayUrl = (options.relayUrl || '').replace(/\/+$/, '');
+    this.pollInterval = options.pollInterval || 5000;
+    this.timeout = options.timeout || 15000;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  async request(path, { method = 'GET', body } = {}) {
+    // A relay that stops answering would otherwise hold up watch() until the page is reloaded
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      let response;
+      try {
+        response = await this.fetch(`${this.relayUrl}${path}`, {
+          method,
+          headers: body ? { 'Content-Type': 'application/json' } : undefined,
+          body: body ? JSON.stringify(body) : undefined,
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw new HandoffRelayError(controller.signal.aborted
+          ? `Handoff relay did not answer within ${this.timeout / 1000}s`
+          : `Handoff relay is not reachable at ${this.relayUrl}`);
+      }
+
+      if (!response.ok) {
+        throw new HandoffRelayError(`Handoff relay request failed with status ${response.status}`, response.status);
+      }
+
+      return response.status === 204 ? null : await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Ask for a person to take over. Resolves to the created handoff ({ id, status, ... }).
+   */
+  requestHandoff({ lead, transcript }) {
+    return this.request('/handoffs', { method: 'POST', body: { lead, transcript } });
+  }
+
+  /**
+   * Send a message into a handoff, from the customer or (on the Dashboard) the team
+   */
+  sendMessage(handoffId, text, from = 'customer', author = null) {
+    return this.request(`/handoffs/${encodeURIComponent(handoffId)}/messages`, {
+      method: 'POST',
+      body: { from, text, ...(author && { author }) }
+    });
+  }
+
+  /**
+   * Messages after `afterId` (all when omitted) and the handoff's status: { status, messages }
+   */
+  getMessages(handoffId, afterId = null) {
+    const query = afterId ? `?after=${encodeURIComponent(afterId)}` : '';
+    return this.request(`/handoffs/${encodeURIComponent(handoffId)}/messages${query}`);
+  }
+
+  /**
+   * All handoffs, newest first, without their messages: { handoffs }
+   */
+  listHandoffs() {
+    return this.request('/handoffs');
+  }
+
+  /**
+   * One handoff with its lead, transcript and messages
+   */
+  getHandoff(handoffId) {
+    return this.request(`/handoffs/${encodeURIComponent(handoffId)}`);
+  }
+
+  closeHandoff(handoffId) {
+    return this.request(`/handoffs/${encodeURIComponent(handoffId)}/close`, { method: 'POST' });
+  }
+
+  /**
+   * Poll for new messages from the other side (`from`: 'agent' in the chatbot).
+   * onUpdate({ messages, status }) is called when messages arrive or the status changes.
+   * The next poll is scheduled once the current one settles, so a slow relay never has two
+   * polls asking after the same message (which would pass its replies on twice).
+   * Returns a function that stops polling.
+   */
+  watch(handoffId, { afterId = null, from = 'agent' } = {}, onUpdate) {
+    let lastId = afterId;
+    let lastStatus = null;
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const { status, messages } = await this.getMessages(handoffId, lastId);
+        if (stopped) {
+          return;
+        }
+
+        if (messages.length > 0) {
+          lastId = messages[messages.length - 1].id;
+        }
+
+        const incoming = messages.filter(message => message.from === from);
+        if (incoming.length > 0 || status !== lastStatus) {
+          lastStatus = status;
+          onUpdate({ messages: incoming, status });
+        }
+      } catch (error) {
+        // Keep polling, the relay may only be briefly unavailable
+        console.warn('Failed to check for handoff messages:', error);
+      }
+
+      if (!stopped) {
+        timer = setTimeout(poll, this.pollInterval);
+      }
+    };
+
+    poll();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+}
+
+export default HandoffService;
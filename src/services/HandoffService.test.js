@@ -0,0 +1,154 @@
+/**
+ * Tests for HandoffService
+ */
+
+import HandoffService, { HandoffRelayError, HANDOFF_STEPS } from './HandoffService.js';
+
+// Let a poll's fetch and JSON parsing resolve
+const settle = async () => {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve();
+  }
+};
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+describe('HandoffService', () => {
+  let fetchMock;
+  let service;
+
+  beforeEach(() => {
+    fetchMock = jest.fn();
+    service = new HandoffService({ relayUrl: 'http://relay.test/', pollInterval: 1000, fetch: fetchMock });
+  });
+
+  test('should ask for a name and phone number before handing over', () => {
+    expect(HANDOFF_STEPS.map(step => step.field)).toEqual(['name', 'phone']);
+    expect(HANDOFF_STEPS[0].question).toMatch(/one of our team/);
+  });
+
+  test('should post the lead and transcript to the relay', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ id: 'h1', status: 'waiting' }, 201));
+
+    const lead = { name: 'Sam', phone: '021 123 4567' };
+    const transcript = [{ from: 'customer', text: 'Hi', timestamp: '2024-01-01T00:00:00.000Z' }];
+    const handoff = await service.requestHandoff({ lead, transcript });
+
+    expect(handoff).toEqual({ id: 'h1', status: 'waiting' });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://relay.test/handoffs');
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body)).toEqual({ lead, transcript });
+  });
+
+  test('should send team replies with an author', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ id: 'm1' }, 201));
+
+    await service.sendMessage('h1', 'On our way', 'agent', 'Jo');
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://relay.test/handoffs/h1/messages');
+    expect(JSON.parse(init.body)).toEqual({ from: 'agent', text: 'On our way', author: 'Jo' });
+  });
+
+  test('should report relay errors with their status', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse({ error: 'Handoff is closed' }, 409));
+    await expect(service.sendMessage('h1', 'Hello')).rejects.toMatchObject({
+      name: 'HandoffRelayError',
+      status: 409
+    });
+
+    fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const error = await service.listHandoffs().catch(e => e);
+    expect(error).toBeInstanceOf(HandoffRelayError);
+    expect(error.status).toBeNull();
+    expect(error.message).toMatch(/not reachable/);
+  });
+
+  describe('watch', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should pass on new team messages and status changes until stopped', async () => {
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse({ status: 'waiting', messages: [] }))
+        .mockResolvedValueOnce(jsonResponse({
+          status: 'connected',
+          messages: [
+            { id: 'm1', from: 'customer', text: 'Hello?' },
+            { id: 'm2', from: 'agent', text: 'Hi Sam' }
+          ]
+        }))
+        .mockResolvedValueOnce(jsonResponse({ status: 'connected', messages: [] }));
+
+      const onUpdate = jest.fn();
+      const stop = service.watch('h1', {}, onUpdate);
+      await settle();
+
+      expect(onUpdate).toHaveBeenLastCalledWith({ messages: [], status: 'waiting' });
+
+      jest.advanceTimersByTime(1000);
+      await settle();
+
+      expect(onUpdate).toHaveBeenLastCalledWith({
+        messages: [{ id: 'm2', from: 'agent', text: 'Hi Sam' }],
+        status: 'connected'
+      });
+
+      jest.advanceTimersByTime(1000);
+      await settle();
+
+      // Nothing new since m2
+      expect(fetchMock.mock.calls[2][0]).toBe('http://relay.test/handoffs/h1/messages?after=m2');
+      expect(onUpdate).toHaveBeenCalledTimes(2);
+
+      stop();
+      jest.advanceTimersByTime(5000);
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+    });
+
+    test('should wait for a slow poll instead of asking after the same message twice', async () => {
+      let answer;
+      fetchMock
+        .mockReturnValueOnce(new Promise(resolve => { answer = resolve; }))
+        .mockResolvedValue(jsonResponse({ status: 'connected', messages: [] }));
+
+      const onUpdate = jest.fn();
+      const stop = service.watch('h1', { afterId: 'm1' }, onUpdate);
+      jest.advanceTimersByTime(3000);
+      await settle();
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+
+      answer(jsonResponse({ status: 'connected', messages: [{ id: 'm2', from: 'agent', text: 'Hi Sam' }] }));
+      await settle();
+      jest.advanceTimersByTime(1000);
+      await settle();
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      expect(fetchMock.mock.calls[1][0]).toBe('http://relay.test/handoffs/h1/messages?after=m2');
+      expect(onUpdate).toHaveBeenCalledTimes(1);
+      stop();
+    });
+
+    test('should give up on a relay that does not answer', async () => {
+      fetchMock.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      }));
+
+      const request = service.getMessages('h1');
+      jest.advanceTimersByTime(15000);
+
+      await expect(request).rejects.toThrow(new HandoffRelayError('Handoff relay did not answer within 15s'));
+    });
+  });
+});
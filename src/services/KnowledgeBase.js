@@ -0,0 +1,139 @@
+/**
+ * Knowledge Base
+ * Retrieval over the business documents in knowledge/ (FAQs, pickup and payment policies).
+ * `npm run knowledge:index` splits them into passages and embeds them into
+ * public/knowledge-index.json; here the index is loaded in the browser, the customer's
+ * question is embedded with the same model and the closest passages are handed to the
+ * model as numbered sources it can cite.
+ */
+
+/**
+ * Cosine similarity of two vectors, 0 when either is empty or they differ in length
+ */
+export const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+/**
+ * Citation numbers ([1], [2], ...) used in a reply
+ */
+export const getCitedNumbers = (text) => {
+  const numbers = new Set();
+  (text || '').replace(/\[(\d{1,2})\]/g, (match, number) => numbers.add(parseInt(number, 10)));
+  return numbers;
+};
+
+/**
+ * Sources to show under a reply: the passages it cites, or every passage it was given
+ * when it cites none
+ */
+export const selectCitations = (citations = [], replyText = '') => {
+  const cited = getCitedNumbers(replyText);
+  const used = citations.filter(citation => cited.has(citation.number));
+  return used.length > 0 ? used : citations;
+};
+
+class KnowledgeBase {
+  constructor(options = {}) {
+    this.indexUrl = options.indexUrl || '/knowledge-index.json';
+    this.topK = options.topK || 3;
+    this.minScore = options.minScore ?? 0.5;
+    this.embed = options.embed; // async (text, model) => number[]
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.index = null;
+    this.loading = null;
+  }
+
+  /**
+   * Load the index once; resolves to null (and retrieval is skipped) when it is
+   * missing or invalid, until the page is reloaded
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.fetch(this.indexUrl)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(index => {
+          if (!index || !index.model || !Array.isArray(index.passages)) {
+            throw new Error('expected { model, passages }');
+          }
+          this.index = index;
+          return index;
+        })
+        .catch(error => {
+          console.warn(`Knowledge index ${this.indexUrl} is unavailable, answering without it:`, error.message);
+          return null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Passages closest to the query, best first, each with its `score` and citation `number`
+   */
+  async search(query) {
+    const index = await this.load();
+    if (!index || index.passages.length === 0 || !query || !query.trim()) {
+      return [];
+    }
+
+    // Queries must be embedded with the model that embedded the passages
+    const queryVector = await this.embed(query, index.model);
+
+    return index.passages
+      .map(passage => ({ passage, score: cosineSimilarity(queryVector, passage.embedding) }))
+      .filter(({ score }) => score >= this.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.topK)
+      .map(({ passage, score }, i) => ({
+        number: i + 1,
+        id: passage.id,
+        title: passage.title,
+        source: passage.source,
+        text: passage.text,
+        score
+      }));
+  }
+
+  /**
+   * System-role history entry with the passages, numbered for citation
+   */
+  buildContextMessage(passages) {
+    if (passages.length === 0) {
+      return null;
+    }
+
+    const sources = passages
+      .map(passage => `[${passage.number}] ${passage.title} (${passage.source})\n${passage.text}`)
+      .join('\n\n');
+
+    return {
+      id: 'knowledge_context',
+      role: 'system',
+      text: 'Business information for this question. Base prices, pickup and payment answers on it ' +
+        'and cite the passages you use by number, e.g. [1]. If it does not cover the question, ' +
+        `say you are not sure and offer a quote or a call instead of guessing.\n\n${sources}`,
+      isKnowledge: true
+    };
+  }
+}
+
+export default KnowledgeBase;
@@ -0,0 +1,72 @@
+/**
+ * Tests for KnowledgeBase
+ */
+
+import KnowledgeBase, { cosineSimilarity, selectCitations } from './KnowledgeBase.js';
+
+const index = {
+  model: 'nomic-embed-text',
+  passages: [
+    { id: 'a', source: 'pickup.md', title: 'Pickup', text: 'Pickup is free.', embedding: [1, 0, 0] },
+    { id: 'b', source: 'pricing.md', title: 'Pricing', text: 'Quotes are free.', embedding: [0.8, 0.6, 0] },
+    { id: 'c', source: 'paperwork.md', title: 'Paperwork', text: 'Bring photo ID.', embedding: [0, 0, 1] }
+  ]
+};
+
+const indexResponse = (body = index, ok = true) => jest.fn().mockResolvedValue({
+  ok,
+  status: ok ? 200 : 404,
+  json: () => Promise.resolve(body)
+});
+
+describe('KnowledgeBase', () => {
+  test('should compare vectors by direction', () => {
+    expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    expect(cosineSimilarity([], [])).toBe(0);
+  });
+
+  test('should return the closest passages above the minimum score, numbered for citation', async () => {
+    const embed = jest.fn().mockResolvedValue([1, 0.1, 0]);
+    const knowledge = new KnowledgeBase({ fetch: indexResponse(), embed, topK: 2, minScore: 0.5 });
+
+    const passages = await knowledge.search('Is pickup free?');
+
+    expect(embed).toHaveBeenCalledWith('Is pickup free?', 'nomic-embed-text');
+    expect(passages.map(passage => [passage.number, passage.id])).toEqual([[1, 'a'], [2, 'b']]);
+    expect(passages[0].score).toBeGreaterThan(passages[1].score);
+  });
+
+  test('should load the index once and skip retrieval when it is unavailable', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetchIndex = indexResponse(null, false);
+    const embed = jest.fn();
+    const knowledge = new KnowledgeBase({ fetch: fetchIndex, embed });
+
+    expect(await knowledge.search('Is pickup free?')).toEqual([]);
+    expect(await knowledge.search('Do you need ID?')).toEqual([]);
+    expect(fetchIndex).toHaveBeenCalledTimes(1);
+    expect(embed).not.toHaveBeenCalled();
+
+    warn.mockRestore();
+  });
+
+  test('should build a system entry that lists the passages as numbered sources', async () => {
+    const knowledge = new KnowledgeBase({ fetch: indexResponse(), embed: jest.fn().mockResolvedValue([0, 0, 1]) });
+    const passages = await knowledge.search('What do I need to bring?');
+
+    const contextMessage = knowledge.buildContextMessage(passages);
+
+    expect(contextMessage).toEqual(expect.objectContaining({ role: 'system', isKnowledge: true }));
+    expect(contextMessage.text).toContain('[1] Paperwork (paperwork.md)\nBring photo ID.');
+    expect(knowledge.buildContextMessage([])).toBeNull();
+  });
+
+  test('should show the cited sources, or all of them when none are cited', () => {
+    const citations = [{ number: 1, title: 'Pickup' }, { number: 2, title: 'Pricing' }];
+
+    expect(selectCitations(citations, 'Pickup is free [2].')).toEqual([citations[1]]);
+    expect(selectCitations(citations, 'Pickup is free.')).toEqual(citations);
+  });
+});
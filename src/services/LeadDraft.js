@@ -0,0 +1,133 @@
+/**
+ * Lead Draft
+ * Structured quote details gathered from the chat, using the same fields as the
+ * SellNowModal form. Extracted facts are normalized and merged turn by turn, so
+ * a later correction replaces an earlier value but a missing value never erases one.
+ */
+
+import { CAR_CONDITIONS, QUOTE_FIELDS, checkQuoteField } from './QuoteSchema.mjs';
+
+export { CAR_CONDITIONS };
+
+export const EMPTY_LEAD = Object.freeze({
+  name: '',
+  phone: '',
+  email: '',
+  make: '',
+  model: '',
+  year: '',
+  condition: '',
+  location: ''
+});
+
+/**
+ * JSON schema for the extraction reply (sent as the Ollama `format` parameter)
+ */
+export const LEAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: ['string', 'null'] },
+    phone: { type: ['string', 'null'] },
+    email: { type: ['string', 'null'] },
+    make: { type: ['string', 'null'] },
+    model: { type: ['string', 'null'] },
+    year: { type: ['integer', 'null'] },
+    condition: { type: ['string', 'null'], enum: [...CAR_CONDITIONS, null] },
+    location: { type: ['string', 'null'] }
+  },
+  required: Object.keys(EMPTY_LEAD)
+};
+
+class LeadDraft {
+  constructor(fields = {}) {
+    this.fields = { ...EMPTY_LEAD };
+    this.updatedAt = null;
+    this.merge(fields);
+  }
+
+  /**
+   * Merge extracted facts, ignoring empty or invalid values. Returns the names of changed fields.
+   */
+  merge(facts = {}) {
+    const changed = [];
+
+    Object.keys(EMPTY_LEAD).forEach(field => {
+      const value = this.normalize(field, facts[field]);
+      if (value && value !== this.fields[field]) {
+        this.fields[field] = value;
+        changed.push(field);
+      }
+    });
+
+    if (changed.length > 0) {
+      this.updatedAt = new Date();
+    }
+
+    return changed;
+  }
+
+  /**
+   * Clean up a single extracted value with the quote form's rules (so phone numbers are
+   * formatted and conditions capitalized), returning '' when it should be ignored
+   */
+  normalize(field, value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const { value: normalized, error } = checkQuoteField(field, value);
+    return error ? '' : normalized;
+  }
+
+  /**
+   * Values in the shape of SellNowModal's formData
+   */
+  getFormData() {
+    return { ...this.fields };
+  }
+
+  /**
+   * Whether enough is known about the car to be worth prefilling a quote
+   */
+  hasVehicleDetails() {
+    return Boolean(this.fields.make && this.fields.model);
+  }
+
+  isEmpty() {
+    return Object.values(this.fields).every(value => value === '');
+  }
+
+  toJSON() {
+    return {
+      fields: this.getFormData(),
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Rebuild a draft from toJSON() output (e.g. a restored conversation)
+   */
+  static fromJSON(data) {
+    const draft = new LeadDraft(data && data.fields);
+    draft.updatedAt = data && data.updatedAt ? new Date(data.updatedAt) : draft.updatedAt;
+    return draft;
+  }
+}
+
+/**
+ * The lead payload submitted for a quote, from the quote form or the in-chat quote flow.
+ * Optional form fields the chat doesn't ask for (plate, VIN, the damage questions) are included when given.
+ */
+export const createLeadPayload = (fields) => {
+  const payload = {};
+  const extraFields = QUOTE_FIELDS.map(field => field.name).filter(name => !(name in EMPTY_LEAD) && fields[name]);
+
+  [...Object.keys(EMPTY_LEAD), ...extraFields].forEach(field => {
+    payload[field] = fields[field] === undefined || fields[field] === null
+      ? ''
+      : String(fields[field]).trim();
+  });
+  return payload;
+};
+
+export default LeadDraft;
@@ -0,0 +1,71 @@
+/**
+ * Tests for LeadDraft
+ */
+
+import LeadDraft, { EMPTY_LEAD, LEAD_SCHEMA, createLeadPayload } from './LeadDraft.js';
+
+describe('LeadDraft', () => {
+  test('should start empty with the quote form fields', () => {
+    const draft = new LeadDraft();
+
+    expect(draft.getFormData()).toEqual(EMPTY_LEAD);
+    expect(draft.isEmpty()).toBe(true);
+    expect(LEAD_SCHEMA.required).toEqual(Object.keys(EMPTY_LEAD));
+  });
+
+  test('should merge extracted facts without erasing known values', () => {
+    const draft = new LeadDraft();
+
+    expect(draft.merge({ make: 'Mazda', model: '3', year: 2015, name: null })).toEqual(['make', 'model', 'year']);
+    expect(draft.merge({ make: null, model: null, year: null, condition: 'running' })).toEqual(['condition']);
+    expect(draft.merge({ model: '6' })).toEqual(['model']);
+
+    expect(draft.getFormData()).toEqual(expect.objectContaining({
+      make: 'Mazda',
+      model: '6',
+      year: '2015',
+      condition: 'Running'
+    }));
+    expect(draft.hasVehicleDetails()).toBe(true);
+  });
+
+  test('should ignore values the quote form would reject', () => {
+    const draft = new LeadDraft();
+
+    draft.merge({
+      year: 15,
+      condition: 'Pretty good',
+      email: 'not an email',
+      phone: 'call me',
+      make: '   '
+    });
+
+    expect(draft.isEmpty()).toBe(true);
+  });
+
+  test('should round-trip through JSON', () => {
+    const draft = new LeadDraft({ make: 'Toyota', model: 'Corolla', phone: '021 123 4567' });
+
+    const restored = LeadDraft.fromJSON(JSON.parse(JSON.stringify(draft)));
+
+    expect(restored.getFormData()).toEqual(draft.getFormData());
+    expect(restored.updatedAt).toBeInstanceOf(Date);
+  });
+
+  test('should build the quote payload with every form field', () => {
+    expect(createLeadPayload({ make: ' Toyota ', year: 2012, notes: 'ignored' })).toEqual({
+      ...EMPTY_LEAD,
+      make: 'Toyota',
+      year: '2012'
+    });
+  });
+
+  test('should include the damage answers that were given', () => {
+    expect(createLeadPayload({ make: 'Toyota', damageAreas: 'Front, Roof', keys: 'No', wof: '' })).toEqual({
+      ...EMPTY_LEAD,
+      make: 'Toyota',
+      damageAreas: 'Front, Roof',
+      keys: 'No'
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Markdown Parser
+ * A small markdown subset for assistant replies: paragraphs, headings, lists, quotes,
+ * code, emphasis and links. It produces plain tokens (no HTML) that the chat renders
+ * as React elements, so markup written by the model is only ever shown as text.
+ * Unfinished syntax at the end of a streaming reply (an unclosed code fence, a
+ * half-written link) degrades to text or an open code block instead of failing.
+ */
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING_PATTERN = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const UNORDERED_ITEM_PATTERN = /^\s*[-*+•]\s+(.*)$/;
+const ORDERED_ITEM_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const CONTINUATION_PATTERN = /^\s{2,}\S/;
+
+// Code spans, [text](url) links, bare URLs, **strong**, *emphasis* and line breaks
+const INLINE_PATTERN = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^()\s]+)\)|(https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]])|\*\*(?=\S)([^\n]*?\S)\*\*|\*(?=[^\s*])([^*\n]*?[^\s*])\*|\n/g;
+
+const SAFE_PROTOCOL_PATTERN = /^(https?:|mailto:|tel:)/i;
+
+/**
+ * The href to use for a link, or null when it should not be a link
+ * (javascript:, data: and other schemes are never linked)
+ */
+export const sanitizeHref = (url) => {
+  const href = (url || '').trim();
+
+  if (SAFE_PROTOCOL_PATTERN.test(href)) {
+    return href;
+  }
+
+  // Site-relative paths such as /sell, but not protocol-relative //host URLs
+  if (href.startsWith('/') && !href.startsWith('//')) {
+    return href;
+  }
+
+  return null;
+};
+
+const isBlockStart = (line) =>
+  FENCE_PATTERN.test(line) ||
+  HEADING_PATTERN.test(line) ||
+  RULE_PATTERN.test(line) ||
+  UNORDERED_ITEM_PATTERN.test(line) ||
+  ORDERED_ITEM_PATTERN.test(line) ||
+  QUOTE_PATTERN.test(line);
+
+/**
+ * Split text into block tokens. Each block keeps its `source` so renderers can
+ * skip blocks that did not change between streaming updates.
+ */
+export const parseMarkdown = (text) => {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const start = i;
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      let closed = false;
+      i++;
+      while (i < lines.length) {
+        const closing = lines[i].match(FENCE_PATTERN);
+        if (closing && closing[1][0] === fence[1][0] && closing[1].length >= fence[1].length && !closing[2]) {
+          closed = true;
+          i++;
+          break;
+        }
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', language: fence[2] || null, text: code.join('\n'), closed });
+    } else if (HEADING_PATTERN.test(line)) {
+      const [, marks, content] = line.match(HEADING_PATTERN);
+      blocks.push({ type: 'heading', level: marks.length, children: parseInline(content) });
+      i++;
+    } else if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+    } else if (UNORDERED_ITEM_PATTERN.test(line) || ORDERED_ITEM_PATTERN.test(line)) {
+      const ordered = !UNORDERED_ITEM_PATTERN.test(line);
+      const itemPattern = ordered ? ORDERED_ITEM_PATTERN : UNORDERED_ITEM_PATTERN;
+      const items = [];
+
+      while (i < lines.length) {
+        const item = lines[i].match(itemPattern);
+        if (item) {
+          items.push(ordered ? item[2] : item[1]);
+        } else if (CONTINUATION_PATTERN.test(lines[i]) && !isBlockStart(lines[i])) {
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(line.match(ORDERED_ITEM_PATTERN)[1], 10) : null,
+        items: items.map(item => parseInline(item))
+      });
+    } else if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i++;
+      }
+      blocks.push({ type: 'quote', children: parseInline(quoted.join('\n')) });
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() !== '' && (i === start || !isBlockStart(lines[i]))) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+
+    blocks[blocks.length - 1].source = lines.slice(start, i).join('\n');
+  }
+
+  return blocks;
+};
+
+/**
+ * Split a block's text into inline tokens: text, code, strong, em, link and break
+ */
+export const parseInline = (text) => {
+  const tokens = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (value) => {
+    if (!value) {
+      return;
+    }
+    const previous = tokens[tokens.length - 1];
+    if (previous && previous.type === 'text') {
+      previous.text += value;
+    } else {
+      tokens.push({ type: 'text', text: value });
+    }
+  };
+
+  while ((match = pattern.exec(text)) !== null) {
+    pushText(text.slice(lastIndex, match.index));
+    lastIndex = pattern.lastIndex;
+
+    const [, code, linkText, linkUrl, bareUrl, strong, emphasis] = match;
+
+    if (code !== undefined) {
+      tokens.push({ type: 'code', text: code });
+    } else if (linkText !== undefined) {
+      const href = sanitizeHref(linkUrl);
+      if (href) {
+        tokens.push({ type: 'link', href, children: parseInline(linkText) });
+      } else {
+        pushText(linkText);
+      }
+    } else if (bareUrl !== undefined) {
+      tokens.push({ type: 'link', href: bareUrl, children: [{ type: 'text', text: bareUrl }] });
+    } else if (strong !== undefined) {
+      tokens.push({ type: 'strong', children: parseInline(strong) });
+    } else if (emphasis !== undefined) {
+      tokens.push({ type: 'em', children: parseInline(emphasis) });
+    } else {
+      tokens.push({ type: 'break' });
+    }
+  }
+
+  pushText(text.slice(lastIndex));
+  return tokens;
+};
+
+export default parseMarkdown;
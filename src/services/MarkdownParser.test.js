@@ -0,0 +1,72 @@
+/**
+ * Tests for MarkdownParser
+ */
+
+import { parseMarkdown, parseInline, sanitizeHref } from './MarkdownParser.js';
+
+describe('MarkdownParser', () => {
+  test('should split paragraphs, lists, headings and code into blocks', () => {
+    const blocks = parseMarkdown('## Options\nWe can:\n- tow it\n- pay cash\n\n1. Call us\n2. Get paid\n\n```js\nconst a = 1;\n```');
+
+    expect(blocks.map(block => block.type)).toEqual(['heading', 'paragraph', 'list', 'list', 'code']);
+    expect(blocks[0].level).toBe(2);
+    expect(blocks[2]).toMatchObject({ ordered: false, items: [[{ type: 'text', text: 'tow it' }], [{ type: 'text', text: 'pay cash' }]] });
+    expect(blocks[3]).toMatchObject({ ordered: true, start: 1 });
+    expect(blocks[4]).toMatchObject({ language: 'js', text: 'const a = 1;', closed: true });
+  });
+
+  test('should treat bullet characters as list items and keep line breaks in paragraphs', () => {
+    const blocks = parseMarkdown('💡 Please check that:\n• Ollama is running\n• The tunnel is active');
+
+    expect(blocks[0].type).toBe('paragraph');
+    expect(blocks[1]).toMatchObject({ type: 'list', ordered: false });
+    expect(blocks[1].items).toHaveLength(2);
+    expect(parseInline('one\ntwo')).toEqual([
+      { type: 'text', text: 'one' },
+      { type: 'break' },
+      { type: 'text', text: 'two' }
+    ]);
+  });
+
+  test('should parse emphasis, code and links', () => {
+    expect(parseInline('**Free** towing, *any* car, `no fees`, see [our site](https://example.com)')).toEqual([
+      { type: 'strong', children: [{ type: 'text', text: 'Free' }] },
+      { type: 'text', text: ' towing, ' },
+      { type: 'em', children: [{ type: 'text', text: 'any' }] },
+      { type: 'text', text: ' car, ' },
+      { type: 'code', text: 'no fees' },
+      { type: 'text', text: ', see ' },
+      { type: 'link', href: 'https://example.com', children: [{ type: 'text', text: 'our site' }] }
+    ]);
+  });
+
+  test('should link bare URLs without trailing punctuation', () => {
+    expect(parseInline('Visit https://example.com/quote.')).toEqual([
+      { type: 'text', text: 'Visit ' },
+      { type: 'link', href: 'https://example.com/quote', children: [{ type: 'text', text: 'https://example.com/quote' }] },
+      { type: 'text', text: '.' }
+    ]);
+  });
+
+  test('should not link unsafe URLs', () => {
+    expect(parseInline('[click](javascript:alert(1))')).not.toContainEqual(expect.objectContaining({ type: 'link' }));
+    expect(parseInline('[click](javascript:void)')).toEqual([{ type: 'text', text: 'click' }]);
+    expect(sanitizeHref('data:text/html,hi')).toBeNull();
+    expect(sanitizeHref('//evil.example')).toBeNull();
+    expect(sanitizeHref('/sell')).toBe('/sell');
+    expect(sanitizeHref('mailto:sales@example.com')).toBe('mailto:sales@example.com');
+  });
+
+  test('should cope with unfinished syntax while streaming', () => {
+    const blocks = parseMarkdown('Here is **bold\n\n```\nconst a');
+
+    expect(blocks[0].children).toEqual([{ type: 'text', text: 'Here is **bold' }]);
+    expect(blocks[1]).toMatchObject({ type: 'code', text: 'const a', closed: false });
+  });
+
+  test('should keep the source of each block', () => {
+    const blocks = parseMarkdown('First paragraph\n\n- a\n- b');
+
+    expect(blocks.map(block => block.source)).toEqual(['First paragraph', '- a\n- b']);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * NDJSON Stream Parser
+ * Incrementally parses newline-delimited JSON from a byte stream, carrying
+ * partial lines and multi-byte UTF-8 sequences across network chunk boundaries
+ */
+
+class NdjsonStreamParser {
+  constructor(options = {}) {
+    this.onParseError = options.onParseError || null;
+    this.decoder = new TextDecoder();
+    this.buffer = '';
+  }
+
+  /**
+   * Feed a chunk (Uint8Array or string) and return every complete JSON object in it
+   */
+  push(chunk) {
+    if (chunk === undefined || chunk === null) {
+      return [];
+    }
+
+    this.buffer += typeof chunk === 'string'
+      ? chunk
+      : this.decoder.decode(chunk, { stream: true });
+
+    const lines = this.buffer.split('\n');
+    // The last element is either empty or an incomplete line, keep it for the next chunk
+    this.buffer = lines.pop();
+
+    return this.parseLines(lines);
+  }
+
+  /**
+   * Parse whatever is left once the stream has ended
+   */
+  flush() {
+    this.buffer += this.decoder.decode();
+    const remaining = this.buffer;
+    this.buffer = '';
+
+    return this.parseLines([remaining]);
+  }
+
+  /**
+   * Discard buffered data (e.g. before reusing the parser for a new stream)
+   */
+  reset() {
+    this.decoder = new TextDecoder();
+    this.buffer = '';
+  }
+
+  /**
+   * Whether a partial line is waiting for more data
+   */
+  hasPendingData() {
+    return this.buffer.trim() !== '';
+  }
+
+  parseLines(lines) {
+    const objects = [];
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (trimmed === '') continue;
+
+      try {
+        objects.push(JSON.parse(trimmed));
+      } catch (parseError) {
+        if (this.onParseError) {
+          this.onParseError(parseError, trimmed);
+        } else {
+          console.warn('Error parsing streaming response:', parseError);
+        }
+      }
+    }
+
+    return objects;
+  }
+}
+
+export default NdjsonStreamParser;
@@ -0,0 +1,67 @@
+/**
+ * Tests for NdjsonStreamParser
+ */
+
+import NdjsonStreamParser from './NdjsonStreamParser.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+describe('NdjsonStreamParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new NdjsonStreamParser();
+  });
+
+  test('should parse complete lines in a single chunk', () => {
+    const objects = parser.push(encode('{"response": "Hello"}\n{"response": " world"}\n'));
+
+    expect(objects).toEqual([{ response: 'Hello' }, { response: ' world' }]);
+    expect(parser.hasPendingData()).toBe(false);
+  });
+
+  test('should carry a JSON line split across chunks', () => {
+    expect(parser.push(encode('{"message": {"content": "Hel'))).toEqual([]);
+    expect(parser.hasPendingData()).toBe(true);
+
+    expect(parser.push(encode('lo"}}\n{"done": tr'))).toEqual([{ message: { content: 'Hello' } }]);
+    expect(parser.push(encode('ue, "eval_count": 12}\n'))).toEqual([{ done: true, eval_count: 12 }]);
+  });
+
+  test('should decode multi-byte characters split across chunks', () => {
+    const bytes = encode('{"response": "Kia ora 🚗 Māori"}\n');
+    const splitAt = bytes.indexOf(0xf0) + 2; // middle of the 4-byte emoji
+
+    expect(parser.push(bytes.slice(0, splitAt))).toEqual([]);
+    expect(parser.push(bytes.slice(splitAt))).toEqual([{ response: 'Kia ora 🚗 Māori' }]);
+  });
+
+  test('should parse a final line without trailing newline on flush', () => {
+    expect(parser.push(encode('{"done": true}'))).toEqual([]);
+    expect(parser.flush()).toEqual([{ done: true }]);
+    expect(parser.flush()).toEqual([]);
+  });
+
+  test('should accept string chunks', () => {
+    expect(parser.push('{"a": 1}\n{"b"')).toEqual([{ a: 1 }]);
+    expect(parser.push(': 2}\n')).toEqual([{ b: 2 }]);
+  });
+
+  test('should report malformed lines and keep parsing', () => {
+    const onParseError = jest.fn();
+    parser = new NdjsonStreamParser({ onParseError });
+
+    const objects = parser.push('not json\n{"ok": true}\n');
+
+    expect(objects).toEqual([{ ok: true }]);
+    expect(onParseError).toHaveBeenCalledWith(expect.any(SyntaxError), 'not json');
+  });
+
+  test('should discard buffered data on reset', () => {
+    parser.push('{"partial": ');
+    parser.reset();
+
+    expect(parser.hasPendingData()).toBe(false);
+    expect(parser.push('{"fresh": true}\n')).toEqual([{ fresh: true }]);
+  });
+});
@@ -1,3 +1,5 @@
+import CircuitBreaker, { CIRCUIT_STATES } from './CircuitBreaker.js';
+
 /**
  * Network Reliability Manager
  * Handles request queuing, connection quality monitoring, and timeout management
@@ -13,6 +15,8 @@ class NetworkReliabilityManager {
       verySlowConnectionThreshold: config.verySlowConnectionThreshold || 10000, // 10 seconds
       queueProcessingInterval: config.queueProcessingInterval || 1000, // 1 second
       timeoutGracePeriod: config.timeoutGracePeriod || 2000, // Extra time before showing timeout warning
+      circuitFailureThreshold: config.circuitFailureThreshold || 3, // Consecutive failures before a circuit opens
+      circuitResetTimeout: config.circuitResetTimeout || 30000, // Time a circuit stays open before probing
       ...config
     };
 
@@ -26,6 +30,12 @@ class NetworkReliabilityManager {
     this.connectionQuality = 'unknown'; // 'excellent', 'good', 'slow', 'poor', 'unknown'
     this.lastQualityUpdate = null;
 
+    // Circuit breakers per endpoint, shared by every request through this manager
+    this.circuitBreaker = new CircuitBreaker({
+      failureThreshold: this.config.circuitFailureThreshold,
+      resetTimeout: this.config.circuitResetTimeout
+    });
+
     // Timeout management
     this.activeTimeouts = new Map();
     this.timeoutWarnings = new Map();
@@ -36,6 +46,7 @@ class NetworkReliabilityManager {
       successfulRequests: 0,
       failedRequests: 0,
       timeoutRequests: 0,
+      cancelledRequests: 0,
       queuedRequests: 0,
       averageResponseTime: 0
     };
@@ -85,11 +96,29 @@ class NetworkReliabilityManager {
       this.stats.timeoutRequests++;
     }, timeout);
 
-    this.activeTimeouts.set(requestId, { warningTimeout, actualTimeout, controller });
+    // Settles only when the request is cancelled, so a caller never waits on a hung request
+    let rejectCancellation;
+    const cancellation = new Promise((_, reject) => {
+      rejectCancellation = reject;
+    });
+
+    const entry = {
+      warningTimeout,
+      actualTimeout,
+      controller,
+      cancelled: false,
+      cancel: (reason) => {
+        entry.cancelled = true;
+        controller.abort();
+        rejectCancellation(new Error(reason));
+      }
+    };
+    this.activeTimeouts.set(requestId, entry);
+
+    let progressInterval;
 
     try {
       // Execute the request with progress tracking
-      let progressInterval;
       if (onProgress) {
         progressInterval = setInterval(() => {
           const elapsed = Date.now() - startTime;
@@ -98,7 +127,7 @@ class NetworkReliabilityManager {
         }, 500);
       }
 
-      const result = await requestFunction(controller.signal);
+      const result = await Promise.race([requestFunction(controller.signal), cancellation]);
       
       if (progressInterval) {
         clearInterval(progressInterval);
@@ -121,7 +150,16 @@ class NetworkReliabilityManager {
 
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      this.stats.failedRequests++;
+
+      if (progressInterval) {
+        clearInterval(progressInterval);
+      }
+
+      if (entry.cancelled) {
+        this.stats.cancelledRequests++;
+      } else {
+        this.stats.failedRequests++;
+      }
 
       // Clean up timeouts
       this.cleanupTimeouts(requestId);
@@ -353,14 +391,26 @@ class NetworkReliabilityManager {
       ? (this.stats.successfulRequests / this.stats.totalRequests) * 100 
       : 0;
 
+    const circuitBreakers = this.circuitBreaker.getStatus();
+
     return {
       ...this.stats,
       successRate: Math.round(successRate * 100) / 100,
       connectionQuality: this.connectionQuality,
-      queueLength: this.requestQueue.length
+      queueLength: this.requestQueue.length,
+      circuitBreakers,
+      openCircuits: Object.values(circuitBreakers)
+        .filter(circuit => circuit.state === CIRCUIT_STATES.OPEN).length
     };
   }
 
+  /**
+   * Get the shared circuit breaker
+   */
+  getCircuitBreaker() {
+    return this.circuitBreaker;
+  }
+
   /**
    * Clear all queued requests (useful for connection recovery)
    */
@@ -372,6 +422,29 @@ class NetworkReliabilityManager {
     this.stopQueueProcessing();
   }
 
+  /**
+   * Cancel a single request, whether it is still queued or already running.
+   * Running requests have their signal aborted and their slot released immediately.
+   * Returns false if the request is unknown or has already finished.
+   */
+  cancelRequest(requestId, reason = 'Request cancelled') {
+    const queuedIndex = this.requestQueue.findIndex(req => req.id === requestId);
+    if (queuedIndex !== -1) {
+      const [request] = this.requestQueue.splice(queuedIndex, 1);
+      this.stats.cancelledRequests++;
+      request.reject(new Error(reason));
+      return true;
+    }
+
+    const activeRequest = this.activeTimeouts.get(requestId);
+    if (activeRequest && !activeRequest.cancelled) {
+      activeRequest.cancel(reason);
+      return true;
+    }
+
+    return false;
+  }
+
   /**
    * Reset connection quality tracking
    */
@@ -225,6 +225,49 @@ describe('NetworkReliabilityManager', () => {
     });
   });
 
+  describe('Request Cancellation', () => {
+    test('should abort and release an in-flight request', async () => {
+      let receivedSignal;
+      const mockRequest = jest.fn().mockImplementation((signal) => {
+        receivedSignal = signal;
+        return new Promise(() => {}); // never settles on its own
+      });
+
+      const promise = manager.executeRequest('cancel1', mockRequest);
+
+      expect(manager.cancelRequest('cancel1', 'Stopped by user')).toBe(true);
+      await expect(promise).rejects.toThrow('Stopped by user');
+      expect(receivedSignal.aborted).toBe(true);
+      expect(manager.activeTimeouts.has('cancel1')).toBe(false);
+
+      const stats = manager.getStatistics();
+      expect(stats.cancelledRequests).toBe(1);
+      expect(stats.failedRequests).toBe(0);
+    });
+
+    test('should remove a queued request without running it', async () => {
+      manager.recordResponseTime(8000);
+      manager.recordResponseTime(9000);
+      manager.recordResponseTime(10000);
+
+      const mockRequest = jest.fn().mockResolvedValue('never');
+      const promise = manager.executeRequest('cancel2', mockRequest);
+
+      expect(manager.getQueueStatus().queueLength).toBe(1);
+      expect(manager.cancelRequest('cancel2')).toBe(true);
+      await expect(promise).rejects.toThrow('Request cancelled');
+      expect(manager.getQueueStatus().queueLength).toBe(0);
+      expect(mockRequest).not.toHaveBeenCalled();
+    });
+
+    test('should return false for unknown or finished requests', async () => {
+      await manager.executeRequest('cancel3', jest.fn().mockResolvedValue('done'));
+
+      expect(manager.cancelRequest('cancel3')).toBe(false);
+      expect(manager.cancelRequest('does-not-exist')).toBe(false);
+    });
+  });
+
   describe('Cleanup', () => {
     test('should cleanup resources properly', () => {
       manager.recordResponseTime(1000);
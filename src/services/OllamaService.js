@@ -1,47 +1,113 @@
 /**
  * Enhanced Ollama Service with Remote Connection Support
  * Handles CORS, connection health checking, retry logic, and timeout handling
- * for both local development and remote production deployments
+ * for both local development and remote production deployments.
+ * The wire protocol comes from a pluggable LLM provider (Ollama or OpenAI-compatible),
+ * so error categorization and retries are shared across backends.
  */
 
 import chatbotConfig from '../config/ChatbotConfig.js';
 import CorsProxyService from './CorsProxyService.js';
 import NetworkReliabilityManager from './NetworkReliabilityManager.js';
+import EndpointPool from './EndpointPool.js';
+import { createProvider } from './providers/index.js';
+import FallbackResponder from './FallbackResponder.js';
+import KnowledgeBase from './KnowledgeBase.js';
+import GuardrailPolicy, { excerpt } from './GuardrailPolicy.js';
+import { LEAD_SCHEMA, CAR_CONDITIONS } from './LeadDraft.js';
 
 class OllamaConnectionError extends Error {
   constructor(message, type = 'connection', originalError = null) {
     super(message);
     this.name = 'OllamaConnectionError';
-    this.type = type; // 'connection', 'timeout', 'cors', 'model', 'network'
+    this.type = type; // 'connection', 'timeout', 'cors', 'model', 'network', 'cancelled'
     this.originalError = originalError;
   }
 }
 
+// Errors that mean the AI service is unreachable, so a canned fallback reply is used
+const FALLBACK_ERROR_TYPES = ['connection', 'network', 'timeout', 'circuit_open'];
+
 class OllamaService {
-  constructor() {
+  constructor(provider = null) {
     this.config = chatbotConfig.getOllamaConfig();
     this.chatConfig = chatbotConfig.getChatConfig();
     this.networkConfig = chatbotConfig.getNetworkConfig();
     this.uiConfig = chatbotConfig.getUIConfig();
+    this.provider = provider || createProvider(this.config, this.chatConfig);
     
     this.connectionStatus = {
       status: 'disconnected', // 'connected', 'disconnected', 'connecting', 'error'
       lastChecked: null,
       availableModels: [],
       currentModel: this.config.model,
+      endpoint: this.config.baseUrl,
       error: null,
       responseTime: null
     };
     
+    // Failover/load balancing across the configured Ollama hosts, pinned per chat session
+    this.sessionId = 'default';
+    this.endpointPool = new EndpointPool(
+      this.config.endpoints || [{ url: this.config.baseUrl }],
+      {
+        slowConnectionThreshold: this.config.timeout * 0.6,
+        verySlowConnectionThreshold: this.config.timeout * 0.8,
+        recoveryInterval: this.networkConfig.healthCheckInterval || 30000
+      }
+    );
+    
+    // Generation stats from the most recent completed response (eval_count, total_duration, ...)
+    this.lastResponseMetadata = null;
+    
+    // Model details (capabilities such as vision and tools), looked up once per model
+    this.modelInfo = new Map();
+    
+    // Canned answers while the AI service is unreachable, from the fallback knowledge base
+    const fallbackConfig = this.chatConfig.fallback || {};
+    this.fallbackResponder = new FallbackResponder({
+      mode: fallbackConfig.mode,
+      variables: { fallbackMode: this.chatConfig.fallbackMessages.fallbackMode }
+    });
+    if (fallbackConfig.knowledgeUrl) {
+      this.fallbackResponder.loadFromUrl(fallbackConfig.knowledgeUrl);
+    }
+    
+    // Business documents retrieved for customer questions (see KnowledgeBase)
+    const ragConfig = this.chatConfig.rag || {};
+    this.knowledgeBase = ragConfig.enabled
+      ? new KnowledgeBase({
+        indexUrl: ragConfig.indexUrl,
+        topK: ragConfig.topK,
+        minScore: ragConfig.minScore,
+        embed: (text, model) => this.embed(text, model)
+      })
+      : null;
+    
+    // Input/output policy for customer messages (see GuardrailPolicy)
+    const guardrailConfig = this.chatConfig.guardrails || {};
+    this.guardrails = guardrailConfig.enabled
+      ? new GuardrailPolicy({
+        maxInputLength: guardrailConfig.maxInputLength,
+        topicCheck: guardrailConfig.topicCheck
+      })
+      : null;
+    
     this.healthCheckInterval = null;
-    this.retryHandler = new RetryHandler(this.config.retryAttempts, this.chatConfig);
     this.corsProxyService = new CorsProxyService(this.networkConfig);
     this.networkReliabilityManager = new NetworkReliabilityManager({
       maxQueueSize: this.networkConfig.maxQueueSize || 10,
       slowConnectionThreshold: this.config.timeout * 0.6, // 60% of timeout
       verySlowConnectionThreshold: this.config.timeout * 0.8, // 80% of timeout
-      timeoutGracePeriod: Math.min(this.config.timeout * 0.1, 5000) // 10% of timeout, max 5s
+      timeoutGracePeriod: Math.min(this.config.timeout * 0.1, 5000), // 10% of timeout, max 5s
+      circuitFailureThreshold: this.networkConfig.circuitFailureThreshold || 3,
+      circuitResetTimeout: this.networkConfig.circuitResetTimeout || 30000
     });
+    this.retryHandler = new RetryHandler(
+      this.config.retryAttempts,
+      this.chatConfig,
+      this.networkReliabilityManager.getCircuitBreaker()
+    );
     
     // Start health monitoring if enabled
     if (this.networkConfig.healthCheckInterval > 0) {
@@ -50,9 +116,34 @@ class OllamaService {
   }
 
   /**
-   * Check connection to Ollama server with enhanced error detection
+   * Check connection to Ollama server with enhanced error detection.
+   * With several endpoints configured, fails over to the next healthy one.
    */
   async checkConnection() {
+    const attempted = new Set();
+    let baseUrl = this.getActiveEndpoint();
+    
+    for (;;) {
+      try {
+        return await this.checkEndpoint(baseUrl);
+      } catch (error) {
+        attempted.add(baseUrl);
+        const nextUrl = this.getActiveEndpoint();
+        
+        if (attempted.has(nextUrl)) {
+          throw error;
+        }
+        
+        console.warn(`Endpoint ${baseUrl} unavailable, failing over to ${nextUrl}`);
+        baseUrl = nextUrl;
+      }
+    }
+  }
+
+  /**
+   * Check connection to a single endpoint and make it the reported connection status
+   */
+  async checkEndpoint(baseUrl = this.config.baseUrl) {
     const startTime = Date.now();
     this.connectionStatus.status = 'connecting';
     
@@ -62,7 +153,7 @@ class OllamaService {
       
       const options = this.getFetchOptions('GET', null, controller.signal);
       
-      const response = await this.makeRequest('/api/tags', options);
+      const response = await this.makeRequest(this.provider.getHealthEndpoint(), options, baseUrl);
       
       clearTimeout(timeoutId);
       
@@ -74,11 +165,13 @@ class OllamaService {
       const data = await response.json();
       const responseTime = Date.now() - startTime;
       
+      this.endpointPool.recordSuccess(baseUrl, responseTime);
       this.connectionStatus = {
         status: 'connected',
         lastChecked: new Date(),
-        availableModels: data.models?.map(m => m.name) || [],
+        availableModels: this.provider.parseModelList(data),
         currentModel: this.config.model,
+        endpoint: baseUrl,
         error: null,
         responseTime
       };
@@ -96,11 +189,13 @@ class OllamaService {
       const responseTime = Date.now() - startTime;
       const { errorType, errorMessage } = this.categorizeConnectionError(error);
       
+      this.endpointPool.recordFailure(baseUrl, error);
       this.connectionStatus = {
         status: 'error',
         lastChecked: new Date(),
         availableModels: [],
         currentModel: this.config.model,
+        endpoint: baseUrl,
         error: errorMessage,
         responseTime
       };
@@ -110,59 +205,158 @@ class OllamaService {
   }
 
   /**
-   * Send message to Ollama with enhanced error handling and retry logic
+   * Health-check the endpoints that are not serving this session, so they
+   * are scored and recover without affecting the reported connection status
    */
-  async sendMessage(message, conversationHistory = [], options = {}) {
-    const requestId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  async checkStandbyEndpoints() {
+    const activeUrl = this.endpointPool.getSessionEndpoint(this.sessionId);
+    const standbyUrls = this.endpointPool.getEndpointUrls().filter(url => url !== activeUrl);
     
-    return this.networkReliabilityManager.executeRequest(
-      requestId,
-      async (signal) => {
-        return this.retryHandler.executeWithRetry(async () => {
-          return await this._sendMessageInternal(message, conversationHistory, signal);
-        });
-      },
-      {
-        timeout: this.config.timeout,
-        priority: options.priority || 'normal',
-        onTimeout: options.onTimeout,
-        onProgress: options.onProgress
+    await Promise.all(standbyUrls.map(async (baseUrl) => {
+      const startTime = Date.now();
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+      
+      try {
+        const response = await this.makeRequest(
+          this.provider.getHealthEndpoint(),
+          this.getFetchOptions('GET', null, controller.signal),
+          baseUrl
+        );
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        this.endpointPool.recordSuccess(baseUrl, Date.now() - startTime);
+      } catch (error) {
+        this.endpointPool.recordFailure(baseUrl, error);
+      } finally {
+        clearTimeout(timeoutId);
       }
-    );
+    }));
+  }
+
+  /**
+   * Pin routing to a chat session, so a conversation stays on one endpoint until it fails
+   */
+  setSessionId(sessionId) {
+    this.sessionId = sessionId || 'default';
+  }
+
+  /**
+   * Base URL of the endpoint serving a session (the service's default session if omitted)
+   */
+  getActiveEndpoint(sessionId = this.sessionId) {
+    const endpoint = this.endpointPool.selectEndpoint(sessionId);
+    return endpoint ? endpoint.url : this.config.baseUrl;
+  }
+
+  /**
+   * Get per-endpoint health for monitoring displays
+   */
+  getEndpointStatus() {
+    return {
+      activeEndpoint: this.endpointPool.getSessionEndpoint(this.sessionId) || this.connectionStatus.endpoint,
+      endpoints: this.endpointPool.getStatus()
+    };
+  }
+
+  /**
+   * Run one request attempt on the session's endpoint. If the endpoint is unavailable and
+   * another healthy one is, the attempt moves there straight away. An open circuit moves too,
+   * without counting as another failure. Other errors (a missing model, a bad key, a photo
+   * for a text-only model) are rethrown as they are, since they would fail the same way
+   * elsewhere and say nothing about the endpoint's health.
+   */
+  async executeOnEndpoint(sessionId, signal, run) {
+    const attempted = new Set();
+    let baseUrl = this.getActiveEndpoint(sessionId);
+    
+    for (;;) {
+      const startTime = Date.now();
+      const endpointUrl = baseUrl;
+      
+      try {
+        const result = await this.retryHandler.executeWithCircuit(endpointUrl, () => run(endpointUrl), signal);
+        this.endpointPool.recordSuccess(endpointUrl, Date.now() - startTime);
+        this.connectionStatus = { ...this.connectionStatus, endpoint: endpointUrl };
+        return result;
+      } catch (error) {
+        // The circuit was counted when it opened; the request just needs another endpoint
+        const circuitOpen = error.type === 'circuit_open';
+        // Only availability errors count against the endpoint (the same rule as its circuit)
+        if ((signal && signal.aborted) || error.type === 'cancelled' || (!circuitOpen && !this.retryHandler.isCircuitFailure(error))) {
+          throw error;
+        }
+        
+        if (!circuitOpen) {
+          this.endpointPool.recordFailure(baseUrl, error);
+        }
+        attempted.add(baseUrl);
+        const nextEndpoint = this.endpointPool.selectEndpoint(sessionId, Array.from(attempted));
+        const nextUrl = nextEndpoint && nextEndpoint.url;
+        
+        if (!nextUrl) {
+          throw error;
+        }
+        
+        console.warn(`Request to ${baseUrl} failed (${error.message}), failing over to ${nextUrl}`);
+        // Health-check the new endpoint before sending to it
+        this.connectionStatus = { ...this.connectionStatus, status: 'disconnected' };
+        baseUrl = nextUrl;
+      }
+    }
+  }
+
+  /**
+   * Send message to Ollama with enhanced error handling and retry logic.
+   * Returns a promise with `requestId` and `cancel(reason)` attached.
+   */
+  sendMessage(message, conversationHistory = [], options = {}) {
+    const refusal = this.refuseByPolicy(message, null, options);
+    if (refusal) {
+      return refusal;
+    }
+    
+    const loadKnowledge = this.createKnowledgeLoader(message, conversationHistory, options);
+    const runTools = this.createToolRunner(options);
+    return this.checkReplyPolicy(this.executeCancellableRequest('msg', options, (signal, baseUrl) => {
+      const send = (history) => (runTools
+        ? runTools(baseUrl, (roundOptions) => this._sendMessageInternal(message, history, signal, roundOptions, baseUrl))
+        : this._sendMessageInternal(message, history, signal, options, baseUrl));
+      return loadKnowledge ? loadKnowledge().then(send) : send(conversationHistory);
+    }), options);
   }
 
   /**
    * Internal method for sending messages (used by retry logic)
    */
-  async _sendMessageInternal(message, conversationHistory, signal = null) {
+  async _sendMessageInternal(message, conversationHistory, signal = null, options = {}, baseUrl = this.config.baseUrl) {
     // Check connection before sending
     if (this.connectionStatus.status !== 'connected') {
       try {
-        await this.checkConnection();
+        await this.checkEndpoint(baseUrl);
       } catch (error) {
         // Re-throw with proper categorization
         throw error;
       }
     }
     
-    const prompt = this.buildPrompt(message, conversationHistory);
+    await this.assertImageSupport(options.images, baseUrl);
+    
     const controller = signal ? { signal } : new AbortController();
     const timeoutId = signal ? null : setTimeout(() => controller.abort(), this.config.timeout);
     
     try {
-      const requestBody = {
-        model: this.config.model,
-        prompt: prompt,
-        stream: false, // Non-streaming for simple responses
-        options: {
-          temperature: this.config.parameters.temperature,
-          num_predict: this.config.parameters.max_tokens,
-          top_p: this.config.parameters.top_p
-        }
-      };
-      const options = this.getFetchOptions('POST', requestBody, signal || controller.signal);
+      // Non-streaming for simple responses
+      const requestBody = this.provider.buildRequestBody(message, conversationHistory, false, {
+        format: options.format,
+        images: options.images,
+        tools: options.toolDefinitions,
+        toolTurns: options.toolTurns
+      });
+      const fetchOptions = this.getFetchOptions('POST', requestBody, signal || controller.signal);
       
-      const response = await this.makeRequest('/api/generate', options);
+      const response = await this.makeRequest(this.provider.getChatEndpoint(), fetchOptions, baseUrl);
       
       if (timeoutId) clearTimeout(timeoutId);
       
@@ -172,15 +366,23 @@ class OllamaService {
       }
       
       const data = await response.json();
+      const { text: responseText, toolCalls = [], metadata } = this.provider.parseResponse(data);
       
-      if (!data.response) {
+      // A turn that only calls tools has no text
+      if (!responseText && toolCalls.length === 0) {
         throw new OllamaConnectionError(
           'Invalid response from Ollama service',
           'connection'
         );
       }
       
-      return data.response;
+      if (toolCalls.length > 0 && options.onToolCalls) {
+        options.onToolCalls(toolCalls);
+      }
+      
+      this.recordResponseMetadata(metadata, options.onDone);
+      
+      return responseText;
       
     } catch (error) {
       if (timeoutId) clearTimeout(timeoutId);
@@ -196,17 +398,316 @@ class OllamaService {
   }
 
   /**
-   * Send message with streaming response
+   * Summarize conversation turns into a short memory of the facts that matter for
+   * the rest of the chat, extending `previousSummary` when given. Sent at low
+   * priority so it never delays a customer's message.
    */
-  async sendMessageStream(message, conversationHistory = [], onChunk, options = {}) {
-    const requestId = `stream_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  async summarizeConversation(previousSummary, messages, options = {}) {
+    const transcript = this.formatTranscript(messages);
+    
+    const instruction = [
+      'Summarize this conversation in a few sentences for your own reference later in the chat.',
+      'Keep every fact about the customer and their car (make, model, year, odometer, damage, location, price expectations) and any open questions.',
+      'Reply with the summary only.',
+      previousSummary ? `\nSummary so far:\n${previousSummary}` : '',
+      `\nConversation:\n${transcript}`
+    ].join('\n');
+    
+    const summary = await this.sendMessage(instruction, [], {
+      ...options,
+      priority: 'low'
+    });
     
-    return this.networkReliabilityManager.executeRequest(
+    return summary.trim();
+  }
+
+  /**
+   * Extract quote details (the SellNowModal fields) from conversation turns as JSON
+   * constrained to LEAD_SCHEMA. Fields not mentioned come back as null.
+   */
+  async extractLeadFacts(messages, currentFields = {}, options = {}) {
+    const known = Object.entries(currentFields)
+      .filter(([, value]) => value)
+      .map(([field, value]) => `${field}: ${value}`)
+      .join(', ');
+    
+    const instruction = [
+      'Extract the customer\'s details from this conversation for a car quote.',
+      'Only use what the user stated; use null for anything not mentioned.',
+      `condition must be one of: ${CAR_CONDITIONS.join(', ')} (a car that drives is Running).`,
+      known ? `\nAlready known: ${known}` : '',
+      `\nConversation:\n${this.formatTranscript(messages)}`
+    ].join('\n');
+    
+    const reply = await this.sendMessage(instruction, [], {
+      ...options,
+      priority: 'low',
+      format: LEAD_SCHEMA
+    });
+    
+    try {
+      return JSON.parse(reply);
+    } catch (error) {
+      throw new OllamaConnectionError('Lead details could not be read from the model response', 'server', error);
+    }
+  }
+
+  formatTranscript(messages) {
+    return messages
+      .map(msg => `${msg.isBot ? 'Assistant' : 'User'}: ${msg.text}`)
+      .join('\n');
+  }
+
+  /**
+   * Send message with streaming response.
+   * Returns a promise with `requestId` and `cancel(reason)` attached, so callers
+   * can stop generation: the fetch is aborted, retries stop and the queue slot is released.
+   */
+  sendMessageStream(message, conversationHistory = [], onChunk, options = {}) {
+    const refusal = this.refuseByPolicy(message, onChunk, options);
+    if (refusal) {
+      return refusal;
+    }
+    
+    const loadKnowledge = this.createKnowledgeLoader(message, conversationHistory, options);
+    const runTools = this.createToolRunner(options);
+    return this.checkReplyPolicy(this.executeCancellableRequest('stream', options, (signal, baseUrl) => {
+      const send = (history) => (runTools
+        ? runTools(baseUrl, (roundOptions, previousText) => this._sendMessageStreamInternal(
+          message,
+          history,
+          onChunk && ((chunk, fullResponse) => onChunk(chunk, previousText + fullResponse)),
+          signal,
+          roundOptions,
+          baseUrl
+        ))
+        : this._sendMessageStreamInternal(message, history, onChunk, signal, options, baseUrl));
+      return loadKnowledge ? loadKnowledge().then(send) : send(conversationHistory);
+    }), options);
+  }
+
+  /**
+   * With `options.useGuardrails`, a customer message that breaks the input policy (too long,
+   * a blocked pattern or off topic) is not sent; it is answered with the refusal from
+   * fallbackMessages, returned as an already settled request handle. Returns null otherwise.
+   */
+  refuseByPolicy(message, onChunk, options) {
+    if (!options.useGuardrails || !this.guardrails) {
+      return null;
+    }
+    
+    const violation = this.guardrails.checkInput(message);
+    if (!violation) {
+      return null;
+    }
+    
+    const { inputTooLong, policyRefusal } = this.chatConfig.fallbackMessages;
+    const refusal = this.fallbackResponder.render(
+      violation.type === 'input_length' ? inputTooLong : policyRefusal,
+      { maxInputLength: this.guardrails.maxInputLength }
+    );
+    this.reportViolation({ ...violation, direction: 'input', excerpt: excerpt(message) }, options);
+    
+    if (onChunk) {
+      onChunk(refusal, refusal);
+    }
+    
+    return Object.assign(Promise.resolve(refusal), {
+      requestId: `policy_${Date.now()}`,
+      cancel: () => false,
+      isCancelled: () => false
+    });
+  }
+
+  /**
+   * With `options.useGuardrails`, checks the finished reply for price commitments. A flagged
+   * reply is still returned; the violation is reported so the UI can add a disclaimer.
+   */
+  checkReplyPolicy(request, options) {
+    if (!options.useGuardrails || !this.guardrails) {
+      return request;
+    }
+    
+    const promise = request.then(reply => {
+      const violation = this.guardrails.checkOutput(reply);
+      if (violation) {
+        this.reportViolation({ type: violation.type, rule: violation.rule, direction: 'output', excerpt: excerpt(violation.match) }, options);
+      }
+      return reply;
+    });
+    
+    return Object.assign(promise, {
+      requestId: request.requestId,
+      cancel: request.cancel,
+      isCancelled: request.isCancelled
+    });
+  }
+
+  /**
+   * Log a guardrail violation with the chat session it happened in and pass it to
+   * `options.onViolation(violation)` for review
+   */
+  reportViolation(violation, options) {
+    const record = {
+      ...violation,
+      sessionId: options.sessionId || this.sessionId,
+      occurredAt: new Date().toISOString()
+    };
+    
+    console.warn(`Guardrail ${record.direction} violation in session ${record.sessionId}: ${record.type} (${record.rule})`);
+    if (options.onViolation) {
+      options.onViolation(record);
+    }
+    return record;
+  }
+
+  /**
+   * With `options.useKnowledge` and a knowledge base configured, returns a function resolving to
+   * the history plus the passages retrieved for the message (looked up once, however many
+   * attempts the request takes). `options.onCitations(citations)` receives the numbered sources.
+   * Retrieval problems are logged and the message is sent without passages.
+   */
+  createKnowledgeLoader(message, conversationHistory, options) {
+    if (!options.useKnowledge || !this.knowledgeBase) {
+      return null;
+    }
+
+    let pending = null;
+    return () => {
+      if (!pending) {
+        pending = this.knowledgeBase.search(message)
+          .then(passages => {
+            const contextMessage = this.knowledgeBase.buildContextMessage(passages);
+            if (!contextMessage) {
+              return conversationHistory;
+            }
+
+            if (options.onCitations) {
+              options.onCitations(passages.map(({ number, title, source }) => ({ number, title, source })));
+            }
+            return [...conversationHistory, contextMessage];
+          })
+          .catch(error => {
+            console.warn('Knowledge retrieval failed, answering without it:', error.message);
+            return conversationHistory;
+          });
+      }
+      return pending;
+    };
+  }
+
+  /**
+   * With `options.tools` (a ToolRegistry) and a model that can call tools, returns a function
+   * `(baseUrl, send)` that offers the tools, runs the ones the model calls and sends their
+   * results back until it answers in text (at most `chat.tools.maxRounds` rounds of calls).
+   * `send(roundOptions, previousText)` makes one request. Each call is run once however many
+   * attempts the request takes and reported to `options.onToolCall(record)` for the transcript.
+   */
+  createToolRunner(options) {
+    const toolConfig = this.chatConfig.tools || {};
+    if (!options.tools || toolConfig.enabled === false) {
+      return null;
+    }
+
+    const maxRounds = toolConfig.maxRounds || 3;
+    const records = new Map();
+
+    const runCall = (call) => {
+      const key = `${call.name}:${JSON.stringify(call.arguments)}`;
+      if (!records.has(key)) {
+        records.set(key, options.tools.execute(call.name, call.arguments)
+          .then(result => ({ result }), error => {
+            console.warn(`Tool ${call.name} failed:`, error.message);
+            return { error: error.message };
+          })
+          .then(outcome => {
+            const record = { name: call.name, arguments: call.arguments, ...outcome, calledAt: new Date().toISOString() };
+            if (options.onToolCall) {
+              options.onToolCall(record);
+            }
+            return record;
+          }));
+      }
+      return records.get(key);
+    };
+
+    return async (baseUrl, send) => {
+      if (!(await this.supportsTools(baseUrl))) {
+        return send(options, '');
+      }
+
+      const definitions = options.tools.getDefinitions();
+      const toolTurns = [];
+      let previousText = '';
+
+      for (let round = 0; ; round++) {
+        let toolCalls = [];
+        // The last round offers no tools, so the model has to answer
+        const canCallTools = round < maxRounds;
+        const text = await send({
+          ...options,
+          toolDefinitions: canCallTools ? definitions : undefined,
+          toolTurns,
+          onToolCalls: calls => { toolCalls = calls; }
+        }, previousText);
+
+        if (!canCallTools || toolCalls.length === 0) {
+          return previousText + text;
+        }
+
+        const calls = [];
+        for (const call of toolCalls) {
+          calls.push(await runCall(call));
+        }
+        toolTurns.push({ text, calls });
+        previousText += text ? `${text}\n\n` : '';
+      }
+    };
+  }
+
+  /**
+   * Embedding vector for `text` from the provider's embeddings endpoint
+   */
+  async embed(text, model, baseUrl = this.getActiveEndpoint()) {
+    const embeddingRequest = this.provider.getEmbeddingRequest(text, model);
+    if (!embeddingRequest) {
+      throw new OllamaConnectionError(`${this.provider.displayName} does not provide embeddings`, 'model');
+    }
+
+    const response = await this.makeRequest(
+      embeddingRequest.endpoint,
+      this.getFetchOptions('POST', embeddingRequest.body),
+      baseUrl
+    );
+    if (!response.ok) {
+      const { errorType, errorMessage } = this.categorizeHttpError(response.status, response.statusText);
+      throw new OllamaConnectionError(errorMessage, errorType);
+    }
+
+    const embedding = this.provider.parseEmbedding(await response.json());
+    if (!embedding) {
+      throw new OllamaConnectionError('Invalid embedding response', 'server');
+    }
+    return embedding;
+  }
+
+  /**
+   * Run a request through the reliability manager and retry handler as a cancellable handle.
+   * An `options.signal` from the caller cancels the request when it aborts, and
+   * `options.sessionId` keeps a conversation on the same endpoint.
+   */
+  executeCancellableRequest(prefix, options, operation) {
+    const requestId = `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const sessionId = options.sessionId || this.sessionId;
+    let cancelReason = null;
+    
+    const promise = this.networkReliabilityManager.executeRequest(
       requestId,
       async (signal) => {
-        return this.retryHandler.executeWithRetry(async () => {
-          return await this._sendMessageStreamInternal(message, conversationHistory, onChunk, signal);
-        });
+        return this.retryHandler.executeWithRetry(
+          () => this.executeOnEndpoint(sessionId, signal, (baseUrl) => operation(signal, baseUrl)),
+          { signal }
+        );
       },
       {
         timeout: this.config.timeout,
@@ -214,41 +715,74 @@ class OllamaService {
         onTimeout: options.onTimeout,
         onProgress: options.onProgress
       }
-    );
+    ).catch(error => {
+      if (cancelReason !== null) {
+        throw new OllamaConnectionError(cancelReason, 'cancelled', error);
+      }
+      throw error;
+    });
+    
+    const cancel = (reason = 'Request cancelled by user') => {
+      if (cancelReason !== null) {
+        return false;
+      }
+      cancelReason = reason;
+      return this.networkReliabilityManager.cancelRequest(requestId, reason);
+    };
+    
+    if (options.signal) {
+      if (options.signal.aborted) {
+        cancel();
+      } else {
+        options.signal.addEventListener('abort', () => cancel(), { once: true });
+      }
+    }
+    
+    return Object.assign(promise, {
+      requestId,
+      cancel,
+      isCancelled: () => cancelReason !== null
+    });
   }
 
   /**
    * Internal method for streaming messages
    */
-  async _sendMessageStreamInternal(message, conversationHistory, onChunk, signal = null) {
+  async _sendMessageStreamInternal(message, conversationHistory, onChunk, signal = null, options = {}, baseUrl = this.config.baseUrl) {
     // Check connection before sending
     if (this.connectionStatus.status !== 'connected') {
       try {
-        await this.checkConnection();
+        await this.checkEndpoint(baseUrl);
       } catch (error) {
         // Re-throw with proper categorization
         throw error;
       }
     }
     
-    const prompt = this.buildPrompt(message, conversationHistory);
+    await this.assertImageSupport(options.images, baseUrl);
+    
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
     
+    // Abort the fetch and the body stream when the request is cancelled or times out upstream
+    const abortFromSignal = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', abortFromSignal);
+      }
+    }
+    
     try {
-      const requestBody = {
-        model: this.config.model,
-        prompt: prompt,
-        stream: true,
-        options: {
-          temperature: this.config.parameters.temperature,
-          num_predict: this.config.parameters.max_tokens,
-          top_p: this.config.parameters.top_p
-        }
-      };
-      const options = this.getFetchOptions('POST', requestBody, controller.signal);
+      const requestBody = this.provider.buildRequestBody(message, conversationHistory, true, {
+        images: options.images,
+        tools: options.toolDefinitions,
+        toolTurns: options.toolTurns
+      });
+      const fetchOptions = this.getFetchOptions('POST', requestBody, controller.signal);
       
-      const response = await this.makeRequest('/api/generate', options);
+      const response = await this.makeRequest(this.provider.getChatEndpoint(), fetchOptions, baseUrl);
       
       clearTimeout(timeoutId);
       
@@ -257,43 +791,81 @@ class OllamaService {
         throw new OllamaConnectionError(errorMessage, errorType);
       }
       
-      // Process the stream
+      // Process the stream, lines may be split across network chunks
       const reader = response.body.getReader();
-      const decoder = new TextDecoder();
+      const parser = this.provider.createStreamParser();
       let fullResponse = '';
+      let toolCalls = [];
+      let streamMetadata = null;
+      let isComplete = false;
+      
+      const handleData = (data) => {
+        const event = this.provider.parseStreamEvent(data);
+        
+        if (event.error) {
+          throw new OllamaConnectionError(event.error, 'server');
+        }
+        
+        if (event.text) {
+          fullResponse += event.text;
+          if (onChunk) {
+            onChunk(event.text, fullResponse);
+          }
+        }
+        
+        if (event.toolCalls && event.toolCalls.length > 0) {
+          toolCalls = [...toolCalls, ...event.toolCalls];
+        }
+        
+        if (event.metadata) {
+          // Metadata may arrive over several events (e.g. finish reason, then usage)
+          Object.entries(event.metadata).forEach(([key, value]) => {
+            if (value !== null || !streamMetadata || !(key in streamMetadata)) {
+              streamMetadata = { ...streamMetadata, [key]: value };
+            }
+          });
+        }
+        
+        if (event.done) {
+          isComplete = true;
+        }
+      };
       
       try {
-        while (true) {
+        while (!isComplete) {
           const { done, value } = await reader.read();
           if (done) break;
           
-          const chunk = decoder.decode(value);
-          const lines = chunk.split('\n');
-          
-          for (const line of lines) {
-            if (line.trim() === '') continue;
-            
-            try {
-              const data = JSON.parse(line);
-              if (data.response) {
-                fullResponse += data.response;
-                if (onChunk) {
-                  onChunk(data.response, fullResponse);
-                }
-              }
-              
-              if (data.done) {
-                return fullResponse;
-              }
-            } catch (parseError) {
-              console.warn('Error parsing streaming response:', parseError);
+          if (controller.signal.aborted) {
+            if (reader.cancel) {
+              reader.cancel().catch(() => {});
             }
+            const abortError = new Error('The stream was aborted');
+            abortError.name = 'AbortError';
+            throw abortError;
           }
+          
+          for (const data of parser.push(value)) {
+            handleData(data);
+            if (isComplete) break;
+          }
+        }
+        
+        if (!isComplete) {
+          parser.flush().forEach(handleData);
         }
       } finally {
         reader.releaseLock();
       }
       
+      if (toolCalls.length > 0 && options.onToolCalls) {
+        options.onToolCalls(toolCalls);
+      }
+      
+      if (streamMetadata) {
+        this.recordResponseMetadata(streamMetadata, options.onDone);
+      }
+      
       return fullResponse;
       
     } catch (error) {
@@ -306,30 +878,124 @@ class OllamaService {
       // Categorize the error properly
       const { errorType, errorMessage } = this.categorizeConnectionError(error);
       throw new OllamaConnectionError(errorMessage, errorType, error);
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abortFromSignal);
+      }
     }
   }
 
   /**
-   * Build prompt with conversation history
+   * Whether the current model accepts images: true, false, or null when the backend
+   * can't tell (the request is then sent and the model decides)
    */
-  buildPrompt(message, conversationHistory) {
-    let prompt = this.chatConfig.systemPrompt + '\n\n';
+  async supportsImages(baseUrl = this.config.baseUrl) {
+    const modelInfo = await this.getModelInfo(baseUrl);
+    return modelInfo ? this.provider.parseVisionSupport(modelInfo) : null;
+  }
+
+  /**
+   * Whether the current model can call tools. Unknown counts as no, since offering
+   * tools to a model without them fails the request.
+   */
+  async supportsTools(baseUrl = this.config.baseUrl) {
+    if (!this.provider.supportsTools()) {
+      return false;
+    }
     
-    // Add conversation history (limit to maxHistoryLength)
-    const recentHistory = conversationHistory.slice(-this.chatConfig.maxHistoryLength);
-    recentHistory.forEach(msg => {
-      if (msg.isBot) {
-        prompt += `Assistant: ${msg.text}\n`;
-      } else {
-        prompt += `User: ${msg.text}\n`;
+    const modelInfo = await this.getModelInfo(baseUrl);
+    return Boolean(modelInfo && this.provider.parseToolSupport(modelInfo));
+  }
+
+  /**
+   * The provider's description of the current model, fetched once per model (null when
+   * the backend has none or it could not be read)
+   */
+  async getModelInfo(baseUrl = this.config.baseUrl) {
+    const model = this.config.model;
+    if (this.modelInfo.has(model)) {
+      return this.modelInfo.get(model);
+    }
+    
+    const infoRequest = this.provider.getModelInfoRequest();
+    if (!infoRequest) {
+      return null;
+    }
+    
+    try {
+      const response = await this.makeRequest(
+        infoRequest.endpoint,
+        this.getFetchOptions('POST', infoRequest.body),
+        baseUrl
+      );
+      if (!response.ok) {
+        return null;
       }
-    });
+      
+      const modelInfo = await response.json();
+      this.modelInfo.set(model, modelInfo);
+      return modelInfo;
+    } catch (error) {
+      console.warn('Could not look up the model details:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Refuse to send photos to a model that can't see them, with a message the customer understands
+   */
+  async assertImageSupport(images, baseUrl = this.config.baseUrl) {
+    if (!images || images.length === 0) {
+      return;
+    }
+    
+    if (await this.supportsImages(baseUrl) === false) {
+      throw new OllamaConnectionError(this.chatConfig.fallbackMessages.visionNotSupported, 'vision');
+    }
+  }
+
+  /**
+   * Keep the generation stats sent with the final response and hand them to the caller
+   */
+  recordResponseMetadata(metadata, onDone = null) {
+    this.lastResponseMetadata = {
+      ...metadata,
+      model: metadata.model || this.config.model
+    };
     
-    // Add current message
-    prompt += `User: ${message}\n`;
-    prompt += 'Assistant: ';
+    if (onDone) {
+      onDone({ ...this.lastResponseMetadata });
+    }
     
-    return prompt;
+    return this.lastResponseMetadata;
+  }
+
+  /**
+   * Get generation stats from the most recent completed response
+   */
+  getLastResponseMetadata() {
+    return this.lastResponseMetadata ? { ...this.lastResponseMetadata } : null;
+  }
+
+  /**
+   * Get the active LLM provider
+   */
+  getProvider() {
+    return this.provider;
+  }
+
+  /**
+   * Build role-tagged chat messages for the active provider
+   */
+  buildMessages(message, conversationHistory) {
+    return this.provider.buildMessages(message, conversationHistory);
+  }
+
+  /**
+   * Build a flattened prompt with conversation history (legacy /api/generate mode)
+   */
+  buildPrompt(message, conversationHistory) {
+    return this.provider.buildPrompt(message, conversationHistory);
   }
 
   /**
@@ -481,8 +1147,8 @@ class OllamaService {
   /**
    * Determine if this is a remote connection (not localhost)
    */
-  isRemoteConnection() {
-    const url = new URL(this.config.baseUrl);
+  isRemoteConnection(baseUrl = this.config.baseUrl) {
+    const url = new URL(baseUrl);
     const hostname = url.hostname.toLowerCase();
     
     return !(
@@ -576,6 +1242,9 @@ class OllamaService {
     headers['Content-Type'] = 'application/json';
     headers['Accept'] = 'application/json';
     
+    // Provider-specific headers (e.g. API key for OpenAI-compatible servers)
+    Object.assign(headers, this.provider.getRequestHeaders());
+    
     if (this.config.corsMode === 'cors') {
       // For cross-origin requests, add headers that help with CORS
       if (isRemote) {
@@ -604,11 +1273,13 @@ class OllamaService {
   }
 
   /**
-   * Make a request with automatic CORS handling and proxy fallback
+   * Make a request with automatic CORS handling and proxy fallback. Error statuses come
+   * back as the response, for the caller to categorize (categorizeHttpError): a 404 or 401
+   * is a model or auth problem, not an unreachable endpoint.
    */
-  async makeRequest(endpoint, options = {}) {
-    const targetUrl = `${this.config.baseUrl}${endpoint}`;
-    const isRemote = this.isRemoteConnection();
+  async makeRequest(endpoint, options = {}, baseUrl = this.config.baseUrl) {
+    const targetUrl = `${baseUrl}${endpoint}`;
+    const isRemote = this.isRemoteConnection(baseUrl);
     
     // If proxy is explicitly enabled, use proxy service
     if (this.networkConfig.useProxy) {
@@ -633,13 +1304,7 @@ class OllamaService {
       }
       
       console.log(`Making ${requestOptions.mode} request to:`, targetUrl);
-      const response = await fetch(targetUrl, requestOptions);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      return response;
+      return await fetch(targetUrl, requestOptions);
     } catch (error) {
       console.warn('Direct request failed:', error.message);
       
@@ -732,6 +1397,10 @@ class OllamaService {
       } catch (error) {
         console.warn('Health check failed:', error.message);
       }
+      
+      if (this.endpointPool.hasFailover()) {
+        await this.checkStandbyEndpoints();
+      }
     }, this.networkConfig.healthCheckInterval);
     
     // Initial health check
@@ -769,6 +1438,7 @@ class OllamaService {
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+    this.provider.updateConfig(this.config);
     
     // Restart health monitoring if interval changed
     if (newConfig.healthCheckInterval !== undefined) {
@@ -815,50 +1485,21 @@ class OllamaService {
    * Get fallback response when Ollama is completely unreachable
    */
   getFallbackResponse(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    // Basic keyword-based responses for common queries
-    if (lowerMessage.includes('price') || lowerMessage.includes('cost') || lowerMessage.includes('value') || lowerMessage.includes('worth')) {
-      return "I'd be happy to help with pricing information, but I need to connect to our AI service first. " +
-             "For immediate assistance with car valuations, please contact us directly at [phone] or email [email]. " +
-             "We typically provide free quotes within 24 hours.";
-    }
-    
-    if (lowerMessage.includes('damage') || lowerMessage.includes('assess') || lowerMessage.includes('condition')) {
-      return "For car damage assessments, our team can help evaluate your vehicle's condition. " +
-             "While our AI assistant is temporarily unavailable, you can still get a quote by contacting us directly. " +
-             "We assess all types of damage including accident damage, hail damage, and mechanical issues.";
-    }
-    
-    if (lowerMessage.includes('sell') || lowerMessage.includes('buy') || lowerMessage.includes('purchase')) {
-      return "We'd love to help you sell your damaged car! Even though our AI assistant is currently offline, " +
-             "our team is still available to provide quotes and assistance. We buy cars in any condition throughout New Zealand. " +
-             "Contact us at [phone] for immediate assistance.";
-    }
-    
-    if (lowerMessage.includes('hello') || lowerMessage.includes('hi') || lowerMessage.includes('help')) {
-      return "Hello! I'm currently running in limited mode due to a temporary service issue. " +
-             "While I can't provide detailed AI-powered responses right now, I can still help with basic information about our car buying service. " +
-             "For immediate assistance, please contact our team directly.";
-    }
-    
-    // Default fallback response
-    return this.chatConfig.fallbackMessages.fallbackMode + " " +
-           "For immediate assistance with your damaged car, please contact us directly at [phone] or visit our website for more information.";
+    return this.fallbackResponder.getResponse(message);
   }
 
   /**
    * Send message with graceful degradation
    */
-  async sendMessageWithFallback(message, conversationHistory = []) {
+  async sendMessageWithFallback(message, conversationHistory = [], options = {}) {
     try {
-      return await this.sendMessage(message, conversationHistory);
+      return await this.sendMessage(message, conversationHistory, options);
     } catch (error) {
       console.warn('Primary AI service failed, using fallback response:', error.message);
       
       // Check if this is a complete service failure
       if (error instanceof OllamaConnectionError && 
-          ['connection', 'network', 'timeout'].includes(error.type)) {
+          FALLBACK_ERROR_TYPES.includes(error.type)) {
         
         // Return a contextual fallback response
         return this.getFallbackResponse(message);
@@ -870,20 +1511,25 @@ class OllamaService {
   }
 
   /**
-   * Send streaming message with graceful degradation
+   * Send streaming message with graceful degradation.
+   * Returns the same cancellable handle as sendMessageStream.
+   * `options.onFallback(error)` is called when a canned fallback answer is used instead.
    */
-  async sendMessageStreamWithFallback(message, conversationHistory = [], onChunk) {
-    try {
-      return await this.sendMessageStream(message, conversationHistory, onChunk);
-    } catch (error) {
+  sendMessageStreamWithFallback(message, conversationHistory = [], onChunk, options = {}) {
+    const request = this.sendMessageStream(message, conversationHistory, onChunk, options);
+    
+    const promise = request.catch(async (error) => {
       console.warn('Primary AI service failed, using fallback response:', error.message);
       
       // Check if this is a complete service failure
       if (error instanceof OllamaConnectionError && 
-          ['connection', 'network', 'timeout'].includes(error.type)) {
+          FALLBACK_ERROR_TYPES.includes(error.type)) {
         
         // Simulate streaming for fallback response
         const fallbackResponse = this.getFallbackResponse(message);
+        if (options.onFallback) {
+          options.onFallback(error);
+        }
         
         if (onChunk) {
           // Simulate typing effect for fallback
@@ -891,6 +1537,10 @@ class OllamaService {
           let currentResponse = '';
           
           for (let i = 0; i < words.length; i++) {
+            if (request.isCancelled()) {
+              throw new OllamaConnectionError('Request cancelled by user', 'cancelled', error);
+            }
+            
             currentResponse += (i > 0 ? ' ' : '') + words[i];
             onChunk(words[i] + (i < words.length - 1 ? ' ' : ''), currentResponse);
             
@@ -902,9 +1552,15 @@ class OllamaService {
         return fallbackResponse;
       }
       
-      // For other errors, re-throw to let the UI handle them
+      // For other errors (including cancellation), re-throw to let the UI handle them
       throw error;
-    }
+    });
+    
+    return Object.assign(promise, {
+      requestId: request.requestId,
+      cancel: request.cancel,
+      isCancelled: request.isCancelled
+    });
   }
 
   /**
@@ -1218,7 +1874,7 @@ class OllamaService {
           step: 3,
           title: 'Verify Network Access',
           description: 'Ensure Ollama is accessible from the internet',
-          command: `curl -X GET ${this.config.baseUrl}/api/tags`,
+          command: `curl -X GET ${this.config.baseUrl}${this.provider.getHealthEndpoint()}`,
           note: 'This should return a list of available models'
         },
         {
@@ -1272,9 +1928,54 @@ class OllamaService {
  * Enhanced Retry Handler with Smart Error Categorization
  */
 class RetryHandler {
-  constructor(maxRetries = 3, chatConfig = null) {
+  constructor(maxRetries = 3, chatConfig = null, circuitBreaker = null) {
     this.maxRetries = maxRetries;
     this.chatConfig = chatConfig;
+    this.circuitBreaker = circuitBreaker;
+  }
+
+  /**
+   * Whether an error counts against an endpoint's circuit.
+   * Configuration problems (model, auth) and cancellations say nothing about availability.
+   */
+  isCircuitFailure(error) {
+    if (error instanceof OllamaConnectionError) {
+      return ['network', 'timeout', 'connection', 'server', 'cors'].includes(error.type);
+    }
+    return true;
+  }
+
+  /**
+   * Run an operation through the circuit for `key`. While the circuit is open the
+   * operation is not attempted at all; when half-open only a single probe goes through.
+   */
+  async executeWithCircuit(key, operation, signal = null) {
+    if (!this.circuitBreaker) {
+      return operation();
+    }
+    
+    if (!this.circuitBreaker.canRequest(key)) {
+      const nextAttemptAt = this.circuitBreaker.getNextAttemptTime(key);
+      throw new OllamaConnectionError(
+        nextAttemptAt
+          ? `Circuit open for ${key}, next attempt after ${new Date(nextAttemptAt).toLocaleTimeString()}`
+          : `Circuit half-open for ${key}, waiting for probe request`,
+        'circuit_open'
+      );
+    }
+    
+    try {
+      const result = await operation();
+      this.circuitBreaker.recordSuccess(key);
+      return result;
+    } catch (error) {
+      if ((signal && signal.aborted) || !this.isCircuitFailure(error)) {
+        this.circuitBreaker.releaseProbe(key);
+      } else {
+        this.circuitBreaker.recordFailure(key, error);
+      }
+      throw error;
+    }
   }
 
   /**
@@ -1287,7 +1988,7 @@ class RetryHandler {
     
     if (error instanceof OllamaConnectionError) {
       // Never retry these error types
-      const nonRetryableErrors = ['model', 'cors', 'auth'];
+      const nonRetryableErrors = ['model', 'cors', 'auth', 'cancelled', 'circuit_open', 'vision'];
       if (nonRetryableErrors.includes(error.type)) {
         return false;
       }
@@ -1330,7 +2031,29 @@ class RetryHandler {
     return exponentialDelay + jitter;
   }
 
-  async executeWithRetry(operation) {
+  /**
+   * Wait for the retry delay, waking up early if the request is aborted
+   */
+  wait(delay, signal = null) {
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, delay);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  async executeWithRetry(operation, options = {}) {
+    const { signal = null } = options;
     let lastError;
     
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
@@ -1339,6 +2062,11 @@ class RetryHandler {
       } catch (error) {
         lastError = error;
         
+        // An aborted request (cancelled or timed out upstream) is never retried
+        if (signal && signal.aborted) {
+          throw error;
+        }
+        
         // Check if we should retry this error
         if (!this.shouldRetry(error, attempt)) {
           throw error;
@@ -1350,7 +2078,11 @@ class RetryHandler {
         
         console.warn(`Attempt ${attempt}/${this.maxRetries} failed (${errorType}), retrying in ${Math.round(delay)}ms:`, error.message);
         
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await this.wait(delay, signal);
+        
+        if (signal && signal.aborted) {
+          throw error;
+        }
       }
     }
     
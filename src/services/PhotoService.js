@@ -0,0 +1,49 @@
+/**
+ * Photo Service
+ * Shared photo checks for the quote forms and the chatbot, and client-side
+ * downscaling so photos can be sent to multimodal models as base64 images.
+ */
+
+import { PHOTO_RULES } from './QuoteSchema.mjs';
+
+export const MAX_PHOTOS = PHOTO_RULES.maxCount;
+export const MAX_PHOTO_SIZE = PHOTO_RULES.maxSize;
+
+// The photo limits are part of the quote schema, so /api/quote applies the same check
+export { validatePhotos } from './QuoteSchema.mjs';
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Could not read image: ${file.name}`));
+  };
+  image.src = url;
+});
+
+/**
+ * Resize an image so its longest side is at most maxDimension and re-encode it as JPEG.
+ * Resolves to a data URL.
+ */
+export const downscaleImage = async (file, { maxDimension = 1024, quality = 0.85 } = {}) => {
+  const image = await loadImage(file);
+  const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return canvas.toDataURL('image/jpeg', quality);
+};
+
+/**
+ * Base64 payload of a data URL, the format Ollama expects in `images`
+ */
+export const toBase64 = (dataUrl) => dataUrl.slice(dataUrl.indexOf(',') + 1);
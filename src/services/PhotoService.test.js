@@ -0,0 +1,59 @@
+/**
+ * Tests for PhotoService
+ */
+
+import { validatePhotos, downscaleImage, toBase64, MAX_PHOTO_SIZE } from './PhotoService.js';
+
+const photo = (overrides = {}) => ({ name: 'car.jpg', size: 1024, type: 'image/jpeg', ...overrides });
+
+describe('PhotoService', () => {
+  describe('validatePhotos', () => {
+    test('should accept up to five images under 5MB', () => {
+      expect(validatePhotos([photo(), photo()], 3)).toBeNull();
+    });
+
+    test('should reject too many, oversized or non-image files', () => {
+      expect(validatePhotos([photo(), photo()], 4)).toBe('You can only upload a maximum of 5 photos.');
+      expect(validatePhotos([photo({ size: MAX_PHOTO_SIZE + 1 })])).toBe('Each photo must be smaller than 5MB.');
+      expect(validatePhotos([photo({ type: 'application/pdf' })])).toBe('Please only upload image files.');
+    });
+  });
+
+  describe('downscaleImage', () => {
+    const originalImage = global.Image;
+    let drawImage;
+
+    beforeEach(() => {
+      URL.createObjectURL = jest.fn(() => 'blob:car');
+      URL.revokeObjectURL = jest.fn();
+      drawImage = jest.fn();
+      jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage });
+      jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/jpeg;base64,QUJD');
+
+      global.Image = class {
+        constructor() {
+          this.width = 4000;
+          this.height = 3000;
+        }
+
+        set src(value) {
+          this.onload();
+        }
+      };
+    });
+
+    afterEach(() => {
+      global.Image = originalImage;
+      jest.restoreAllMocks();
+    });
+
+    test('should shrink the longest side to the maximum dimension', async () => {
+      const dataUrl = await downscaleImage(photo(), { maxDimension: 1000 });
+
+      expect(dataUrl).toBe('data:image/jpeg;base64,QUJD');
+      expect(drawImage).toHaveBeenCalledWith(expect.anything(), 0, 0, 1000, 750);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:car');
+      expect(toBase64(dataUrl)).toBe('QUJD');
+    });
+  });
+});
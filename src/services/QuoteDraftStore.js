@@ -0,0 +1,85 @@
+/**
+ * Quote Draft Store
+ * Autosaves an unfinished quote request (entered values, the wizard step and the
+ * selected photos) so a customer who leaves the page can pick up where they stopped.
+ * Photos are kept as Blobs, so the default storage is IndexedDB; localStorage and the
+ * JSON-based MemoryStorageAdapter cannot hold them.
+ */
+
+import IndexedDBAdapter from './storage/IndexedDBAdapter.js';
+import MemoryStorageAdapter from './storage/MemoryStorageAdapter.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createDefaultStorage = () => (
+  IndexedDBAdapter.isAvailable()
+    ? new IndexedDBAdapter({ databaseName: 'quoteDrafts', storeName: 'drafts' })
+    : new MemoryStorageAdapter()
+);
+
+const hasContent = (values = {}, photos = []) => (
+  photos.length > 0 || Object.values(values).some(value => String(value ?? '').trim() !== '')
+);
+
+class QuoteDraftStore {
+  constructor(options = {}) {
+    this.storage = options.storage || createDefaultStorage();
+    this.storageKey = options.storageKey || 'quoteDraft';
+    this.maxAgeDays = options.maxAgeDays || 14; // Older drafts are discarded on load
+  }
+
+  /**
+   * The saved draft as { values, step, photos: File[], savedAt }, or null if there is
+   * none, it is empty or it has expired
+   */
+  async load() {
+    const draft = await this.storage.load(this.storageKey);
+    if (!draft || !draft.values) {
+      return null;
+    }
+
+    if (Date.now() - new Date(draft.savedAt).getTime() > this.maxAgeDays * DAY_MS) {
+      await this.clear();
+      return null;
+    }
+
+    // Rebuild Files from the stored Blobs; entries the storage could not keep are dropped
+    const photos = (draft.photos || [])
+      .filter(photo => photo && photo.data instanceof Blob)
+      .map(photo => new File([photo.data], photo.name, { type: photo.type, lastModified: photo.lastModified }));
+
+    if (!hasContent(draft.values, photos)) {
+      return null;
+    }
+
+    return { values: draft.values, step: draft.step || null, photos, savedAt: draft.savedAt };
+  }
+
+  /**
+   * Save the current state of the form; an empty form removes the draft instead
+   */
+  async save({ values, step = null, photos = [] }) {
+    if (!hasContent(values, photos)) {
+      await this.clear();
+      return;
+    }
+
+    await this.storage.save(this.storageKey, {
+      values,
+      step,
+      photos: photos.map(photo => ({
+        name: photo.name,
+        type: photo.type,
+        lastModified: photo.lastModified,
+        data: photo
+      })),
+      savedAt: new Date().toISOString()
+    });
+  }
+
+  async clear() {
+    await this.storage.remove(this.storageKey);
+  }
+}
+
+export default QuoteDraftStore;
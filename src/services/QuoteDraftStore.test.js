@@ -0,0 +1,82 @@
+/**
+ * Tests for QuoteDraftStore
+ */
+
+import QuoteDraftStore from './QuoteDraftStore.js';
+import { MemoryStorageAdapter } from './storage/index.js';
+
+// Keeps values as they are, like IndexedDB's structured clone (Blobs included)
+class BlobStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async load(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async save(key, value) {
+    this.items.set(key, value);
+  }
+
+  async remove(key) {
+    this.items.delete(key);
+  }
+}
+
+const readText = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+describe('QuoteDraftStore', () => {
+  test('should restore values, step and photos as files', async () => {
+    const store = new QuoteDraftStore({ storage: new BlobStorage() });
+    const photo = new File(['front'], 'front.jpg', { type: 'image/jpeg' });
+
+    await store.save({ values: { make: 'Mazda', model: '' }, step: 'photos', photos: [photo] });
+    const draft = await store.load();
+
+    expect(draft.values).toEqual({ make: 'Mazda', model: '' });
+    expect(draft.step).toBe('photos');
+    expect(draft.photos).toHaveLength(1);
+    expect(draft.photos[0]).toBeInstanceOf(File);
+    expect(draft.photos[0].name).toBe('front.jpg');
+    expect(draft.photos[0].type).toBe('image/jpeg');
+    expect(await readText(draft.photos[0])).toBe('front');
+  });
+
+  test('should remove the draft when the form is emptied and ignore expired drafts', async () => {
+    const storage = new BlobStorage();
+    const store = new QuoteDraftStore({ storage, maxAgeDays: 7 });
+
+    await store.save({ values: { make: 'Mazda' }, step: 'vehicle' });
+    await store.save({ values: { make: ' ' }, step: 'vehicle' });
+    expect(await storage.load('quoteDraft')).toBeNull();
+
+    await storage.save('quoteDraft', {
+      values: { make: 'Mazda' },
+      step: 'contact',
+      photos: [],
+      savedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString()
+    });
+    expect(await store.load()).toBeNull();
+    expect(await storage.load('quoteDraft')).toBeNull();
+  });
+
+  test('should keep the values when the storage cannot hold photos', async () => {
+    const store = new QuoteDraftStore({ storage: new MemoryStorageAdapter() });
+
+    await store.save({
+      values: { make: 'Mazda' },
+      step: 'contact',
+      photos: [new File(['front'], 'front.jpg', { type: 'image/jpeg' })]
+    });
+    const draft = await store.load();
+
+    expect(draft.values).toEqual({ make: 'Mazda' });
+    expect(draft.step).toBe('contact');
+    expect(draft.photos).toEqual([]);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Quote Flow
+ * Step-by-step "Get a quote" questions asked inside the chat. Each step offers
+ * quick-reply chips and validates its answer; longer free-text answers are handed
+ * to an interpreter (the LLM) which may fill several fields at once.
+ * Completion produces the same lead payload as the quote form.
+ */
+
+import LeadDraft, { CAR_CONDITIONS, createLeadPayload } from './LeadDraft.js';
+
+export const QUOTE_STEPS = [
+  {
+    field: 'make',
+    question: 'What make is your car?',
+    chips: ['Toyota', 'Mazda', 'Nissan', 'Honda', 'Subaru', 'Ford'],
+    placeholder: 'e.g. Toyota',
+    error: 'Please tell me the make of your car.'
+  },
+  {
+    field: 'model',
+    question: 'What model is it?',
+    chips: [],
+    placeholder: 'e.g. Corolla',
+    error: 'Please tell me the model of your car.'
+  },
+  {
+    field: 'year',
+    question: 'What year was it made?',
+    chips: [],
+    placeholder: 'e.g. 2015',
+    error: 'Please enter the year as four digits, e.g. 2015.'
+  },
+  {
+    field: 'condition',
+    question: 'Which best describes its condition?',
+    chips: CAR_CONDITIONS,
+    placeholder: 'Running, Not Running, Parted Out or Scrap',
+    error: `Please choose one of: ${CAR_CONDITIONS.join(', ')}.`
+  },
+  {
+    field: 'location',
+    question: 'Where is the car located?',
+    chips: ['Auckland', 'Hamilton', 'Tauranga', 'Wellington', 'Christchurch', 'Dunedin'],
+    placeholder: 'Suburb or town',
+    error: 'Please tell me the suburb or town where the car is.'
+  },
+  {
+    field: 'name',
+    question: 'Great, nearly done! What is your name?',
+    chips: [],
+    placeholder: 'Your name',
+    error: 'Please tell me your name.'
+  },
+  {
+    field: 'phone',
+    question: 'What is the best phone number to reach you on?',
+    chips: [],
+    placeholder: 'e.g. 021 123 4567',
+    error: 'That doesn\'t look like a New Zealand phone number. Please enter it like 021 123 4567 or 09 123 4567.'
+  },
+  {
+    field: 'email',
+    question: 'And your email address?',
+    chips: [],
+    placeholder: 'you@example.com',
+    error: 'That doesn\'t look like an email address.'
+  }
+];
+
+// Answers up to this many words are taken as-is when valid; longer ones are interpreted
+const MAX_DIRECT_ANSWER_WORDS = 3;
+
+class QuoteFlow {
+  constructor(options = {}) {
+    this.steps = options.steps || QUOTE_STEPS;
+    this.interpret = options.interpret || null; // ({ step, question, answer, fields }) => extracted fields
+    this.draft = new LeadDraft(options.initialData || {});
+    this.stepIndex = -1;
+    this.active = false;
+  }
+
+  /**
+   * Start the flow, skipping fields that are already known. Returns the first step (null if none left).
+   */
+  start() {
+    this.active = true;
+    this.stepIndex = -1;
+    return this.advance();
+  }
+
+  getCurrentStep() {
+    return this.active && this.stepIndex >= 0 ? this.steps[this.stepIndex] : null;
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  isComplete() {
+    return this.steps.every(step => this.draft.fields[step.field] !== '');
+  }
+
+  cancel() {
+    this.active = false;
+    this.stepIndex = -1;
+  }
+
+  /**
+   * Answer the current step.
+   * Resolves to { accepted, error, step, done, payload }: `step` is the step to ask
+   * next (the same step again when the answer was rejected).
+   */
+  async answer(text, { fromChip = false } = {}) {
+    const step = this.getCurrentStep();
+    if (!step) {
+      throw new Error('Quote flow is not active');
+    }
+
+    const answer = (text || '').trim();
+    const directValue = this.draft.normalize(step.field, answer);
+    const isShortAnswer = answer.split(/\s+/).length <= MAX_DIRECT_ANSWER_WORDS;
+
+    if (directValue && (fromChip || isShortAnswer || !this.interpret)) {
+      this.draft.fields[step.field] = directValue;
+    } else if (!fromChip && this.interpret && answer) {
+      await this.interpretAnswer(step, answer);
+
+      // Fall back to the literal answer if the interpreter found nothing usable
+      if (this.draft.fields[step.field] === '' && directValue) {
+        this.draft.fields[step.field] = directValue;
+      }
+    }
+
+    if (this.draft.fields[step.field] === '') {
+      return { accepted: false, error: step.error, step, done: false, payload: null };
+    }
+
+    const nextStep = this.advance();
+    return {
+      accepted: true,
+      error: null,
+      step: nextStep,
+      done: nextStep === null,
+      payload: nextStep === null ? this.getPayload() : null
+    };
+  }
+
+  /**
+   * Let the interpreter read a free-text answer; any valid field it returns is kept,
+   * so "a 2015 Mazda 3 that won't start" answers several steps at once
+   */
+  async interpretAnswer(step, answer) {
+    try {
+      const facts = await this.interpret({
+        step,
+        question: step.question,
+        answer,
+        fields: this.draft.getFormData()
+      });
+      const known = this.draft.getFormData();
+      const unanswered = {};
+
+      // Earlier answers are kept, the interpreter only fills unanswered fields
+      Object.keys(facts || {}).forEach(field => {
+        if (known[field] === '') {
+          unanswered[field] = facts[field];
+        }
+      });
+
+      this.draft.merge(unanswered);
+    } catch (error) {
+      console.warn('Failed to interpret quote answer:', error);
+    }
+  }
+
+  /**
+   * Move to the next step without an answer; null when every field is known
+   */
+  advance() {
+    for (let i = this.stepIndex + 1; i < this.steps.length; i++) {
+      if (this.draft.fields[this.steps[i].field] === '') {
+        this.stepIndex = i;
+        return this.steps[i];
+      }
+    }
+
+    this.active = false;
+    this.stepIndex = -1;
+    return null;
+  }
+
+  getAnswers() {
+    return this.draft.getFormData();
+  }
+
+  /**
+   * Lead payload in the same shape the quote form submits
+   */
+  getPayload() {
+    return createLeadPayload(this.draft.getFormData());
+  }
+}
+
+export default QuoteFlow;
@@ -0,0 +1,116 @@
+/**
+ * Tests for QuoteFlow
+ */
+
+import QuoteFlow, { QUOTE_STEPS } from './QuoteFlow.js';
+import { EMPTY_LEAD } from './LeadDraft.js';
+
+const answerAll = async (flow, answers) => {
+  let result = null;
+  for (const answer of answers) {
+    result = await flow.answer(answer);
+  }
+  return result;
+};
+
+describe('QuoteFlow', () => {
+  test('should ask every quote form field and produce the form payload', async () => {
+    const flow = new QuoteFlow();
+
+    expect(flow.start().field).toBe('make');
+    expect(QUOTE_STEPS.map(step => step.field).sort()).toEqual(Object.keys(EMPTY_LEAD).sort());
+
+    const result = await answerAll(flow, [
+      'Toyota', 'Corolla', '2012', 'Not Running', 'Hamilton', 'Aroha', '021 123 4567', 'aroha@example.co.nz'
+    ]);
+
+    expect(result.done).toBe(true);
+    expect(result.payload).toEqual({
+      name: 'Aroha',
+      phone: '021 123 4567',
+      email: 'aroha@example.co.nz',
+      make: 'Toyota',
+      model: 'Corolla',
+      year: '2012',
+      condition: 'Not Running',
+      location: 'Hamilton'
+    });
+    expect(flow.isActive()).toBe(false);
+  });
+
+  test('should reject invalid answers and ask the same step again', async () => {
+    const flow = new QuoteFlow({ initialData: { make: 'Mazda', model: '3' } });
+
+    expect(flow.start().field).toBe('year');
+
+    const result = await flow.answer('15');
+
+    expect(result).toEqual(expect.objectContaining({
+      accepted: false,
+      error: 'Please enter the year as four digits, e.g. 2015.'
+    }));
+    expect(result.step.field).toBe('year');
+    expect((await flow.answer('2015')).step.field).toBe('condition');
+  });
+
+  test('should take chip answers as-is', async () => {
+    const interpret = jest.fn();
+    const flow = new QuoteFlow({ interpret, initialData: { make: 'Mazda', model: '3', year: '2015' } });
+    flow.start();
+
+    const result = await flow.answer('Parted Out', { fromChip: true });
+
+    expect(result.step.field).toBe('location');
+    expect(interpret).not.toHaveBeenCalled();
+  });
+
+  test('should let the interpreter fill several fields from a free-text answer', async () => {
+    const interpret = jest.fn().mockResolvedValue({ make: 'Mazda', model: '3', year: 2015, condition: 'Not Running' });
+    const flow = new QuoteFlow({ interpret });
+    flow.start();
+
+    const result = await flow.answer("It's a 2015 Mazda 3 that won't start");
+
+    expect(interpret).toHaveBeenCalledWith(expect.objectContaining({
+      question: 'What make is your car?',
+      answer: "It's a 2015 Mazda 3 that won't start"
+    }));
+    expect(result.step.field).toBe('location');
+    expect(flow.getAnswers()).toEqual(expect.objectContaining({ year: '2015', condition: 'Not Running' }));
+  });
+
+  test('should not let the interpreter overwrite earlier answers', async () => {
+    const interpret = jest.fn().mockResolvedValue({ make: 'Honda', condition: 'Running' });
+    const flow = new QuoteFlow({ interpret, initialData: { make: 'Mazda', model: '3', year: '2015' } });
+    flow.start();
+
+    await flow.answer('it still drives but the bonnet is dented');
+
+    expect(flow.getAnswers()).toEqual(expect.objectContaining({ make: 'Mazda', condition: 'Running' }));
+  });
+
+  test('should fall back to the literal answer when interpretation fails', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const flow = new QuoteFlow({
+      interpret: jest.fn().mockRejectedValue(new Error('Service offline')),
+      initialData: { make: 'Mazda', model: '3', year: '2015', condition: 'Running' }
+    });
+    flow.start();
+
+    const result = await flow.answer('Mount Maunganui, Tauranga area');
+
+    expect(result.accepted).toBe(true);
+    expect(flow.getAnswers().location).toBe('Mount Maunganui, Tauranga area');
+    warnSpy.mockRestore();
+  });
+
+  test('should stop asking when cancelled', () => {
+    const flow = new QuoteFlow();
+    flow.start();
+
+    flow.cancel();
+
+    expect(flow.getCurrentStep()).toBeNull();
+    return expect(flow.answer('Toyota')).rejects.toThrow('Quote flow is not active');
+  });
+});
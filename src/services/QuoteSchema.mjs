@@ -0,0 +1,458 @@
+/**
+ * Quote Schema
+ * The quote request fields, their rules and error messages, shared by the quote forms
+ * (QuoteForm) and the /api/quote endpoint so both validate a request identically.
+ *
+ * This module is plain ESM with no imports so Node can load it from api/ as well as
+ * webpack and Jest; keep it that way.
+ */
+
+export const CAR_CONDITIONS = ['Running', 'Not Running', 'Parted Out', 'Scrap'];
+
+// Areas on the car diagram, seen from above with the front at the top
+export const DAMAGE_AREAS = ['Front', 'Bonnet', 'Roof', 'Boot', 'Rear', 'Left side', 'Right side'];
+
+const YES_NO_UNSURE = ['No', 'Yes', 'Not sure'];
+
+/**
+ * Form fields in display order. `validator` names an entry in VALIDATORS; `messages`
+ * are shown next to the field when it is missing (`required`) or fails its validator
+ * (`invalid`, where {min} and {max} are the year range). The damage questions also have
+ * a `shortLabel` for lead summaries (describeDamage) and, when a placeholder can't carry
+ * the question, a visible `label`.
+ */
+export const QUOTE_FIELDS = [
+  {
+    name: 'name',
+    type: 'text',
+    placeholder: 'Your Name',
+    autoComplete: 'name',
+    required: true,
+    maxLength: 100,
+    messages: { required: 'Please enter your name.' }
+  },
+  {
+    name: 'phone',
+    type: 'tel',
+    placeholder: 'Phone Number',
+    autoComplete: 'tel',
+    required: true,
+    maxLength: 30,
+    validator: 'nzPhone',
+    messages: {
+      required: 'Please enter your phone number.',
+      invalid: 'Please enter a New Zealand phone number, e.g. 021 123 4567 or 09 123 4567.'
+    }
+  },
+  {
+    name: 'email',
+    type: 'email',
+    placeholder: 'Email Address',
+    autoComplete: 'email',
+    required: true,
+    maxLength: 200,
+    validator: 'email',
+    messages: {
+      required: 'Please enter your email address.',
+      invalid: 'Please enter a valid email address, e.g. you@example.com.'
+    }
+  },
+  {
+    name: 'make',
+    type: 'text',
+    placeholder: 'Car Make',
+    required: true,
+    maxLength: 50,
+    messages: { required: 'Please enter the make of your car.' }
+  },
+  {
+    name: 'model',
+    type: 'text',
+    placeholder: 'Car Model',
+    required: true,
+    maxLength: 50,
+    messages: { required: 'Please enter the model of your car.' }
+  },
+  {
+    name: 'year',
+    type: 'number',
+    placeholder: 'Year',
+    required: true,
+    validator: 'year',
+    // Accepted years, relative to the current year
+    yearsBack: 80,
+    yearsAhead: 1,
+    messages: {
+      required: 'Please enter the year your car was made.',
+      invalid: 'Please enter a year between {min} and {max}.'
+    }
+  },
+  {
+    name: 'condition',
+    type: 'select',
+    placeholder: 'Select Condition',
+    required: true,
+    options: CAR_CONDITIONS,
+    validator: 'option',
+    messages: {
+      required: 'Please choose the condition of your car.',
+      invalid: `Please choose one of: ${CAR_CONDITIONS.join(', ')}.`
+    }
+  },
+  {
+    name: 'plate',
+    type: 'text',
+    placeholder: 'Plate Number (optional)',
+    required: false,
+    maxLength: 10,
+    validator: 'nzPlate',
+    messages: { invalid: 'NZ plates are up to 6 letters and numbers, e.g. ABC123.' }
+  },
+  {
+    name: 'vin',
+    type: 'text',
+    placeholder: 'VIN (optional)',
+    required: false,
+    maxLength: 25,
+    validator: 'vin',
+    messages: { invalid: 'A VIN is 17 letters and numbers (no I, O or Q). Please check it against your rego papers.' }
+  },
+  {
+    name: 'location',
+    type: 'text',
+    placeholder: 'Location (suburb or town)',
+    autoComplete: 'address-level2',
+    required: false,
+    maxLength: 100
+  },
+  {
+    name: 'odometer',
+    type: 'text',
+    inputMode: 'numeric',
+    shortLabel: 'Odometer',
+    placeholder: 'Odometer (km, optional)',
+    required: false,
+    maxLength: 12,
+    validator: 'odometer',
+    max: 2000000,
+    messages: { invalid: 'Please enter the odometer reading in kilometres, e.g. 185000.' }
+  },
+  {
+    name: 'drivable',
+    type: 'select',
+    label: 'Can it be driven or towed?',
+    shortLabel: 'Drivable / towable',
+    placeholder: 'Select one',
+    required: false,
+    // Towable: the wheels roll and it steers, so it can go on a tow rope or dolly
+    options: ['Drivable', 'Towable', 'Not towable'],
+    validator: 'option',
+    messages: { invalid: 'Please choose Drivable, Towable or Not towable.' }
+  },
+  {
+    name: 'damageAreas',
+    type: 'areas',
+    label: 'Where is the damage? Tap each damaged area.',
+    shortLabel: 'Damaged',
+    required: false,
+    options: DAMAGE_AREAS,
+    validator: 'optionList',
+    messages: { invalid: `Please choose from: ${DAMAGE_AREAS.join(', ')}.` }
+  },
+  {
+    name: 'airbagsDeployed',
+    type: 'select',
+    label: 'Have any airbags gone off?',
+    shortLabel: 'Airbags deployed',
+    placeholder: 'Select one',
+    required: false,
+    options: YES_NO_UNSURE,
+    validator: 'option',
+    messages: { invalid: 'Please choose No, Yes or Not sure.' }
+  },
+  {
+    name: 'keys',
+    type: 'select',
+    label: 'Do you have the keys?',
+    shortLabel: 'Keys',
+    placeholder: 'Select one',
+    required: false,
+    options: ['Yes', 'No'],
+    validator: 'option',
+    messages: { invalid: 'Please choose Yes or No.' }
+  },
+  {
+    name: 'floodDamage',
+    type: 'select',
+    label: 'Flood or water damage?',
+    shortLabel: 'Flood damage',
+    placeholder: 'Select one',
+    required: false,
+    options: YES_NO_UNSURE,
+    validator: 'option',
+    messages: { invalid: 'Please choose No, Yes or Not sure.' }
+  },
+  {
+    name: 'fireDamage',
+    type: 'select',
+    label: 'Fire damage?',
+    shortLabel: 'Fire damage',
+    placeholder: 'Select one',
+    required: false,
+    options: YES_NO_UNSURE,
+    validator: 'option',
+    messages: { invalid: 'Please choose No, Yes or Not sure.' }
+  },
+  {
+    name: 'wof',
+    type: 'select',
+    label: 'Warrant of Fitness (WOF)',
+    shortLabel: 'WOF',
+    placeholder: 'Select one',
+    required: false,
+    options: ['Current', 'Expired', 'Not sure'],
+    validator: 'option',
+    messages: { invalid: 'Please choose Current, Expired or Not sure.' }
+  },
+  {
+    name: 'rego',
+    type: 'select',
+    label: 'Registration (rego)',
+    shortLabel: 'Rego',
+    placeholder: 'Select one',
+    required: false,
+    options: ['Current', 'Expired', 'On hold', 'Cancelled', 'Not sure'],
+    validator: 'option',
+    messages: { invalid: 'Please choose Current, Expired, On hold, Cancelled or Not sure.' }
+  }
+];
+
+// The damage assessment questions, all optional
+export const DAMAGE_FIELDS = ['odometer', 'drivable', 'damageAreas', 'airbagsDeployed', 'keys', 'floodDamage', 'fireDamage', 'wof', 'rego'];
+
+export const REQUIRED_QUOTE_FIELDS = QUOTE_FIELDS.filter(field => field.required).map(field => field.name);
+
+const FIELDS_BY_NAME = Object.fromEntries(QUOTE_FIELDS.map(field => [field.name, field]));
+
+export const getQuoteField = (name) => FIELDS_BY_NAME[name] || null;
+
+export const PHOTO_RULES = {
+  maxCount: 5,
+  maxSize: 5 * 1024 * 1024, // 5MB
+  // Accepted types and the extension photos are stored with
+  types: {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'image/heic': '.heic',
+    'image/heif': '.heif'
+  },
+  messages: {
+    tooMany: 'You can only upload a maximum of 5 photos.',
+    tooLarge: 'Each photo must be smaller than 5MB.',
+    empty: 'One of the photos is empty. Please choose it again.',
+    wrongType: 'Please only upload image files.'
+  }
+};
+
+/**
+ * An NZ mobile, landline or freephone number formatted like 021 123 4567, 09 123 4567 or
+ * 0800 123 456 (+64 and 0064 prefixes become 0), or null when it is not one
+ */
+export const normalizeNzPhone = (value) => {
+  let digits = String(value).replace(/[\s().-]/g, '');
+  if (!/^\+?\d+$/.test(digits)) {
+    return null;
+  }
+
+  const international = digits.match(/^(?:\+|00)64(\d+)$/);
+  if (international) {
+    digits = `0${international[1].replace(/^0/, '')}`; // "+64 (0)21 ..." is also written
+  } else if (/^(?:\+|00)/.test(digits)) {
+    return null;
+  }
+
+  let match = digits.match(/^(02\d)(\d{6,8})$/); // Mobile: 021, 022, 027, ...
+  if (match) {
+    const split = match[2].length === 8 ? 4 : 3;
+    return `${match[1]} ${match[2].slice(0, split)} ${match[2].slice(split)}`;
+  }
+  match = digits.match(/^(0[34679])([1-9]\d{2})(\d{4})$/); // Landline: 03, 04, 06, 07, 09
+  if (match) {
+    return `${match[1]} ${match[2]} ${match[3]}`;
+  }
+  match = digits.match(/^(0800|0508)(\d{3})(\d{3})$/);
+  if (match) {
+    return `${match[1]} ${match[2]} ${match[3]}`;
+  }
+  return null;
+};
+
+/**
+ * An NZ registration plate in upper case without spaces (ABC123), or null
+ */
+export const normalizePlate = (value) => {
+  const plate = String(value).replace(/[\s-]/g, '').toUpperCase();
+  return /^[A-Z0-9]{1,6}$/.test(plate) ? plate : null;
+};
+
+const VIN_VALUES = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/**
+ * A 17-character VIN in upper case whose check digit (the 9th character) is correct, or null
+ */
+export const normalizeVin = (value) => {
+  const vin = String(value).replace(/[\s-]/g, '').toUpperCase();
+  if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) {
+    return null;
+  }
+
+  const sum = [...vin].reduce((total, char, i) => (
+    total + (/\d/.test(char) ? Number(char) : VIN_VALUES[char]) * VIN_WEIGHTS[i]
+  ), 0);
+  const checkDigit = sum % 11 === 10 ? 'X' : String(sum % 11);
+  return vin[8] === checkDigit ? vin : null;
+};
+
+/**
+ * Oldest and newest model years accepted, from the year field's yearsBack / yearsAhead
+ */
+export const getYearRange = (now = new Date()) => {
+  const { yearsBack, yearsAhead } = FIELDS_BY_NAME.year;
+  return { min: now.getFullYear() - yearsBack, max: now.getFullYear() + yearsAhead };
+};
+
+/**
+ * Each takes a trimmed, non-empty value and returns it normalized for storage, or null when it is invalid
+ */
+export const VALIDATORS = {
+  nzPhone: normalizeNzPhone,
+  nzPlate: normalizePlate,
+  vin: normalizeVin,
+  email: value => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null),
+  year: value => {
+    const { min, max } = getYearRange();
+    const year = parseInt(value, 10);
+    return /^\d{4}$/.test(value) && year >= min && year <= max ? value : null;
+  },
+  option: (value, field) => field.options.find(option => option.toLowerCase() === value.toLowerCase()) || null,
+  // Comma-separated options, e.g. damaged areas, returned in the field's order
+  optionList: (value, field) => {
+    const chosen = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    const known = field.options.filter(option => chosen.includes(option.toLowerCase()));
+    return known.length === new Set(chosen).size ? known.join(', ') : null;
+  },
+  // Whole kilometres; spaces, commas and a trailing "km" are accepted
+  odometer: (value, field) => {
+    const digits = value.replace(/[\s,]/g, '').replace(/km$/i, '');
+    return /^\d+$/.test(digits) && Number(digits) <= field.max ? String(Number(digits)) : null;
+  }
+};
+
+const fillMessage = (message, field) => {
+  const variables = field.validator === 'year' ? getYearRange() : {};
+  return message.replace(/\{(\w+)\}/g, (placeholder, key) => (key in variables ? String(variables[key]) : placeholder));
+};
+
+/**
+ * One field's normalized value and error message ({ value, error }); an invalid value is
+ * returned trimmed with its error, and fields outside the schema are only trimmed
+ */
+export const checkQuoteField = (name, value) => {
+  const field = FIELDS_BY_NAME[name];
+  const text = value === undefined || value === null ? '' : String(value).trim();
+
+  if (!field || !text) {
+    return { value: text, error: field && field.required ? field.messages.required : null };
+  }
+  if (field.maxLength && text.length > field.maxLength) {
+    return { value: text, error: `Please keep this under ${field.maxLength} characters.` };
+  }
+  if (field.validator) {
+    const normalized = VALIDATORS[field.validator](text, field);
+    return normalized === null
+      ? { value: text, error: fillMessage(field.messages.invalid, field) }
+      : { value: normalized, error: null };
+  }
+  return { value: text, error: null };
+};
+
+/**
+ * Error message for one field's value, or null when it is valid
+ */
+export const validateQuoteField = (name, value) => checkQuoteField(name, value).error;
+
+/**
+ * Normalized values for the given fields (all by default) and { field: message } for the invalid ones
+ */
+export const validateQuoteFields = (values = {}, fieldNames = QUOTE_FIELDS.map(field => field.name)) => {
+  const result = {};
+  const errors = {};
+
+  fieldNames.forEach(name => {
+    const { value, error } = checkQuoteField(name, values[name]);
+    result[name] = value;
+    if (error) {
+      errors[name] = error;
+    }
+  });
+
+  return { values: result, errors };
+};
+
+/**
+ * A stored lead with every valid schema field in its normalized form; other properties are kept
+ */
+export const normalizeLead = (lead) => {
+  const normalized = { ...lead };
+  QUOTE_FIELDS.forEach(({ name }) => {
+    if (lead[name]) {
+      const { value, error } = checkQuoteField(name, lead[name]);
+      if (!error) {
+        normalized[name] = value;
+      }
+    }
+  });
+  return normalized;
+};
+
+/**
+ * The answered damage questions of a lead as [{ label, value }] for summaries (e.g. the
+ * Dashboard), with odometer readings formatted like 185,000 km
+ */
+export const describeDamage = (lead) => DAMAGE_FIELDS
+  .filter(name => lead[name])
+  .map(name => {
+    const value = name === 'odometer' && /^\d+$/.test(lead[name])
+      ? `${Number(lead[name]).toLocaleString('en-NZ')} km`
+      : lead[name];
+    return { label: FIELDS_BY_NAME[name].shortLabel, value };
+  });
+
+/**
+ * Check newly selected photos ({ type, size } files) against PHOTO_RULES.
+ * Returns an error message for the customer, or null when the photos are acceptable.
+ */
+export const validatePhotos = (files, existingCount = 0) => {
+  const { maxCount, maxSize, types, messages } = PHOTO_RULES;
+
+  if (files.length + existingCount > maxCount) {
+    return messages.tooMany;
+  }
+  if (files.some(file => file.size > maxSize)) {
+    return messages.tooLarge;
+  }
+  if (files.some(file => file.size === 0)) {
+    return messages.empty;
+  }
+  if (files.some(file => !types[file.type])) {
+    return messages.wrongType;
+  }
+  return null;
+};
@@ -0,0 +1,101 @@
+/**
+ * Tests for QuoteSchema's NZ validators, normalizers and damage questions
+ */
+
+import {
+  normalizeNzPhone,
+  normalizePlate,
+  normalizeVin,
+  getYearRange,
+  validateQuoteFields,
+  normalizeLead,
+  describeDamage
+} from './QuoteSchema.mjs';
+
+describe('QuoteSchema', () => {
+  test('should format NZ mobile, landline and freephone numbers', () => {
+    expect(normalizeNzPhone('0211234567')).toBe('021 123 4567');
+    expect(normalizeNzPhone('+64 27 123 4567')).toBe('027 123 4567');
+    expect(normalizeNzPhone('+64 (0)22 1234 5678')).toBe('022 1234 5678');
+    expect(normalizeNzPhone('021 123 456')).toBe('021 123 456');
+    expect(normalizeNzPhone('(09) 379-1234')).toBe('09 379 1234');
+    expect(normalizeNzPhone('0800123456')).toBe('0800 123 456');
+  });
+
+  test('should reject numbers that are not NZ numbers', () => {
+    expect(normalizeNzPhone('555 1234')).toBeNull();
+    expect(normalizeNzPhone('+61 2 9999 9999')).toBeNull();
+    expect(normalizeNzPhone('021 12')).toBeNull();
+    expect(normalizeNzPhone('call me')).toBeNull();
+  });
+
+  test('should normalize plates and check VIN check digits', () => {
+    expect(normalizePlate('abc 123')).toBe('ABC123');
+    expect(normalizePlate('HELLO')).toBe('HELLO');
+    expect(normalizePlate('ABCD1234')).toBeNull();
+
+    expect(normalizeVin('1m8gdm9axkp042788')).toBe('1M8GDM9AXKP042788');
+    expect(normalizeVin('1M8GDM9A1KP042788')).toBeNull(); // Wrong check digit
+    expect(normalizeVin('1M8GDM9AXKP04278')).toBeNull(); // 16 characters
+    expect(normalizeVin('IM8GDM9AXKP042788')).toBeNull(); // I is never used
+  });
+
+  test('should accept years relative to the current year', () => {
+    expect(getYearRange(new Date(2025, 0, 1))).toEqual({ min: 1945, max: 2026 });
+
+    const { max } = getYearRange();
+    expect(validateQuoteFields({ year: String(max) }, ['year']).errors).toEqual({});
+    expect(validateQuoteFields({ year: String(max + 1) }, ['year']).errors.year)
+      .toMatch(/^Please enter a year between \d{4} and \d{4}\.$/);
+  });
+
+  test('should return normalized values for storage', () => {
+    const { values, errors } = validateQuoteFields({
+      name: ' Aroha ',
+      phone: '+64 21 123 4567',
+      email: 'aroha@example.co.nz',
+      make: 'Toyota',
+      model: 'Aqua',
+      year: '2014',
+      condition: 'not running',
+      plate: 'xyz-789'
+    });
+
+    expect(errors).toEqual({});
+    expect(values).toEqual(expect.objectContaining({
+      name: 'Aroha', phone: '021 123 4567', condition: 'Not Running', plate: 'XYZ789', vin: ''
+    }));
+  });
+
+  test('should normalize stored leads for display and keep values it cannot read', () => {
+    expect(normalizeLead({ id: 7, phone: '+64 22 234 5678', plate: 'hjk 42', vin: 'unknown' }))
+      .toEqual({ id: 7, phone: '022 234 5678', plate: 'HJK42', vin: 'unknown' });
+  });
+
+  test('should normalize damage answers and reject unknown ones', () => {
+    const { values, errors } = validateQuoteFields({
+      damageAreas: 'left SIDE, front,Front',
+      odometer: '185,000 km',
+      airbagsDeployed: 'yes',
+      rego: 'on hold'
+    }, ['damageAreas', 'odometer', 'airbagsDeployed', 'rego']);
+
+    expect(errors).toEqual({});
+    expect(values).toEqual({ damageAreas: 'Front, Left side', odometer: '185000', airbagsDeployed: 'Yes', rego: 'On hold' });
+
+    expect(validateQuoteFields({ damageAreas: 'Front, Sunroof', odometer: '3000000', keys: 'Maybe' }, ['damageAreas', 'odometer', 'keys']).errors)
+      .toEqual({
+        damageAreas: 'Please choose from: Front, Bonnet, Roof, Boot, Rear, Left side, Right side.',
+        odometer: 'Please enter the odometer reading in kilometres, e.g. 185000.',
+        keys: 'Please choose Yes or No.'
+      });
+  });
+
+  test('should summarize the answered damage questions of a lead', () => {
+    expect(describeDamage({ name: 'Sam', odometer: '185000', damageAreas: 'Front', keys: 'No', wof: '' })).toEqual([
+      { label: 'Odometer', value: '185,000 km' },
+      { label: 'Damaged', value: 'Front' },
+      { label: 'Keys', value: 'No' }
+    ]);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Quote Service
+ * Submits quote requests to /api/quote. The quote forms and the in-chat quote flow
+ * all go through submitQuote, so the team receives the same lead payload from each.
+ * fetchLeads reads the stored requests back from /api/leads for the Dashboard.
+ */
+
+import { createLeadPayload } from './LeadDraft.js';
+import { downscaleImage } from './PhotoService.js';
+
+const QUOTE_API_URL = process.env.REACT_APP_QUOTE_API_URL || '/api/quote';
+const QUOTE_LEADS_URL = process.env.REACT_APP_QUOTE_LEADS_URL || '/api/leads';
+
+// Vercel rejects request bodies over 4.5MB, so larger photos are re-encoded before upload
+const UPLOAD_SHRINK_THRESHOLD = 750 * 1024;
+const UPLOAD_MAX_DIMENSION = 1600;
+
+export class QuoteSubmissionError extends Error {
+  constructor(message, errors = {}, status = null) {
+    super(message);
+    this.name = 'QuoteSubmissionError';
+    this.errors = errors; // Field messages from the server, e.g. { phone: 'Enter a valid phone number' }
+    this.status = status;
+  }
+}
+
+export class LeadListError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'LeadListError';
+    this.status = status;
+  }
+}
+
+const dataUrlToFile = (dataUrl, name) => {
+  const bytes = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const buffer = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    buffer[i] = bytes.charCodeAt(i);
+  }
+  return new File([buffer], name.replace(/\.[^.]*$/, '') + '.jpg', { type: 'image/jpeg' });
+};
+
+/**
+ * A photo small enough to upload; the original is kept when it is already small or cannot be decoded
+ */
+const prepareUploadPhoto = async (photo) => {
+  if (photo.size <= UPLOAD_SHRINK_THRESHOLD) {
+    return photo;
+  }
+  try {
+    return dataUrlToFile(await downscaleImage(photo, { maxDimension: UPLOAD_MAX_DIMENSION }), photo.name || 'photo');
+  } catch (error) {
+    return photo;
+  }
+};
+
+/**
+ * Submit a quote request with optional photos.
+ * Resolves to { lead, photos, reference }; rejects with a QuoteSubmissionError.
+ */
+export const submitQuote = async (fields, photos = []) => {
+  const lead = createLeadPayload(fields);
+
+  const body = new FormData();
+  Object.entries(lead).forEach(([field, value]) => body.append(field, value));
+  for (const photo of photos) {
+    const upload = await prepareUploadPhoto(photo);
+    body.append('photos', upload, upload.name);
+  }
+
+  let response;
+  try {
+    response = await fetch(QUOTE_API_URL, { method: 'POST', body });
+  } catch (error) {
+    throw new QuoteSubmissionError('We could not reach our server. Please check your connection and try again.');
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new QuoteSubmissionError(
+      result.error || 'Something went wrong sending your quote request. Please try again.',
+      result.errors || {},
+      response.status
+    );
+  }
+
+  return { lead, photos, reference: result.reference };
+};
+
+/**
+ * The stored quote requests, newest first, as Dashboard rows: the lead fields plus
+ * { id, reference, receivedAt, photoCount, source }. `token` is the admin token
+ * (QUOTE_ADMIN_TOKEN on the server). Rejects with a LeadListError.
+ */
+export const fetchLeads = async (token, { limit } = {}) => {
+  const url = limit ? `${QUOTE_LEADS_URL}?limit=${limit}` : QUOTE_LEADS_URL;
+
+  let response;
+  try {
+    response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  } catch (error) {
+    throw new LeadListError('The lead list could not be reached.');
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new LeadListError(result.error || `The lead list failed (HTTP ${response.status}).`, response.status);
+  }
+
+  return (result.leads || []).map(({ reference, receivedAt, lead, photos = [] }) => ({
+    source: 'Website',
+    ...lead,
+    id: reference,
+    reference,
+    receivedAt,
+    photoCount: photos.length
+  }));
+};
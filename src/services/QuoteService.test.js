@@ -0,0 +1,115 @@
+/**
+ * Tests for QuoteService
+ */
+
+import { submitQuote, fetchLeads, QuoteSubmissionError, LeadListError } from './QuoteService.js';
+
+// Canvas re-encoding needs a real browser; stand in a tiny JPEG
+jest.mock('./PhotoService.js', () => ({
+  downscaleImage: () => Promise.resolve('data:image/jpeg;base64,/9j/AA==')
+}));
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+const fields = { name: ' Sam ', phone: '021 123 4567', make: 'Mazda', model: 'Demio', year: 2009, condition: 'Running' };
+
+describe('QuoteService', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should post the lead and photos as multipart form data and return the reference', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ reference: 'Q-250301-ABC234', receivedAt: '2025-03-01T00:00:00.000Z' }, 201));
+    const photo = new File(['small'], 'front.png', { type: 'image/png' });
+
+    const result = await submitQuote(fields, [photo]);
+
+    expect(result.reference).toBe('Q-250301-ABC234');
+    expect(result.lead).toEqual(expect.objectContaining({ name: 'Sam', year: '2009', email: '' }));
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('/api/quote');
+    expect(init.method).toBe('POST');
+    expect(init.body.get('name')).toBe('Sam');
+    expect(init.body.get('location')).toBe('');
+    expect(init.body.getAll('photos')).toEqual([photo]);
+  });
+
+  test('should shrink large photos before uploading', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ reference: 'Q-250301-ABC234' }, 201));
+    const large = new File([new Uint8Array(800 * 1024)], 'side.heic.png', { type: 'image/png' });
+
+    await submitQuote(fields, [large]);
+
+    const [uploaded] = global.fetch.mock.calls[0][1].body.getAll('photos');
+    expect(uploaded.name).toBe('side.heic.jpg');
+    expect(uploaded.type).toBe('image/jpeg');
+    expect(uploaded.size).toBeLessThan(100);
+  });
+
+  test('should reject with the server\'s field errors', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({
+      error: 'Please check the highlighted fields',
+      errors: { phone: 'Enter a valid phone number' }
+    }, 400));
+
+    const error = await submitQuote({ ...fields, phone: '12' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(QuoteSubmissionError);
+    expect(error.status).toBe(400);
+    expect(error.errors).toEqual({ phone: 'Enter a valid phone number' });
+  });
+
+  test('should reject with a friendly message when the server cannot be reached', async () => {
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(submitQuote(fields)).rejects.toThrow('We could not reach our server');
+  });
+
+  test('should load the stored leads as Dashboard rows with the admin token', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({
+      leads: [{
+        reference: 'Q-250301-ABC234',
+        receivedAt: '2025-03-01T00:00:00.000Z',
+        lead: { name: 'Sam', make: 'Mazda', damageAreas: 'Front' },
+        photos: [{ index: 0, filename: 'front.png' }]
+      }]
+    }));
+
+    const leads = await fetchLeads('secret', { limit: 20 });
+
+    expect(leads).toEqual([{
+      id: 'Q-250301-ABC234',
+      reference: 'Q-250301-ABC234',
+      receivedAt: '2025-03-01T00:00:00.000Z',
+      name: 'Sam',
+      make: 'Mazda',
+      damageAreas: 'Front',
+      photoCount: 1,
+      source: 'Website'
+    }]);
+    expect(global.fetch).toHaveBeenCalledWith('/api/leads?limit=20', { headers: { Authorization: 'Bearer secret' } });
+  });
+
+  test('should reject loading leads with the server\'s message and status', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ error: 'Not authorized' }, 401));
+    global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    const refused = await fetchLeads('wrong').catch(e => e);
+    const unreachable = await fetchLeads('secret').catch(e => e);
+
+    expect(refused).toBeInstanceOf(LeadListError);
+    expect(refused).toMatchObject({ message: 'Not authorized', status: 401 });
+    expect(unreachable).toMatchObject({ message: 'The lead list could not be reached.', status: null });
+  });
+});
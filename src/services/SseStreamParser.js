@@ -0,0 +1,35 @@
+/**
+ * Server-Sent Events Stream Parser
+ * Parses `data:` lines of an SSE stream (as used by OpenAI-compatible servers)
+ * with the same chunk-boundary handling as NdjsonStreamParser
+ */
+
+import NdjsonStreamParser from './NdjsonStreamParser.js';
+
+class SseStreamParser extends NdjsonStreamParser {
+  parseLines(lines) {
+    const objects = [];
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+
+      // Skip blank separators, comments and non-data fields (event:, id:, retry:)
+      if (!trimmed.startsWith('data:')) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') {
+        objects.push(SseStreamParser.DONE);
+        continue;
+      }
+
+      objects.push(...super.parseLines([payload]));
+    }
+
+    return objects;
+  }
+}
+
+// Emitted for the `data: [DONE]` terminator
+SseStreamParser.DONE = Object.freeze({ done: true });
+
+export default SseStreamParser;
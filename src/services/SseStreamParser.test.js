@@ -0,0 +1,32 @@
+/**
+ * Tests for SseStreamParser
+ */
+
+import SseStreamParser from './SseStreamParser.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+describe('SseStreamParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new SseStreamParser();
+  });
+
+  test('should parse data lines and skip other SSE fields', () => {
+    const objects = parser.push(encode(': keep-alive\nevent: message\ndata: {"id": 1}\n\ndata: {"id": 2}\n\n'));
+
+    expect(objects).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+
+  test('should carry an event split across chunks', () => {
+    expect(parser.push(encode('data: {"choices": [{"delta": {"con'))).toEqual([]);
+    expect(parser.push(encode('tent": "Hi"}}]}\n\n'))).toEqual([
+      { choices: [{ delta: { content: 'Hi' } }] }
+    ]);
+  });
+
+  test('should emit the DONE marker for the stream terminator', () => {
+    expect(parser.push(encode('data: [DONE]\n\n'))).toEqual([SseStreamParser.DONE]);
+  });
+});
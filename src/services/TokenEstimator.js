@@ -0,0 +1,79 @@
+/**
+ * Token Estimator
+ * Approximates token counts without shipping a tokenizer. The default heuristic
+ * (characters per token plus a fixed overhead per chat message) is corrected over
+ * time with the prompt token counts the model reports (Ollama's prompt_eval_count).
+ */
+
+const MIN_CORRECTION = 0.25;
+const MAX_CORRECTION = 4;
+
+class TokenEstimator {
+  constructor(options = {}) {
+    this.charsPerToken = options.charsPerToken || 4;
+    this.messageOverhead = options.messageOverhead ?? 4; // Role markers and template tokens per message
+    this.countTokens = options.countTokens || null; // Optional (text) => tokens, e.g. a real tokenizer
+    this.smoothing = options.smoothing ?? 0.3; // Weight of each new calibration sample
+    this.reset();
+  }
+
+  /**
+   * Estimated tokens for a piece of text
+   */
+  estimate(text) {
+    if (!text) {
+      return 0;
+    }
+
+    const baseCount = this.countTokens
+      ? this.countTokens(text)
+      : text.length / this.charsPerToken;
+
+    return Math.ceil(baseCount * this.correction);
+  }
+
+  /**
+   * Estimated tokens for one chat message, including its formatting overhead
+   */
+  estimateMessage(text) {
+    return this.estimate(text) + this.messageOverhead;
+  }
+
+  /**
+   * Adjust future estimates using the token count the model reported for a prompt
+   * that was estimated at `estimatedTokens`
+   */
+  calibrate(estimatedTokens, actualTokens) {
+    if (!(estimatedTokens > 0) || !(actualTokens > 0)) {
+      return;
+    }
+
+    const ratio = actualTokens / estimatedTokens;
+
+    // Ollama only counts newly evaluated tokens when it reuses a cached prompt prefix,
+    // so a count far below the estimate says nothing about the prompt's real size
+    if (ratio < 0.5) {
+      return;
+    }
+
+    const target = Math.min(MAX_CORRECTION, Math.max(MIN_CORRECTION, this.correction * ratio));
+    this.correction = this.samples === 0
+      ? target
+      : this.correction + this.smoothing * (target - this.correction);
+    this.samples++;
+  }
+
+  /**
+   * Current multiplier applied to the heuristic (1 until calibrated)
+   */
+  getCorrection() {
+    return this.correction;
+  }
+
+  reset() {
+    this.correction = 1;
+    this.samples = 0;
+  }
+}
+
+export default TokenEstimator;
@@ -0,0 +1,48 @@
+/**
+ * Tests for TokenEstimator
+ */
+
+import TokenEstimator from './TokenEstimator.js';
+
+describe('TokenEstimator', () => {
+  test('should estimate about four characters per token', () => {
+    const estimator = new TokenEstimator();
+
+    expect(estimator.estimate('')).toBe(0);
+    expect(estimator.estimate('a'.repeat(40))).toBe(10);
+    expect(estimator.estimateMessage('a'.repeat(40))).toBe(14);
+  });
+
+  test('should use a custom token counter when given one', () => {
+    const estimator = new TokenEstimator({
+      countTokens: text => text.split(/\s+/).length,
+      messageOverhead: 0
+    });
+
+    expect(estimator.estimate('my car has hail damage')).toBe(5);
+  });
+
+  test('should calibrate towards the reported prompt token count', () => {
+    const estimator = new TokenEstimator({ smoothing: 0.5 });
+
+    estimator.calibrate(100, 150);
+    expect(estimator.getCorrection()).toBeCloseTo(1.5);
+    expect(estimator.estimate('a'.repeat(40))).toBe(15);
+
+    estimator.calibrate(150, 150);
+    expect(estimator.getCorrection()).toBeCloseTo(1.5);
+
+    estimator.calibrate(150, 300);
+    expect(estimator.getCorrection()).toBeCloseTo(2.25);
+  });
+
+  test('should ignore counts from cached prompt prefixes and invalid samples', () => {
+    const estimator = new TokenEstimator();
+
+    estimator.calibrate(1000, 12);
+    estimator.calibrate(0, 100);
+    estimator.calibrate(100, null);
+
+    expect(estimator.getCorrection()).toBe(1);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tool Registry
+ * Client-side functions the model can call during a chat turn (Ollama tool calling).
+ * Each tool has a name, a description and JSON-schema parameters sent to the model,
+ * and an `execute(args)` run in the browser; its result is fed back to the model.
+ */
+
+export class ToolError extends Error {
+  constructor(message, toolName = null) {
+    super(message);
+    this.name = 'ToolError';
+    this.toolName = toolName;
+  }
+}
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !isNaN(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+    tools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * Add a tool: { name, description, parameters, execute(args) }
+   */
+  register(tool) {
+    if (!tool || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tool.name || '')) {
+      throw new ToolError('Tools need a name made of letters, digits and underscores');
+    }
+    if (!tool.description || typeof tool.execute !== 'function') {
+      throw new ToolError(`Tool "${tool.name}" needs a description and an execute function`, tool.name);
+    }
+
+    this.tools.set(tool.name, {
+      parameters: { type: 'object', properties: {}, required: [] },
+      ...tool
+    });
+    return this;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  list() {
+    return [...this.tools.values()];
+  }
+
+  /**
+   * Tool definitions in the `tools` format of Ollama's /api/chat
+   */
+  getDefinitions() {
+    return this.list().map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  /**
+   * Problems with the arguments for a tool's parameters, as messages
+   */
+  validateArguments(tool, args) {
+    const { properties = {}, required = [] } = tool.parameters;
+    const errors = [];
+
+    required.forEach(field => {
+      if (args[field] === undefined || args[field] === null || args[field] === '') {
+        errors.push(`${field} is required`);
+      }
+    });
+
+    Object.entries(args).forEach(([field, value]) => {
+      const schema = properties[field];
+      if (!schema || value === undefined || value === null) {
+        return;
+      }
+      const check = TYPE_CHECKS[schema.type];
+      if (check && !check(value)) {
+        errors.push(`${field} must be of type ${schema.type}`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${field} must be one of: ${schema.enum.join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Run a tool with the model's arguments (an object, or a JSON string from some servers).
+   * Throws ToolError for unknown tools and invalid arguments.
+   */
+  async execute(name, args = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new ToolError(`Unknown tool: ${name}`, name);
+    }
+
+    let parsedArgs = args;
+    if (typeof args === 'string') {
+      try {
+        parsedArgs = args.trim() ? JSON.parse(args) : {};
+      } catch (error) {
+        throw new ToolError(`Arguments for ${name} are not valid JSON`, name);
+      }
+    }
+
+    if (!parsedArgs || typeof parsedArgs !== 'object' || Array.isArray(parsedArgs)) {
+      throw new ToolError(`Arguments for ${name} must be an object`, name);
+    }
+
+    const errors = this.validateArguments(tool, parsedArgs);
+    if (errors.length > 0) {
+      throw new ToolError(`Invalid arguments for ${name}: ${errors.join('; ')}`, name);
+    }
+
+    return tool.execute(parsedArgs);
+  }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,52 @@
+/**
+ * Tests for ToolRegistry
+ */
+
+import ToolRegistry, { ToolError } from './ToolRegistry.js';
+
+const lookupTool = {
+  name: 'lookup',
+  description: 'Look up a car',
+  parameters: {
+    type: 'object',
+    properties: {
+      make: { type: 'string' },
+      year: { type: 'integer' },
+      condition: { type: 'string', enum: ['Running', 'Scrap'] }
+    },
+    required: ['make']
+  },
+  execute: args => ({ found: true, ...args })
+};
+
+describe('ToolRegistry', () => {
+  test('should describe its tools in the Ollama tools format', () => {
+    const registry = new ToolRegistry([lookupTool]);
+
+    expect(registry.has('lookup')).toBe(true);
+    expect(registry.getDefinitions()).toEqual([{
+      type: 'function',
+      function: { name: 'lookup', description: 'Look up a car', parameters: lookupTool.parameters }
+    }]);
+    expect(() => registry.register({ name: 'no spaces', description: 'x', execute: () => {} })).toThrow(ToolError);
+    expect(() => registry.register({ name: 'missing' })).toThrow(ToolError);
+  });
+
+  test('should run a tool with object or JSON string arguments', async () => {
+    const registry = new ToolRegistry([lookupTool]);
+
+    await expect(registry.execute('lookup', { make: 'Toyota', year: 2010 }))
+      .resolves.toEqual({ found: true, make: 'Toyota', year: 2010 });
+    await expect(registry.execute('lookup', '{"make":"Mazda"}'))
+      .resolves.toEqual({ found: true, make: 'Mazda' });
+  });
+
+  test('should reject unknown tools and invalid arguments', async () => {
+    const registry = new ToolRegistry([lookupTool]);
+
+    await expect(registry.execute('delete', {})).rejects.toThrow('Unknown tool: delete');
+    await expect(registry.execute('lookup', '{make')).rejects.toThrow('not valid JSON');
+    await expect(registry.execute('lookup', { year: '2010', condition: 'Good' }))
+      .rejects.toThrow('make is required; year must be of type integer; condition must be one of: Running, Scrap');
+  });
+});
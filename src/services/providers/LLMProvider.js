@@ -0,0 +1,227 @@
+/**
+ * LLM Provider Interface
+ * Describes the wire protocol of a chat backend (endpoints, request bodies, response parsing).
+ * Transport, CORS handling, retries and error categorization live in OllamaService
+ * and are shared by every provider.
+ */
+
+import NdjsonStreamParser from '../NdjsonStreamParser.js';
+
+class LLMProvider {
+  constructor(config, chatConfig) {
+    this.config = config;
+    this.chatConfig = chatConfig;
+  }
+
+  /**
+   * Provider identifier, matches the REACT_APP_LLM_PROVIDER value
+   */
+  get name() {
+    throw new Error(`${this.constructor.name} must implement name`);
+  }
+
+  /**
+   * Human-readable provider name for status displays
+   */
+  get displayName() {
+    return this.name;
+  }
+
+  /**
+   * Point the provider at an updated configuration object
+   */
+  updateConfig(config) {
+    this.config = config;
+  }
+
+  /**
+   * Endpoint used for health checks and model discovery
+   */
+  getHealthEndpoint() {
+    throw new Error(`${this.constructor.name} must implement getHealthEndpoint()`);
+  }
+
+  /**
+   * Extract model names from the health endpoint response
+   */
+  parseModelList(data) {
+    throw new Error(`${this.constructor.name} must implement parseModelList()`);
+  }
+
+  /**
+   * Endpoint that generates chat replies
+   */
+  getChatEndpoint() {
+    throw new Error(`${this.constructor.name} must implement getChatEndpoint()`);
+  }
+
+  /**
+   * Extra request headers (e.g. authorization) merged into every request
+   */
+  getRequestHeaders() {
+    return {};
+  }
+
+  /**
+   * Build the request body for a chat turn.
+   * `requestOptions.format` is a JSON schema the reply must conform to and
+   * `requestOptions.images` are base64 images attached to the new message.
+   */
+  buildRequestBody(message, conversationHistory, stream, requestOptions = {}) {
+    throw new Error(`${this.constructor.name} must implement buildRequestBody()`);
+  }
+
+  /**
+   * Parse a non-streaming response into { text, metadata }
+   */
+  parseResponse(data) {
+    throw new Error(`${this.constructor.name} must implement parseResponse()`);
+  }
+
+  /**
+   * Create a parser that turns raw stream chunks into response objects
+   */
+  createStreamParser() {
+    return new NdjsonStreamParser();
+  }
+
+  /**
+   * Normalize one parsed stream object into { text, done, error, metadata }
+   */
+  parseStreamEvent(data) {
+    throw new Error(`${this.constructor.name} must implement parseStreamEvent()`);
+  }
+
+  /**
+   * Request that describes the current model (null when the backend has none)
+   */
+  getModelInfoRequest() {
+    return null;
+  }
+
+  /**
+   * Whether the model described by getModelInfoRequest() accepts images (null if unknown)
+   */
+  parseVisionSupport(data) {
+    return null;
+  }
+
+  /**
+   * Whether requests can offer the model tools to call (see buildToolTurns)
+   */
+  supportsTools() {
+    return false;
+  }
+
+  /**
+   * Whether the model described by getModelInfoRequest() can call tools (null if unknown)
+   */
+  parseToolSupport(data) {
+    return null;
+  }
+
+  /**
+   * Request that turns `text` into an embedding vector with `model` (null when the
+   * backend has no embeddings endpoint)
+   */
+  getEmbeddingRequest(text, model) {
+    return null;
+  }
+
+  /**
+   * Extract the embedding vector from the getEmbeddingRequest() response
+   */
+  parseEmbedding(data) {
+    return null;
+  }
+
+  /**
+   * Build role-tagged chat messages.
+   * Each turn keeps its own role, so user text can never pose as an assistant turn.
+   * `toolTurns` are the tool calls already made for this message, sent after it.
+   */
+  buildMessages(message, conversationHistory, images = [], toolTurns = []) {
+    const messages = [
+      { role: 'system', content: this.chatConfig.systemPrompt }
+    ];
+    
+    const recentHistory = this.getRecentHistory(conversationHistory);
+    recentHistory.forEach(msg => {
+      messages.push({
+        role: msg.role || (msg.isBot ? 'assistant' : 'user'),
+        content: msg.text
+      });
+    });
+    
+    messages.push(this.buildUserMessage(message, images));
+    messages.push(...this.buildToolTurns(toolTurns));
+    
+    return messages;
+  }
+
+  /**
+   * Assistant turns that called tools, each followed by the tool results, in Ollama's format.
+   * A tool turn is { text, calls: [{ name, arguments, result, error }] }.
+   */
+  buildToolTurns(toolTurns = []) {
+    return toolTurns.flatMap(turn => [
+      {
+        role: 'assistant',
+        content: turn.text || '',
+        tool_calls: turn.calls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+      },
+      ...turn.calls.map(call => ({
+        role: 'tool',
+        tool_name: call.name,
+        content: JSON.stringify(call.error ? { error: call.error } : call.result ?? null)
+      }))
+    ]);
+  }
+
+  /**
+   * The new user turn, with any attached images in Ollama's format
+   */
+  buildUserMessage(message, images = []) {
+    return images.length > 0
+      ? { role: 'user', content: message, images }
+      : { role: 'user', content: message };
+  }
+
+  /**
+   * Most recent history messages, limited to maxHistoryLength. System-role entries
+   * (e.g. the conversation summary) are kept and do not count against the limit.
+   */
+  getRecentHistory(conversationHistory) {
+    const memory = conversationHistory.filter(msg => msg.role === 'system');
+    const turns = conversationHistory.filter(msg => msg.role !== 'system');
+    
+    return [...memory, ...turns.slice(-this.chatConfig.maxHistoryLength)];
+  }
+
+  /**
+   * Build a single flattened prompt for completion-style endpoints
+   */
+  buildPrompt(message, conversationHistory) {
+    let prompt = this.chatConfig.systemPrompt + '\n\n';
+    
+    // Add conversation history (limit to maxHistoryLength)
+    const recentHistory = this.getRecentHistory(conversationHistory);
+    recentHistory.forEach(msg => {
+      if (msg.role === 'system') {
+        prompt += `${msg.text}\n`;
+      } else if (msg.isBot) {
+        prompt += `Assistant: ${msg.text}\n`;
+      } else {
+        prompt += `User: ${msg.text}\n`;
+      }
+    });
+    
+    // Add current message
+    prompt += `User: ${message}\n`;
+    prompt += 'Assistant: ';
+    
+    return prompt;
+  }
+}
+
+export default LLMProvider;
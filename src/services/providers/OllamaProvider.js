@@ -0,0 +1,173 @@
+/**
+ * Ollama Provider
+ * Native Ollama API: /api/tags for discovery, /api/chat (or legacy /api/generate) for replies
+ */
+
+import LLMProvider from './LLMProvider.js';
+
+class OllamaProvider extends LLMProvider {
+  get name() {
+    return 'ollama';
+  }
+
+  get displayName() {
+    return 'Ollama';
+  }
+
+  /**
+   * Whether requests go to the legacy /api/generate endpoint
+   */
+  isLegacyGenerateMode() {
+    return this.config.apiMode === 'generate';
+  }
+
+  getHealthEndpoint() {
+    return '/api/tags';
+  }
+
+  parseModelList(data) {
+    return data.models?.map(m => m.name) || [];
+  }
+
+  getEmbeddingRequest(text, model) {
+    return { endpoint: '/api/embeddings', body: { model, prompt: text } };
+  }
+
+  parseEmbedding(data) {
+    return Array.isArray(data.embedding) ? data.embedding : null;
+  }
+
+  getModelInfoRequest() {
+    return { endpoint: '/api/show', body: { model: this.config.model } };
+  }
+
+  /**
+   * Newer Ollama versions list capabilities; older ones only show the model
+   * families, where vision models include a CLIP projector
+   */
+  parseVisionSupport(data) {
+    if (Array.isArray(data.capabilities)) {
+      return data.capabilities.includes('vision');
+    }
+    
+    const families = data.details?.families;
+    if (Array.isArray(families)) {
+      return families.some(family => ['clip', 'mllama'].includes(family));
+    }
+    
+    return null;
+  }
+
+  /**
+   * Tool calling needs the chat endpoint
+   */
+  supportsTools() {
+    return !this.isLegacyGenerateMode();
+  }
+
+  parseToolSupport(data) {
+    return Array.isArray(data.capabilities) ? data.capabilities.includes('tools') : null;
+  }
+
+  getChatEndpoint() {
+    return this.isLegacyGenerateMode() ? '/api/generate' : '/api/chat';
+  }
+
+  buildRequestBody(message, conversationHistory, stream, requestOptions = {}) {
+    const requestBody = {
+      model: this.config.model,
+      stream,
+      options: {
+        temperature: this.config.parameters.temperature,
+        num_predict: this.config.parameters.max_tokens,
+        top_p: this.config.parameters.top_p
+      }
+    };
+    
+    // Ask Ollama for the same context size the conversation history was trimmed to, when one
+    // is configured; otherwise the model keeps the context length from its Modelfile
+    if (this.config.parameters.context_size) {
+      requestBody.options.num_ctx = this.config.parameters.context_size;
+    }
+    
+    // Structured outputs: Ollama constrains generation to the JSON schema
+    if (requestOptions.format) {
+      requestBody.format = requestOptions.format;
+    }
+    
+    const images = requestOptions.images || [];
+    
+    if (this.isLegacyGenerateMode()) {
+      requestBody.prompt = this.buildPrompt(message, conversationHistory);
+      if (images.length > 0) {
+        requestBody.images = images;
+      }
+    } else {
+      requestBody.messages = this.buildMessages(message, conversationHistory, images, requestOptions.toolTurns);
+      if (requestOptions.tools && requestOptions.tools.length > 0) {
+        requestBody.tools = requestOptions.tools;
+      }
+    }
+    
+    return requestBody;
+  }
+
+  /**
+   * Extract generated text from a /api/chat or /api/generate response object
+   */
+  extractResponseText(data) {
+    if (data.message && typeof data.message.content === 'string') {
+      return data.message.content;
+    }
+    return data.response || '';
+  }
+
+  /**
+   * Tool calls requested in a /api/chat response object, as [{ name, arguments }]
+   */
+  extractToolCalls(data) {
+    const toolCalls = data.message?.tool_calls;
+    if (!Array.isArray(toolCalls)) {
+      return [];
+    }
+    return toolCalls
+      .filter(call => call.function && call.function.name)
+      .map(call => ({ name: call.function.name, arguments: call.function.arguments || {} }));
+  }
+
+  /**
+   * Map the stats Ollama sends with its final response object
+   */
+  extractMetadata(data) {
+    return {
+      model: data.model || this.config.model,
+      doneReason: data.done_reason || null,
+      evalCount: data.eval_count ?? null,
+      evalDuration: data.eval_duration ?? null,
+      promptEvalCount: data.prompt_eval_count ?? null,
+      promptEvalDuration: data.prompt_eval_duration ?? null,
+      loadDuration: data.load_duration ?? null,
+      totalDuration: data.total_duration ?? null
+    };
+  }
+
+  parseResponse(data) {
+    return {
+      text: this.extractResponseText(data),
+      toolCalls: this.extractToolCalls(data),
+      metadata: this.extractMetadata(data)
+    };
+  }
+
+  parseStreamEvent(data) {
+    return {
+      text: this.extractResponseText(data),
+      toolCalls: this.extractToolCalls(data),
+      done: !!data.done,
+      error: data.error || null,
+      metadata: data.done ? this.extractMetadata(data) : null
+    };
+  }
+}
+
+export default OllamaProvider;
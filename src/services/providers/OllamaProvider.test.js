@@ -0,0 +1,36 @@
+/**
+ * Tests for OllamaProvider
+ */
+
+import OllamaProvider from './OllamaProvider.js';
+
+const config = {
+  baseUrl: 'http://localhost:11434',
+  model: 'test-model',
+  apiMode: 'chat',
+  parameters: {
+    temperature: 0.7,
+    max_tokens: 2048,
+    context_size: null,
+    top_p: 0.9
+  }
+};
+
+const chatConfig = {
+  maxHistoryLength: 10,
+  systemPrompt: 'You are a test assistant.'
+};
+
+describe('OllamaProvider', () => {
+  test('should leave num_ctx to the Modelfile unless a context size is configured', () => {
+    const body = new OllamaProvider(config, chatConfig).buildRequestBody('Hello', [], false);
+
+    expect(body.options).toEqual({ temperature: 0.7, num_predict: 2048, top_p: 0.9 });
+  });
+
+  test('should send a configured context size as num_ctx', () => {
+    const provider = new OllamaProvider({ ...config, parameters: { ...config.parameters, context_size: 8192 } }, chatConfig);
+
+    expect(provider.buildRequestBody('Hello', [], false).options.num_ctx).toBe(8192);
+  });
+});
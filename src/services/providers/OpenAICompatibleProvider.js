@@ -0,0 +1,137 @@
+/**
+ * OpenAI-Compatible Provider
+ * Talks to any server exposing /v1/models and /v1/chat/completions
+ * (llama.cpp server, vLLM, LM Studio, ...)
+ */
+
+import LLMProvider from './LLMProvider.js';
+import SseStreamParser from '../SseStreamParser.js';
+
+class OpenAICompatibleProvider extends LLMProvider {
+  get name() {
+    return 'openai';
+  }
+
+  get displayName() {
+    return 'OpenAI-compatible';
+  }
+
+  getHealthEndpoint() {
+    return '/v1/models';
+  }
+
+  parseModelList(data) {
+    return data.data?.map(m => m.id) || [];
+  }
+
+  getChatEndpoint() {
+    return '/v1/chat/completions';
+  }
+
+  getEmbeddingRequest(text, model) {
+    return { endpoint: '/v1/embeddings', body: { model, input: text } };
+  }
+
+  parseEmbedding(data) {
+    const embedding = data.data?.[0]?.embedding;
+    return Array.isArray(embedding) ? embedding : null;
+  }
+
+  getRequestHeaders() {
+    return this.config.apiKey
+      ? { Authorization: `Bearer ${this.config.apiKey}` }
+      : {};
+  }
+
+  buildRequestBody(message, conversationHistory, stream, requestOptions = {}) {
+    const requestBody = {
+      model: this.config.model,
+      messages: this.buildMessages(message, conversationHistory, requestOptions.images || []),
+      stream,
+      temperature: this.config.parameters.temperature,
+      max_tokens: this.config.parameters.max_tokens,
+      top_p: this.config.parameters.top_p
+    };
+    
+    if (stream) {
+      // Ask for a final usage chunk so token counts are available when streaming
+      requestBody.stream_options = { include_usage: true };
+    }
+    
+    if (requestOptions.format) {
+      requestBody.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: requestOptions.format }
+      };
+    }
+    
+    return requestBody;
+  }
+
+  /**
+   * Images go in a content array as data URLs
+   */
+  buildUserMessage(message, images = []) {
+    if (images.length === 0) {
+      return { role: 'user', content: message };
+    }
+    
+    return {
+      role: 'user',
+      content: [
+        { type: 'text', text: message },
+        ...images.map(image => ({
+          type: 'image_url',
+          image_url: { url: `data:image/jpeg;base64,${image}` }
+        }))
+      ]
+    };
+  }
+
+  /**
+   * Map OpenAI usage/finish information to the shared metadata shape
+   */
+  extractMetadata(data, finishReason = null) {
+    return {
+      model: data.model || this.config.model,
+      doneReason: finishReason,
+      evalCount: data.usage?.completion_tokens ?? null,
+      evalDuration: null,
+      promptEvalCount: data.usage?.prompt_tokens ?? null,
+      promptEvalDuration: null,
+      loadDuration: null,
+      totalDuration: null
+    };
+  }
+
+  parseResponse(data) {
+    const choice = data.choices?.[0];
+    return {
+      text: choice?.message?.content || '',
+      metadata: this.extractMetadata(data, choice?.finish_reason || null)
+    };
+  }
+
+  createStreamParser() {
+    return new SseStreamParser();
+  }
+
+  parseStreamEvent(data) {
+    if (data === SseStreamParser.DONE) {
+      return { text: '', done: true, error: null, metadata: null };
+    }
+    
+    const choice = data.choices?.[0];
+    const finishReason = choice?.finish_reason || null;
+    
+    return {
+      text: choice?.delta?.content || '',
+      done: false,
+      error: data.error?.message || null,
+      // The finish chunk and the trailing usage chunk each carry part of the metadata
+      metadata: finishReason || data.usage ? this.extractMetadata(data, finishReason) : null
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,119 @@
+/**
+ * Tests for OpenAICompatibleProvider
+ */
+
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import SseStreamParser from '../SseStreamParser.js';
+import { createProvider } from './index.js';
+
+const config = {
+  baseUrl: 'http://localhost:8080',
+  model: 'test-model',
+  provider: 'openai',
+  apiKey: null,
+  parameters: {
+    temperature: 0.7,
+    max_tokens: 2048,
+    top_p: 0.9
+  }
+};
+
+const chatConfig = {
+  maxHistoryLength: 10,
+  systemPrompt: 'You are a test assistant.'
+};
+
+describe('OpenAICompatibleProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new OpenAICompatibleProvider(config, chatConfig);
+  });
+
+  test('should be selected by createProvider', () => {
+    expect(createProvider(config, chatConfig)).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(createProvider({ ...config, provider: undefined }, chatConfig).name).toBe('ollama');
+    expect(() => createProvider({ ...config, provider: 'unknown' }, chatConfig)).toThrow('Unknown LLM provider');
+  });
+
+  test('should build a chat completions request', () => {
+    const body = provider.buildRequestBody('Hello', [{ text: 'Hi there', isBot: true }], true);
+
+    expect(provider.getChatEndpoint()).toBe('/v1/chat/completions');
+    expect(body.messages).toEqual([
+      { role: 'system', content: 'You are a test assistant.' },
+      { role: 'assistant', content: 'Hi there' },
+      { role: 'user', content: 'Hello' }
+    ]);
+    expect(body.max_tokens).toBe(2048);
+    expect(body.stream_options).toEqual({ include_usage: true });
+  });
+
+  test('should request JSON schema output when a format is given', () => {
+    const schema = { type: 'object', properties: { make: { type: 'string' } } };
+
+    const body = provider.buildRequestBody('Hello', [], false, { format: schema });
+
+    expect(body.response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'response', schema }
+    });
+    expect(provider.buildRequestBody('Hello', [], false).response_format).toBeUndefined();
+  });
+
+  test('should send attached images as data URLs', () => {
+    const body = provider.buildRequestBody('Is this repairable?', [], false, { images: ['QUJD'] });
+
+    expect(body.messages[1]).toEqual({
+      role: 'user',
+      content: [
+        { type: 'text', text: 'Is this repairable?' },
+        { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,QUJD' } }
+      ]
+    });
+    expect(provider.getModelInfoRequest()).toBeNull();
+  });
+
+  test('should only send an authorization header when an API key is set', () => {
+    expect(provider.getRequestHeaders()).toEqual({});
+
+    provider.updateConfig({ ...config, apiKey: 'sk-local' });
+    expect(provider.getRequestHeaders()).toEqual({ Authorization: 'Bearer sk-local' });
+  });
+
+  test('should parse model lists and completions', () => {
+    expect(provider.parseModelList({ data: [{ id: 'llama3' }, { id: 'mistral' }] }))
+      .toEqual(['llama3', 'mistral']);
+
+    const { text, metadata } = provider.parseResponse({
+      model: 'llama3',
+      choices: [{ message: { role: 'assistant', content: 'Kia ora' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 12, completion_tokens: 3 }
+    });
+
+    expect(text).toBe('Kia ora');
+    expect(metadata).toEqual(expect.objectContaining({
+      model: 'llama3',
+      doneReason: 'stop',
+      evalCount: 3,
+      promptEvalCount: 12
+    }));
+  });
+
+  test('should request and parse embeddings', () => {
+    expect(provider.getEmbeddingRequest('Is pickup free?', 'text-embedding-3-small')).toEqual({
+      endpoint: '/v1/embeddings',
+      body: { model: 'text-embedding-3-small', input: 'Is pickup free?' }
+    });
+    expect(provider.parseEmbedding({ data: [{ embedding: [0.1, 0.2] }] })).toEqual([0.1, 0.2]);
+    expect(provider.parseEmbedding({ data: [] })).toBeNull();
+  });
+
+  test('should normalize stream events', () => {
+    expect(provider.parseStreamEvent({ choices: [{ delta: { content: 'Hi' } }] }))
+      .toEqual({ text: 'Hi', done: false, error: null, metadata: null });
+    expect(provider.parseStreamEvent(SseStreamParser.DONE).done).toBe(true);
+    expect(provider.parseStreamEvent({ error: { message: 'model not loaded' } }).error)
+      .toBe('model not loaded');
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * LLM provider registry
+ * Selects the chat backend configured with REACT_APP_LLM_PROVIDER
+ */
+
+import LLMProvider from './LLMProvider.js';
+import OllamaProvider from './OllamaProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+
+const providers = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider
+};
+
+export const SUPPORTED_PROVIDERS = Object.keys(providers);
+
+export const createProvider = (config, chatConfig) => {
+  const Provider = providers[config.provider || 'ollama'];
+  
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider '${config.provider}'. Supported providers: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+  
+  return new Provider(config, chatConfig);
+};
+
+export { LLMProvider, OllamaProvider, OpenAICompatibleProvider };
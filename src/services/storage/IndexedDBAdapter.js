@@ -0,0 +1,80 @@
+/**
+ * IndexedDB Adapter
+ * Persists values in an object store. Suited to larger payloads than
+ * localStorage (e.g. long conversations or attached images).
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+class IndexedDBAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.databaseName = options.databaseName || 'chatbot';
+    this.storeName = options.storeName || 'conversations';
+    this.indexedDB = options.indexedDB || window.indexedDB;
+    this.dbPromise = null;
+  }
+
+  get name() {
+    return 'indexedDB';
+  }
+
+  static isAvailable() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  /**
+   * Open (and on first use create) the database, reusing the connection afterwards
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.databaseName, 1);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   */
+  async runRequest(mode, createRequest) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = createRequest(transaction.objectStore(this.storeName));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async load(key) {
+    const value = await this.runRequest('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async save(key, value) {
+    await this.runRequest('readwrite', store => store.put(value, key));
+  }
+
+  async remove(key) {
+    await this.runRequest('readwrite', store => store.delete(key));
+  }
+}
+
+export default IndexedDBAdapter;
@@ -0,0 +1,55 @@
+/**
+ * localStorage Adapter
+ * Persists values as JSON strings under a key prefix
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+class LocalStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.prefix = options.prefix || 'chatbot_';
+    this.storage = options.storage || window.localStorage;
+  }
+
+  get name() {
+    return 'localStorage';
+  }
+
+  static isAvailable() {
+    try {
+      const testKey = '__storage_test__';
+      window.localStorage.setItem(testKey, testKey);
+      window.localStorage.removeItem(testKey);
+      return true;
+    } catch (error) {
+      // Disabled storage or private browsing modes throw on access
+      return false;
+    }
+  }
+
+  async load(key) {
+    const value = this.storage.getItem(this.prefix + key);
+    if (value === null) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn(`Discarding unreadable stored value for '${key}':`, error);
+      this.storage.removeItem(this.prefix + key);
+      return null;
+    }
+  }
+
+  async save(key, value) {
+    this.storage.setItem(this.prefix + key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,48 @@
+/**
+ * Tests for storage adapters
+ */
+
+import { createStorageAdapter, LocalStorageAdapter, MemoryStorageAdapter } from './index.js';
+
+describe('LocalStorageAdapter', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('should save and load values under a key prefix', async () => {
+    const adapter = new LocalStorageAdapter();
+
+    await adapter.save('conversation', { sessionId: 'session_1', messages: [] });
+
+    expect(window.localStorage.getItem('chatbot_conversation')).toContain('session_1');
+    expect(await adapter.load('conversation')).toEqual({ sessionId: 'session_1', messages: [] });
+
+    await adapter.remove('conversation');
+    expect(await adapter.load('conversation')).toBeNull();
+  });
+
+  test('should discard unreadable values', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    window.localStorage.setItem('chatbot_conversation', '{not json');
+
+    expect(await new LocalStorageAdapter().load('conversation')).toBeNull();
+    expect(window.localStorage.getItem('chatbot_conversation')).toBeNull();
+    warnSpy.mockRestore();
+  });
+});
+
+describe('createStorageAdapter', () => {
+  test('should create the configured adapter', () => {
+    expect(createStorageAdapter('localStorage')).toBeInstanceOf(LocalStorageAdapter);
+    expect(createStorageAdapter('memory')).toBeInstanceOf(MemoryStorageAdapter);
+    expect(() => createStorageAdapter('cookies')).toThrow('Unknown storage type');
+  });
+
+  test('should fall back to memory when browser storage is unavailable', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // jsdom has no IndexedDB
+    expect(createStorageAdapter('indexedDB')).toBeInstanceOf(MemoryStorageAdapter);
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Memory Storage Adapter
+ * Keeps values for the lifetime of the page only. Used when persistence is
+ * disabled or no browser storage is available. Values are stored as JSON so
+ * they behave like the persistent adapters.
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.store = new Map();
+  }
+
+  get name() {
+    return 'memory';
+  }
+
+  async load(key) {
+    const value = this.store.get(key);
+    return value === undefined ? null : JSON.parse(value);
+  }
+
+  async save(key, value) {
+    this.store.set(key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this.store.delete(key);
+  }
+}
+
+export default MemoryStorageAdapter;
@@ -0,0 +1,36 @@
+/**
+ * Storage Adapter Interface
+ * Async key/value persistence used by ConversationManager. Values are plain
+ * objects; adapters that serialize to strings turn Dates into ISO strings,
+ * so readers must rehydrate them.
+ */
+
+class StorageAdapter {
+  /**
+   * Adapter identifier, matches the REACT_APP_CHAT_STORAGE value
+   */
+  get name() {
+    throw new Error(`${this.constructor.name} must implement name`);
+  }
+
+  /**
+   * Whether the backing store can be used in this environment
+   */
+  static isAvailable() {
+    return true;
+  }
+
+  async load(key) {
+    throw new Error(`${this.constructor.name} must implement load()`);
+  }
+
+  async save(key, value) {
+    throw new Error(`${this.constructor.name} must implement save()`);
+  }
+
+  async remove(key) {
+    throw new Error(`${this.constructor.name} must implement remove()`);
+  }
+}
+
+export default StorageAdapter;
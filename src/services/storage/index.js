@@ -0,0 +1,38 @@
+/**
+ * Storage adapter registry
+ * Selects the conversation store configured with REACT_APP_CHAT_STORAGE
+ */
+
+import StorageAdapter from './StorageAdapter.js';
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+import IndexedDBAdapter from './IndexedDBAdapter.js';
+
+const adapters = {
+  localStorage: LocalStorageAdapter,
+  indexedDB: IndexedDBAdapter,
+  memory: MemoryStorageAdapter
+};
+
+export const SUPPORTED_STORAGE_TYPES = Object.keys(adapters);
+
+/**
+ * Create a storage adapter, falling back to memory when the requested
+ * browser storage is unavailable (e.g. disabled cookies, private browsing)
+ */
+export const createStorageAdapter = (type = 'localStorage', options = {}) => {
+  const Adapter = adapters[type];
+
+  if (!Adapter) {
+    throw new Error(`Unknown storage type '${type}'. Supported types: ${SUPPORTED_STORAGE_TYPES.join(', ')}`);
+  }
+
+  if (!Adapter.isAvailable()) {
+    console.warn(`${type} is not available, conversations will not survive a page reload`);
+    return new MemoryStorageAdapter();
+  }
+
+  return new Adapter(options);
+};
+
+export { StorageAdapter, MemoryStorageAdapter, LocalStorageAdapter, IndexedDBAdapter };